@@ -2,7 +2,21 @@ import {
   loadBleDeviceIds,
   saveBikeBleDeviceId,
   saveHrBleDeviceId,
+  savePowerBleDeviceId,
+  saveCscBleDeviceId,
+  loadVirtualDevicesEnabled,
 } from "./storage.js";
+import {
+  createVirtualDevices,
+  VIRTUAL_BIKE_ID,
+  VIRTUAL_HR_ID,
+} from "./virtual-devices.js";
+import {
+  createBleRecording,
+  dataViewToHex,
+  parseBleRecording,
+  serializeBleRecording,
+} from "./ble-recording.js";
 
 // --------------------------- BLE singleton ---------------------------
 
@@ -11,12 +25,32 @@ export const BleManager = (() => {
   const FTMS_SERVICE_UUID = 0x1826;
   const HEART_RATE_SERVICE_UUID = 0x180d;
   const BATTERY_SERVICE_UUID = 0x180f;
+  const CYCLING_POWER_SERVICE_UUID = 0x1818;
+  const CSC_SERVICE_UUID = 0x1816;
+  const DEVICE_INFORMATION_SERVICE_UUID = 0x180a;
 
   const INDOOR_BIKE_DATA_CHAR = 0x2ad2;
   const FTMS_CONTROL_POINT_CHAR = 0x2ad9;
+  const FITNESS_MACHINE_STATUS_CHAR = 0x2ada;
+  const FTMS_TRAINING_STATUS_CHAR = 0x2ad3;
+  const FTMS_FEATURE_CHAR = 0x2acc;
+  const FTMS_SUPPORTED_RESISTANCE_RANGE_CHAR = 0x2ad6;
+  const FTMS_SUPPORTED_POWER_RANGE_CHAR = 0x2ad8;
   const HR_MEASUREMENT_CHAR = 0x2a37;
   const BATTERY_LEVEL_CHAR = 0x2a19;
 
+  // Device Information (0x180A) strings we read. Serial Number (0x2A25) is
+  // on Chrome's GATT blocklist for reads, so it's left out.
+  const DEVICE_INFO_CHARS = {
+    manufacturer: 0x2a29,
+    model: 0x2a24,
+    hardwareRevision: 0x2a27,
+    firmwareRevision: 0x2a26,
+    softwareRevision: 0x2a28,
+  };
+  const CYCLING_POWER_MEASUREMENT_CHAR = 0x2a63;
+  const CSC_MEASUREMENT_CHAR = 0x2a5b;
+
   const FTMS_OPCODES = {
     requestControl: 0x00,
     reset: 0x01,
@@ -27,13 +61,145 @@ export const BleManager = (() => {
     setTargetHeartRate: 0x06,
     startOrResume: 0x07,
     stopOrPause: 0x08,
+    setIndoorBikeSimulationParameters: 0x11,
+    spinDownControl: 0x13,
+  };
+
+  // Fitness Machine Status (0x2ADA) op codes. Parameters are decoded in
+  // parseMachineStatus().
+  const FTMS_MACHINE_STATUS_TYPES = {
+    0x01: "reset",
+    0x02: "stoppedOrPausedByUser",
+    0x03: "stoppedBySafetyKey",
+    0x04: "startedOrResumedByUser",
+    0x05: "targetSpeedChanged",
+    0x06: "targetInclineChanged",
+    0x07: "targetResistanceLevelChanged",
+    0x08: "targetPowerChanged",
+    0x09: "targetHeartRateChanged",
+    0x0a: "targetedExpendedEnergyChanged",
+    0x0b: "targetedStepsChanged",
+    0x0c: "targetedStridesChanged",
+    0x0d: "targetedDistanceChanged",
+    0x0e: "targetedTrainingTimeChanged",
+    0x0f: "targetedTimeInTwoHrZonesChanged",
+    0x10: "targetedTimeInThreeHrZonesChanged",
+    0x11: "targetedTimeInFiveHrZonesChanged",
+    0x12: "indoorBikeSimulationParametersChanged",
+    0x13: "wheelCircumferenceChanged",
+    0x14: "spinDownStatus",
+    0x15: "targetedCadenceChanged",
+    0xff: "controlPermissionLost",
+  };
+
+  // Training Status (0x2AD3) values.
+  const FTMS_TRAINING_STATUS = {
+    0x00: "other",
+    0x01: "idle",
+    0x02: "warmingUp",
+    0x03: "lowIntensityInterval",
+    0x04: "highIntensityInterval",
+    0x05: "recoveryInterval",
+    0x06: "isometric",
+    0x07: "heartRateControl",
+    0x08: "fitnessTest",
+    0x09: "speedOutsideControlRegionLow",
+    0x0a: "speedOutsideControlRegionHigh",
+    0x0b: "coolDown",
+    0x0c: "wattControl",
+    0x0d: "manualMode",
+    0x0e: "preWorkout",
+    0x0f: "postWorkout",
   };
 
+  // Spin Down Control parameter and Fitness Machine Status "Spin Down
+  // Status" (0x14) values.
+  const FTMS_SPIN_DOWN_START = 0x01;
+  const FTMS_SPIN_DOWN_IGNORE = 0x02;
+  const FTMS_STATUS_SPIN_DOWN = 0x14;
+  const FTMS_SPIN_DOWN_STATUS = {
+    0x01: "requested",
+    0x02: "success",
+    0x03: "error",
+    0x04: "stopPedaling",
+  };
+  // Give up if the trainer hasn't finished the spin down by then.
+  const SPIN_DOWN_TIMEOUT_MS = 120000;
+
+  const FTMS_RESPONSE_OPCODE = 0x80;
+  const FTMS_RESULT_REASONS = {
+    0x01: "success",
+    0x02: "notSupported",
+    0x03: "invalidParameter",
+    0x04: "operationFailed",
+    0x05: "controlNotPermitted",
+  };
+  const FTMS_RESULT_MESSAGES = {
+    notSupported: "not supported by this trainer",
+    invalidParameter: "invalid parameter",
+    operationFailed: "operation failed",
+    controlNotPermitted: "control not permitted",
+    unknown: "unknown result code",
+  };
+  const FTMS_CP_RESPONSE_TIMEOUT_MS = 3000;
+
+  // Fitness Machine Feature (0x2ACC): first uint32 is machine features,
+  // second is target setting features. Bit positions per FTMS spec.
+  const FTMS_MACHINE_FEATURE_BITS = {
+    averageSpeed: 0,
+    cadence: 1,
+    totalDistance: 2,
+    inclination: 3,
+    elevationGain: 4,
+    pace: 5,
+    stepCount: 6,
+    resistanceLevel: 7,
+    strideCount: 8,
+    expendedEnergy: 9,
+    heartRate: 10,
+    metabolicEquivalent: 11,
+    elapsedTime: 12,
+    remainingTime: 13,
+    powerMeasurement: 14,
+    forceOnBelt: 15,
+    userDataRetention: 16,
+  };
+
+  const FTMS_TARGET_FEATURE_BITS = {
+    speed: 0,
+    inclination: 1,
+    resistance: 2,
+    power: 3,
+    heartRate: 4,
+    expendedEnergy: 5,
+    stepNumber: 6,
+    strideNumber: 7,
+    distance: 8,
+    trainingTime: 9,
+    timeInTwoHrZones: 10,
+    timeInThreeHrZones: 11,
+    timeInFiveHrZones: 12,
+    indoorBikeSimulation: 13,
+    wheelCircumference: 14,
+    spinDown: 15,
+    cadence: 16,
+  };
+
+  // Used when the trainer doesn't publish its supported ranges.
+  const DEFAULT_POWER_RANGE = {min: 0, max: 2000, increment: 1};
+  const DEFAULT_RESISTANCE_RANGE = {min: 0, max: 100, increment: 1};
+
   const TRAINER_SEND_MIN_INTERVAL_SEC = 10;
 
   const MIN_RECONNECT_DELAY_MS = 1000; // 1s
   const MAX_RECONNECT_DELAY_MS = 10000; // cap at 10s
 
+  // Crank cadence drops to 0 when no new crank event arrives for this long.
+  const CRANK_STALE_MS = 3000;
+
+  // Wheel circumference for CSC speed (700x25c road tyre).
+  const DEFAULT_WHEEL_CIRCUMFERENCE_M = 2.105;
+
   // Simple event system
   const listeners = {
     log: new Set(),
@@ -41,7 +207,19 @@ export const BleManager = (() => {
     hrStatus: new Set(),
     bikeSample: new Set(),
     hrSample: new Set(),
+    hrMeasurement: new Set(),
     hrBattery: new Set(),
+    bikeBattery: new Set(),
+    bikeCapabilities: new Set(),
+    powerStatus: new Set(),
+    powerSample: new Set(),
+    cscStatus: new Set(),
+    cscSample: new Set(),
+    spinDown: new Set(),
+    bikeMachineStatus: new Set(),
+    bikeTrainingStatus: new Set(),
+    bleRecording: new Set(),
+    bleReplay: new Set(),
   };
 
   function emit(type, payload) {
@@ -71,6 +249,10 @@ export const BleManager = (() => {
     ftmsService: null,
     indoorBikeDataChar: null,
     controlPointChar: null,
+    machineStatusChar: null, // optional
+    trainingStatusChar: null, // optional
+    capabilities: null,
+    deviceInfo: null, // kept after disconnect, for the activity meta
     _disconnectHandler: null,
   };
 
@@ -80,44 +262,82 @@ export const BleManager = (() => {
     hrService: null,
     measurementChar: null,
     batteryService: null,
+    deviceInfo: null, // kept after disconnect, for the activity meta
+    _disconnectHandler: null,
+  };
+
+  // Cycling Power Service (pedals / cranks)
+  const powerState = {
+    device: null,
+    server: null,
+    powerService: null,
+    measurementChar: null,
+    _disconnectHandler: null,
+  };
+
+  // Cycling Speed and Cadence sensor
+  const cscState = {
+    device: null,
+    server: null,
+    cscService: null,
+    measurementChar: null,
     _disconnectHandler: null,
   };
 
   // Desired / preferred devices (the IDs we *want* to be connected to)
   let bikeDesiredDeviceId = null;
   let hrDesiredDeviceId = null;
+  let powerDesiredDeviceId = null;
+  let cscDesiredDeviceId = null;
 
   // Known device objects by ID (from getDevices or requestDevice)
   const bikeKnownDevices = new Map(); // id -> BluetoothDevice
   const hrKnownDevices = new Map(); // id -> BluetoothDevice
+  const powerKnownDevices = new Map(); // id -> BluetoothDevice
+  const cscKnownDevices = new Map(); // id -> BluetoothDevice
 
   // Auto-reconnect timers & delays
   let bikeAutoReconnectTimerId = null;
   let hrAutoReconnectTimerId = null;
+  let powerAutoReconnectTimerId = null;
+  let cscAutoReconnectTimerId = null;
 
   let bikeAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
   let hrAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+  let powerAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+  let cscAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
 
   // Connection flags (internal)
   let bikeConnected = false;
   let hrConnected = false;
+  let powerConnected = false;
+  let cscConnected = false;
 
   // Suppress auto-reconnect once (for manual disconnects)
   let bikeSuppressAutoReconnectOnce = false;
   let hrSuppressAutoReconnectOnce = false;
+  let powerSuppressAutoReconnectOnce = false;
+  let cscSuppressAutoReconnectOnce = false;
 
   // Global auto-reconnect enable flag
   let autoReconnectEnabled = true;
 
+  // Simulated trainer + HRM instead of Web Bluetooth (see virtual-devices.js)
+  let virtualDevicesEnabled = false;
+  let virtualDevices = null;
+
   function defaultStatusMessage(kind, state) {
     if (state === "connecting") return `Connecting to ${kind}…`;
+    if (state === "warning") return `${kind} refused a command.`;
     if (state === "connected") return `Connected to ${kind}.`;
     if (state === "error") return `Error with ${kind} connection.`;
     return "";
   }
 
+  // state: "connecting" | "connected" | "warning" | "error" | "".
+  // "warning" = still connected, but the trainer refused a command.
   function updateBikeStatus(state, message) {
-    bikeConnected = state === "connected";
+    bikeConnected = state === "connected" || state === "warning";
     const payload = {
       state,
       message: message ?? defaultStatusMessage("bike", state),
@@ -134,22 +354,105 @@ export const BleManager = (() => {
     emit("hrStatus", payload);
   }
 
+  function updatePowerStatus(state, message) {
+    powerConnected = state === "connected";
+    const payload = {
+      state,
+      message: message ?? defaultStatusMessage("power meter", state),
+    };
+    emit("powerStatus", payload);
+  }
+
+  function updateCscStatus(state, message) {
+    cscConnected = state === "connected";
+    const payload = {
+      state,
+      message: message ?? defaultStatusMessage("speed/cadence sensor", state),
+    };
+    emit("cscStatus", payload);
+  }
+
   // Last samples & battery
-  let lastBikeSample = {
-    power: null,
-    cadence: null,
-    speedKph: null,
-    hrFromBike: null,
-  };
+  // Indoor Bike Data fields; null until the trainer reports them.
+  function emptyBikeSample() {
+    return {
+      power: null,
+      avgPower: null,
+      cadence: null,
+      avgCadence: null,
+      speedKph: null,
+      avgSpeedKph: null,
+      totalDistanceM: null, // since the trainer's session started
+      resistanceLevel: null,
+      totalEnergyKcal: null,
+      energyPerHourKcal: null,
+      energyPerMinuteKcal: null,
+      hrFromBike: null,
+      metabolicEquivalent: null,
+      elapsedTimeSec: null,
+      remainingTimeSec: null,
+    };
+  }
+
+  let lastBikeSample = emptyBikeSample();
 
   let hrBatteryPercent = null;
+  let bikeBatteryPercent = null;
+
+  function emptyPowerSample() {
+    return {
+      power: null,
+      cadence: null,
+      // Percent of total power, from the pedal named by pedalBalanceRef.
+      pedalBalance: null,
+      pedalBalanceRef: null, // "left" | "unknown" | null
+      crankRevs: null,
+    };
+  }
+
+  let lastPowerSample = emptyPowerSample();
+
+  // Previous crank event, for deriving cadence from cumulative counters.
+  let lastCrankRevs = null;
+  let lastCrankEventTime = null; // 1/1024 s, wraps at 65536
+  let lastCrankEventAtMs = 0;
+
+  function emptyCscSample() {
+    return {
+      cadence: null,
+      speedKph: null,
+    };
+  }
+
+  let lastCscSample = emptyCscSample();
+
+  // Previous CSC events (cumulative counters + 1/1024 s event times).
+  let cscLastCrankRevs = null;
+  let cscLastCrankEventTime = null;
+  let cscLastCrankEventAtMs = 0;
+  let cscLastWheelRevs = null;
+  let cscLastWheelEventTime = null;
+  let cscLastWheelEventAtMs = 0;
+
+  // Last refused trainer command ({reason, opCode}), cleared on success.
+  let bikeControlWarning = null;
+
+  // Target the trainer last accepted from us ({kind, value}), so target
+  // change notifications can be told apart from another app's.
+  let lastTargetWritten = null;
+  // The machine reported a stop / pause; send startOrResume before the
+  // next target.
+  let bikeMachineStopped = false;
+  let lastTrainingStatus = null;
 
   // Trainer throttling
-  let lastTrainerMode = null; // "erg" | "resistance" | null
+  let lastTrainerMode = null; // "erg" | "resistance" | "sim" | null
   let lastErgTargetSent = null;
   let lastResistanceSent = null;
+  let lastSimKeySent = null;
   let lastErgSendTs = 0;
   let lastResistanceSendTs = 0;
+  let lastSimSendTs = 0;
 
   function nowSec() {
     return performance.now() / 1000;
@@ -166,25 +469,42 @@ export const BleManager = (() => {
       return {
         bikeId: ids?.bikeId || null,
         hrId: ids?.hrId || null,
+        powerId: ids?.powerId || null,
+        cscId: ids?.cscId || null,
       };
     } catch (err) {
       log("Failed to load saved BLE IDs: " + err);
-      return {bikeId: null, hrId: null};
+      return {bikeId: null, hrId: null, powerId: null, cscId: null};
     }
   }
 
+  // Virtual devices never replace the saved real ones.
   function saveBikeDeviceId(id) {
+    if (id === VIRTUAL_BIKE_ID) return;
     saveBikeBleDeviceId(id || null).catch((err) =>
       log("Failed to save bike device ID: " + err)
     );
   }
 
   function saveHrDeviceId(id) {
+    if (id === VIRTUAL_HR_ID) return;
     saveHrBleDeviceId(id || null).catch((err) =>
       log("Failed to save HR device ID: " + err)
     );
   }
 
+  function savePowerDeviceId(id) {
+    savePowerBleDeviceId(id || null).catch((err) =>
+      log("Failed to save power meter device ID: " + err)
+    );
+  }
+
+  function saveCscDeviceId(id) {
+    saveCscBleDeviceId(id || null).catch((err) =>
+      log("Failed to save speed/cadence sensor device ID: " + err)
+    );
+  }
+
   // ---------------------------------------------------------------------------
   // Auto-reconnect scheduling (per-device, exponential backoff)
   // ---------------------------------------------------------------------------
@@ -205,6 +525,22 @@ export const BleManager = (() => {
     }
   }
 
+  function cancelPowerAutoReconnect() {
+    if (powerAutoReconnectTimerId != null) {
+      clearTimeout(powerAutoReconnectTimerId);
+      powerAutoReconnectTimerId = null;
+      log("Power meter auto-reconnect cancelled.");
+    }
+  }
+
+  function cancelCscAutoReconnect() {
+    if (cscAutoReconnectTimerId != null) {
+      clearTimeout(cscAutoReconnectTimerId);
+      cscAutoReconnectTimerId = null;
+      log("Speed/cadence sensor auto-reconnect cancelled.");
+    }
+  }
+
   function scheduleBikeAutoReconnect(resetDelay = false) {
     if (!autoReconnectEnabled) return;
     if (!bikeDesiredDeviceId) return;
@@ -345,10 +681,153 @@ export const BleManager = (() => {
     }, hrAutoReconnectDelayMs);
   }
 
+  function schedulePowerAutoReconnect(resetDelay = false) {
+    if (!autoReconnectEnabled) return;
+    if (!powerDesiredDeviceId) return;
+
+    const device = powerKnownDevices.get(powerDesiredDeviceId);
+    if (!device) {
+      log(
+        "Power meter auto-reconnect skipped: desired device not known in powerKnownDevices."
+      );
+      return;
+    }
+
+    if (powerConnected) return;
+
+    if (resetDelay || !powerAutoReconnectDelayMs) {
+      powerAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+    }
+
+    cancelPowerAutoReconnect();
+
+    const friendlyName = device.name || "power meter";
+    updatePowerStatus(
+      "error",
+      `Device "${friendlyName}" disconnected. Will retry in ${Math.round(
+        powerAutoReconnectDelayMs / 1000
+      )}s…`
+    );
+
+    powerAutoReconnectTimerId = setTimeout(async () => {
+      powerAutoReconnectTimerId = null;
+
+      if (!autoReconnectEnabled) return;
+      if (!powerDesiredDeviceId) return;
+
+      const currentDesiredId = powerDesiredDeviceId;
+      const dev = powerKnownDevices.get(currentDesiredId);
+      if (!dev) {
+        log(
+          "Auto-reconnect (power): desired device missing from map; aborting attempt."
+        );
+        return;
+      }
+
+      const autoName = dev.name || "power meter";
+      log(`Auto-reconnect: attempting power meter reconnect to "${autoName}"…`);
+
+      try {
+        await connectToPowerMeter(dev, {isAuto: true});
+        log(`Auto-reconnect (power) attempt for "${autoName}" finished.`);
+        // Success path handled in connectToPowerMeter
+      } catch (err) {
+        log(`Auto-reconnect (power) failed for "${autoName}": ` + err);
+
+        const nextDelay = Math.min(
+          MAX_RECONNECT_DELAY_MS,
+          powerAutoReconnectDelayMs * 2
+        );
+        powerAutoReconnectDelayMs = nextDelay;
+
+        const msg =
+          `Connection to "${autoName}" failed: ` +
+          (err && err.message ? err.message : String(err)) +
+          ` — retrying in ${Math.round(nextDelay / 1000)}s…`;
+        updatePowerStatus("error", msg);
+
+        schedulePowerAutoReconnect(false);
+      }
+    }, powerAutoReconnectDelayMs);
+  }
+
+  function scheduleCscAutoReconnect(resetDelay = false) {
+    if (!autoReconnectEnabled) return;
+    if (!cscDesiredDeviceId) return;
+
+    const device = cscKnownDevices.get(cscDesiredDeviceId);
+    if (!device) {
+      log(
+        "CSC auto-reconnect skipped: desired device not known in cscKnownDevices."
+      );
+      return;
+    }
+
+    if (cscConnected) return;
+
+    if (resetDelay || !cscAutoReconnectDelayMs) {
+      cscAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+    }
+
+    cancelCscAutoReconnect();
+
+    const friendlyName = device.name || "speed/cadence sensor";
+    updateCscStatus(
+      "error",
+      `Device "${friendlyName}" disconnected. Will retry in ${Math.round(
+        cscAutoReconnectDelayMs / 1000
+      )}s…`
+    );
+
+    cscAutoReconnectTimerId = setTimeout(async () => {
+      cscAutoReconnectTimerId = null;
+
+      if (!autoReconnectEnabled) return;
+      if (!cscDesiredDeviceId) return;
+
+      const currentDesiredId = cscDesiredDeviceId;
+      const dev = cscKnownDevices.get(currentDesiredId);
+      if (!dev) {
+        log(
+          "Auto-reconnect (CSC): desired device missing from map; aborting attempt."
+        );
+        return;
+      }
+
+      const autoName = dev.name || "speed/cadence sensor";
+      log(`Auto-reconnect: attempting CSC reconnect to "${autoName}"…`);
+
+      try {
+        await connectToCsc(dev, {isAuto: true});
+        log(`Auto-reconnect (CSC) attempt for "${autoName}" finished.`);
+        // Success path handled in connectToCsc
+      } catch (err) {
+        log(`Auto-reconnect (CSC) failed for "${autoName}": ` + err);
+
+        const nextDelay = Math.min(
+          MAX_RECONNECT_DELAY_MS,
+          cscAutoReconnectDelayMs * 2
+        );
+        cscAutoReconnectDelayMs = nextDelay;
+
+        const msg =
+          `Connection to "${autoName}" failed: ` +
+          (err && err.message ? err.message : String(err)) +
+          ` — retrying in ${Math.round(nextDelay / 1000)}s…`;
+        updateCscStatus("error", msg);
+
+        scheduleCscAutoReconnect(false);
+      }
+    }, cscAutoReconnectDelayMs);
+  }
+
   // ---------------------------------------------------------------------------
   // Parsing helpers
   // ---------------------------------------------------------------------------
 
+  // Indoor Bike Data (0x2AD2). Each flag bit adds a field in this order;
+  // fields a notification leaves out keep their last value (trainers may
+  // split the record across notifications).
   function parseIndoorBikeData(dataView) {
     if (!dataView || dataView.byteLength < 4) return;
 
@@ -356,62 +835,110 @@ export const BleManager = (() => {
     const flags = dataView.getUint16(index, true);
     index += 2;
 
-    // Speed (km/h)
-    if ((flags & 0x0001) === 0 && dataView.byteLength >= index + 2) {
-      const raw = dataView.getUint16(index, true);
+    const has = (bytes) => dataView.byteLength >= index + bytes;
+    const s = lastBikeSample;
+
+    // Instantaneous speed (0.01 km/h); present when "More Data" is clear
+    if ((flags & 0x0001) === 0 && has(2)) {
+      s.speedKph = dataView.getUint16(index, true) / 100;
       index += 2;
-      lastBikeSample.speedKph = raw / 100.0;
     }
 
-    if (flags & (1 << 1)) index += 2;
+    // Average speed (0.01 km/h)
+    if (flags & (1 << 1) && has(2)) {
+      s.avgSpeedKph = dataView.getUint16(index, true) / 100;
+      index += 2;
+    }
 
-    // Cadence
-    if (flags & (1 << 2)) {
-      if (dataView.byteLength >= index + 2) {
-        const rawCad = dataView.getUint16(index, true);
-        index += 2;
-        lastBikeSample.cadence = rawCad / 2.0;
-      }
+    // Instantaneous cadence (0.5 rpm)
+    if (flags & (1 << 2) && has(2)) {
+      s.cadence = dataView.getUint16(index, true) / 2;
+      index += 2;
     }
 
-    if (flags & (1 << 3)) index += 2;
-    if (flags & (1 << 4)) index += 3;
-    if (flags & (1 << 5)) index += 1;
+    // Average cadence (0.5 rpm)
+    if (flags & (1 << 3) && has(2)) {
+      s.avgCadence = dataView.getUint16(index, true) / 2;
+      index += 2;
+    }
 
-    // Power
-    if (flags & (1 << 6)) {
-      if (dataView.byteLength >= index + 2) {
-        const power = dataView.getInt16(index, true);
-        index += 2;
-        lastBikeSample.power = power;
-      }
+    // Total distance (uint24, m)
+    if (flags & (1 << 4) && has(3)) {
+      s.totalDistanceM =
+        dataView.getUint16(index, true) | (dataView.getUint8(index + 2) << 16);
+      index += 3;
     }
 
-    if (flags & (1 << 7)) index += 2;
-    if (flags & (1 << 8)) index += 5;
+    // Resistance level (sint16, unitless)
+    if (flags & (1 << 5) && has(2)) {
+      s.resistanceLevel = dataView.getInt16(index, true);
+      index += 2;
+    }
 
-    // HR from bike (optional)
-    if (flags & (1 << 9)) {
-      if (dataView.byteLength >= index + 1) {
-        const hr = dataView.getUint8(index);
-        index += 1;
-        lastBikeSample.hrFromBike = hr;
-      }
+    // Instantaneous power (W)
+    if (flags & (1 << 6) && has(2)) {
+      s.power = dataView.getInt16(index, true);
+      index += 2;
+    }
+
+    // Average power (W)
+    if (flags & (1 << 7) && has(2)) {
+      s.avgPower = dataView.getInt16(index, true);
+      index += 2;
+    }
+
+    // Expended energy: total (uint16 kcal), per hour (uint16 kcal),
+    // per minute (uint8 kcal); all-ones means "not available".
+    if (flags & (1 << 8) && has(5)) {
+      const total = dataView.getUint16(index, true);
+      const perHour = dataView.getUint16(index + 2, true);
+      const perMinute = dataView.getUint8(index + 4);
+      s.totalEnergyKcal = total === 0xffff ? null : total;
+      s.energyPerHourKcal = perHour === 0xffff ? null : perHour;
+      s.energyPerMinuteKcal = perMinute === 0xff ? null : perMinute;
+      index += 5;
+    }
+
+    // Heart rate from the bike (bpm)
+    if (flags & (1 << 9) && has(1)) {
+      s.hrFromBike = dataView.getUint8(index);
+      index += 1;
+    }
+
+    // Metabolic equivalent (0.1)
+    if (flags & (1 << 10) && has(1)) {
+      s.metabolicEquivalent = dataView.getUint8(index) / 10;
+      index += 1;
+    }
+
+    // Elapsed time (s)
+    if (flags & (1 << 11) && has(2)) {
+      s.elapsedTimeSec = dataView.getUint16(index, true);
+      index += 2;
+    }
+
+    // Remaining time (s)
+    if (flags & (1 << 12) && has(2)) {
+      s.remainingTimeSec = dataView.getUint16(index, true);
+      index += 2;
     }
 
     log(
       `FTMS <- IndoorBikeData: flags=0x${flags
         .toString(16)
-        .padStart(4, "0")}, power=${lastBikeSample.power ?? "n/a"
-      }W, cad=${lastBikeSample.cadence != null
-        ? lastBikeSample.cadence.toFixed(1)
+        .padStart(4, "0")}, power=${s.power ?? "n/a"
+      }W, cad=${s.cadence != null
+        ? s.cadence.toFixed(1)
         : "n/a"
-      }rpm`
+      }rpm, dist=${s.totalDistanceM ?? "n/a"}m, res=${s.resistanceLevel ?? "n/a"}`
     );
 
     emit("bikeSample", {...lastBikeSample});
   }
 
+  // Heart Rate Measurement (0x2A37): flags, bpm (uint8 or uint16), then
+  // optional energy expended (uint16 kJ) and RR intervals (uint16,
+  // 1/1024 s each, as many as fit).
   function parseHrMeasurement(dataView) {
     if (!dataView || dataView.byteLength < 2) return;
 
@@ -423,85 +950,934 @@ export const BleManager = (() => {
     let hr;
     if (is16bit && dataView.byteLength >= offset + 2) {
       hr = dataView.getUint16(offset, true);
+      offset += 2;
     } else if (!is16bit) {
       hr = dataView.getUint8(offset);
+      offset += 1;
+    }
+
+    // Sensor contact: bit 2 = feature supported, bit 1 = contact detected.
+    const sensorContact = flags & (1 << 2) ? (flags & (1 << 1)) !== 0 : null;
+
+    let energyExpendedKj = null;
+    if (flags & (1 << 3) && dataView.byteLength >= offset + 2) {
+      energyExpendedKj = dataView.getUint16(offset, true);
+      offset += 2;
     }
 
-    log(`HRM <- HeartRateMeasurement: hr=${hr}bpm`);
+    const rrIntervalsMs = [];
+    if (flags & (1 << 4)) {
+      while (dataView.byteLength >= offset + 2) {
+        rrIntervalsMs.push(Math.round((dataView.getUint16(offset, true) * 1000) / 1024));
+        offset += 2;
+      }
+    }
+
+    log(
+      `HRM <- HeartRateMeasurement: hr=${hr}bpm` +
+      (rrIntervalsMs.length ? `, rr=${rrIntervalsMs.join("/")}ms` : "") +
+      (energyExpendedKj != null ? `, energy=${energyExpendedKj}kJ` : "")
+    );
     emit("hrSample", hr);
+    emit("hrMeasurement", {hr, sensorContact, energyExpendedKj, rrIntervalsMs});
   }
 
-  // ---------------------------------------------------------------------------
-  // FTMS control point / trainer state
-  // ---------------------------------------------------------------------------
+  // Cycling Power Measurement (0x2A63). Cadence is derived from the
+  // cumulative crank revolution counter when the meter sends one.
+  function parseCyclingPowerMeasurement(dataView) {
+    if (!dataView || dataView.byteLength < 4) return;
 
-  // Generic writer that doesn't depend on global bikeState (used during connect)
-  async function writeFtmsControlPoint(cpChar, opCode, sint16Param /* or null */) {
-    let buffer;
-    if (sint16Param == null) {
-      buffer = new Uint8Array([opCode]).buffer;
+    let index = 0;
+    const flags = dataView.getUint16(index, true);
+    index += 2;
+
+    lastPowerSample.power = dataView.getInt16(index, true);
+    index += 2;
+
+    // Pedal power balance (1/2 %)
+    if (flags & 0x0001) {
+      if (dataView.byteLength >= index + 1) {
+        const raw = dataView.getUint8(index);
+        index += 1;
+        lastPowerSample.pedalBalance = raw / 2.0;
+        lastPowerSample.pedalBalanceRef = flags & (1 << 1) ? "left" : "unknown";
+      }
     } else {
-      buffer = new ArrayBuffer(3);
-      const view = new DataView(buffer);
-      view.setUint8(0, opCode);
-      view.setInt16(1, sint16Param, true);
+      lastPowerSample.pedalBalance = null;
+      lastPowerSample.pedalBalanceRef = null;
+    }
+
+    // Accumulated torque
+    if (flags & (1 << 2)) index += 2;
+
+    // Wheel revolution data (cumulative revs + last event time)
+    if (flags & (1 << 4)) index += 6;
+
+    // Crank revolution data
+    const nowMs = performance.now();
+    if (flags & (1 << 5) && dataView.byteLength >= index + 4) {
+      const revs = dataView.getUint16(index, true);
+      const eventTime = dataView.getUint16(index + 2, true);
+      index += 4;
+
+      if (lastCrankRevs != null && lastCrankEventTime != null) {
+        const dRevs = (revs - lastCrankRevs + 0x10000) & 0xffff;
+        const dTime = (eventTime - lastCrankEventTime + 0x10000) & 0xffff;
+        if (dTime > 0 && dRevs > 0) {
+          lastPowerSample.cadence = (dRevs * 60 * 1024) / dTime;
+          lastCrankEventAtMs = nowMs;
+        }
+      }
+
+      lastCrankRevs = revs;
+      lastCrankEventTime = eventTime;
+      lastPowerSample.crankRevs = revs;
+    }
+
+    if (
+      lastPowerSample.cadence != null &&
+      nowMs - lastCrankEventAtMs > CRANK_STALE_MS
+    ) {
+      lastPowerSample.cadence = 0;
     }
 
-    const fn = cpChar.writeValueWithResponse || cpChar.writeValue;
-    await fn.call(cpChar, buffer);
+    log(
+      `CPS <- CyclingPowerMeasurement: flags=0x${flags
+        .toString(16)
+        .padStart(4, "0")}, power=${lastPowerSample.power}W, cad=${lastPowerSample.cadence != null
+        ? lastPowerSample.cadence.toFixed(1)
+        : "n/a"
+      }rpm, balance=${lastPowerSample.pedalBalance ?? "n/a"}`
+    );
+
+    emit("powerSample", {...lastPowerSample});
   }
 
-  // Uses committed bikeState.controlPointChar (for normal trainer operations)
-  async function sendFtmsControlPoint(opCode, sint16Param /* or null */) {
-    const cpChar = bikeState.controlPointChar;
-    if (!cpChar) {
-      log("FTMS CP write attempted, but control point characteristic not ready.");
-      throw new Error("FTMS Control Point characteristic not ready");
+  // CSC Measurement (0x2A5B): cadence and wheel speed from cumulative
+  // revolution counters. Either part may be absent depending on the sensor.
+  function parseCscMeasurement(dataView) {
+    if (!dataView || dataView.byteLength < 1) return;
+
+    let index = 0;
+    const flags = dataView.getUint8(index);
+    index += 1;
+    const nowMs = performance.now();
+
+    // Wheel revolution data: uint32 revs + uint16 event time (1/1024 s)
+    if (flags & 0x01 && dataView.byteLength >= index + 6) {
+      const revs = dataView.getUint32(index, true);
+      const eventTime = dataView.getUint16(index + 4, true);
+      index += 6;
+
+      if (cscLastWheelRevs != null && cscLastWheelEventTime != null) {
+        const dRevs = revs - cscLastWheelRevs;
+        const dTime = (eventTime - cscLastWheelEventTime + 0x10000) & 0xffff;
+        if (dTime > 0 && dRevs > 0) {
+          const mps = (dRevs * DEFAULT_WHEEL_CIRCUMFERENCE_M * 1024) / dTime;
+          lastCscSample.speedKph = mps * 3.6;
+          cscLastWheelEventAtMs = nowMs;
+        }
+      }
+
+      cscLastWheelRevs = revs;
+      cscLastWheelEventTime = eventTime;
     }
 
-    let buffer;
-    if (sint16Param == null) {
-      buffer = new Uint8Array([opCode]).buffer;
-    } else {
-      buffer = new ArrayBuffer(3);
-      const view = new DataView(buffer);
-      view.setUint8(0, opCode);
-      view.setInt16(1, sint16Param, true);
+    // Crank revolution data: uint16 revs + uint16 event time (1/1024 s)
+    if (flags & 0x02 && dataView.byteLength >= index + 4) {
+      const revs = dataView.getUint16(index, true);
+      const eventTime = dataView.getUint16(index + 2, true);
+      index += 4;
+
+      if (cscLastCrankRevs != null && cscLastCrankEventTime != null) {
+        const dRevs = (revs - cscLastCrankRevs + 0x10000) & 0xffff;
+        const dTime = (eventTime - cscLastCrankEventTime + 0x10000) & 0xffff;
+        if (dTime > 0 && dRevs > 0) {
+          lastCscSample.cadence = (dRevs * 60 * 1024) / dTime;
+          cscLastCrankEventAtMs = nowMs;
+        }
+      }
+
+      cscLastCrankRevs = revs;
+      cscLastCrankEventTime = eventTime;
+    }
+
+    if (
+      lastCscSample.cadence != null &&
+      nowMs - cscLastCrankEventAtMs > CRANK_STALE_MS
+    ) {
+      lastCscSample.cadence = 0;
+    }
+    if (
+      lastCscSample.speedKph != null &&
+      nowMs - cscLastWheelEventAtMs > CRANK_STALE_MS
+    ) {
+      lastCscSample.speedKph = 0;
     }
 
     log(
-      `FTMS CP -> opCode=0x${opCode.toString(16)}, param=${sint16Param ?? "none"}`
+      `CSC <- CSCMeasurement: flags=0x${flags
+        .toString(16)
+        .padStart(2, "0")}, cad=${lastCscSample.cadence != null
+        ? lastCscSample.cadence.toFixed(1)
+        : "n/a"
+      }rpm, speed=${lastCscSample.speedKph != null
+        ? lastCscSample.speedKph.toFixed(1)
+        : "n/a"
+      }km/h`
     );
 
-    const fn = cpChar.writeValueWithResponse || cpChar.writeValue;
-    await fn.call(cpChar, buffer);
+    emit("cscSample", {...lastCscSample});
   }
 
-  async function sendErgSetpointRaw(targetWatts) {
-    if (!bikeState.controlPointChar) return;
-    const val = Math.max(0, Math.min(2000, targetWatts | 0));
+  function resetCscSample() {
+    lastCscSample = emptyCscSample();
+    cscLastCrankRevs = null;
+    cscLastCrankEventTime = null;
+    cscLastCrankEventAtMs = 0;
+    cscLastWheelRevs = null;
+    cscLastWheelEventTime = null;
+    cscLastWheelEventAtMs = 0;
+  }
+
+  function resetPowerSample() {
+    lastPowerSample = emptyPowerSample();
+    lastCrankRevs = null;
+    lastCrankEventTime = null;
+    lastCrankEventAtMs = 0;
+  }
+
+  function decodeFeatureBits(value, bits) {
+    const out = {};
+    for (const [name, bit] of Object.entries(bits)) {
+      out[name] = ((value >>> bit) & 1) === 1;
+    }
+    return out;
+  }
+
+  /**
+   * Read Device Information (0x180A) on a connected server. Non-fatal:
+   * strings the device doesn't provide (or the whole service) stay null.
+   *
+   * Returns: {name, manufacturer, model, hardwareRevision,
+   * firmwareRevision, softwareRevision}
+   */
+  async function readDeviceInformation(server, friendlyName) {
+    const info = {name: friendlyName};
+    for (const key of Object.keys(DEVICE_INFO_CHARS)) info[key] = null;
+
+    let service;
     try {
-      await sendFtmsControlPoint(FTMS_OPCODES.setTargetPower, val);
-      log(`ERG target → ${val} W`);
+      service = await server.getPrimaryService(DEVICE_INFORMATION_SERVICE_UUID);
     } catch (err) {
-      log("Failed to set ERG target: " + err);
+      log(`Device Information unavailable on "${friendlyName}" (non-fatal): ` + err);
+      return info;
+    }
+
+    const decoder = new TextDecoder();
+    for (const [key, uuid] of Object.entries(DEVICE_INFO_CHARS)) {
+      try {
+        const ch = await service.getCharacteristic(uuid);
+        const dv = await ch.readValue();
+        const text = decoder
+          .decode(new Uint8Array(dv.buffer, dv.byteOffset, dv.byteLength))
+          .replace(/\0+$/, "")
+          .trim();
+        info[key] = text || null;
+      } catch {
+        // Not provided by this device.
+      }
     }
+
+    log(
+      `Device information for "${friendlyName}": ` +
+      `${info.manufacturer || "?"} ${info.model || "?"}, ` +
+      `hw=${info.hardwareRevision || "?"}, fw=${info.firmwareRevision || "?"}, ` +
+      `sw=${info.softwareRevision || "?"}`
+    );
+    return info;
   }
 
-  async function sendResistanceLevelRaw(level) {
-    if (!bikeState.controlPointChar) return;
-    const clamped = Math.max(0, Math.min(100, level | 0));
-    const tenth = clamped * 10;
+  // Battery Level (0x2A19) from an optional Battery service; null if the
+  // service is missing or the read fails.
+  async function readBatteryLevel(batteryService, friendlyName) {
+    if (!batteryService) return null;
     try {
-      await sendFtmsControlPoint(FTMS_OPCODES.setTargetResistanceLevel, tenth);
-      log(`Resistance level → ${clamped}`);
+      const ch = await batteryService.getCharacteristic(BATTERY_LEVEL_CHAR);
+      const val = await ch.readValue();
+      return val.getUint8(0);
     } catch (err) {
-      log("Failed to set resistance: " + err);
+      log(`Battery read failed for "${friendlyName}" (non-fatal): ` + err);
+      return null;
     }
   }
 
-  async function setTrainerStateInternal(state, {force = false} = {}) {
-    if (!bikeConnected || !bikeState.controlPointChar) return;
+  // Supported Power / Resistance Level Range: sint16 min, sint16 max,
+  // uint16 increment. Resistance is in FTMS units of 0.1, converted here.
+  function parseSupportedRange(dataView, scale = 1) {
+    if (!dataView || dataView.byteLength < 6) return null;
+    const min = dataView.getInt16(0, true) * scale;
+    const max = dataView.getInt16(2, true) * scale;
+    const increment = dataView.getUint16(4, true) * scale;
+    if (!(max > min)) return null;
+    return {min, max, increment: increment > 0 ? increment : scale};
+  }
+
+  /**
+   * Read the optional FTMS feature / range characteristics. Each read is
+   * non-fatal; missing values stay null and the defaults apply.
+   */
+  async function readBikeCapabilities(ftmsService, friendlyName) {
+    const caps = {
+      machineFeatures: null,
+      targetFeatures: null,
+      powerRange: null,
+      resistanceRange: null,
+    };
+
+    const readChar = async (uuid, label) => {
+      try {
+        const ch = await ftmsService.getCharacteristic(uuid);
+        return await ch.readValue();
+      } catch (err) {
+        log(`${label} read failed for "${friendlyName}" (non-fatal): ` + err);
+        return null;
+      }
+    };
+
+    const feature = await readChar(FTMS_FEATURE_CHAR, "FTMS Feature");
+    if (feature && feature.byteLength >= 8) {
+      caps.machineFeatures = decodeFeatureBits(
+        feature.getUint32(0, true),
+        FTMS_MACHINE_FEATURE_BITS
+      );
+      caps.targetFeatures = decodeFeatureBits(
+        feature.getUint32(4, true),
+        FTMS_TARGET_FEATURE_BITS
+      );
+    }
+
+    caps.powerRange = parseSupportedRange(
+      await readChar(FTMS_SUPPORTED_POWER_RANGE_CHAR, "Supported Power Range")
+    );
+    caps.resistanceRange = parseSupportedRange(
+      await readChar(
+        FTMS_SUPPORTED_RESISTANCE_RANGE_CHAR,
+        "Supported Resistance Level Range"
+      ),
+      0.1
+    );
+
+    log(
+      `FTMS capabilities for "${friendlyName}": ` +
+      `power=${caps.targetFeatures ? caps.targetFeatures.power : "?"} ` +
+      `${caps.powerRange ? `${caps.powerRange.min}–${caps.powerRange.max}W` : ""}, ` +
+      `resistance=${caps.targetFeatures ? caps.targetFeatures.resistance : "?"} ` +
+      `${caps.resistanceRange ? `${caps.resistanceRange.min}–${caps.resistanceRange.max}` : ""}`
+    );
+
+    return caps;
+  }
+
+  /**
+   * Whether the connected trainer accepts a target kind ("erg" |
+   * "resistance" | "sim"). Trainers that don't publish the feature characteristic
+   * are assumed to support both.
+   */
+  function bikeSupportsTarget(kind) {
+    const targets = bikeState.capabilities?.targetFeatures;
+    if (!targets) return true;
+    if (kind === "erg") return targets.power;
+    if (kind === "resistance") return targets.resistance;
+    if (kind === "sim") return targets.indoorBikeSimulation;
+    return false;
+  }
+
+  function clampToRange(value, range) {
+    const clamped = Math.max(range.min, Math.min(range.max, value));
+    const steps = Math.round((clamped - range.min) / range.increment);
+    return Math.min(range.max, range.min + steps * range.increment);
+  }
+
+  // ---------------------------------------------------------------------------
+  // FTMS control point / trainer state
+  // ---------------------------------------------------------------------------
+
+  function hex2(n) {
+    return "0x" + n.toString(16).padStart(2, "0");
+  }
+
+  function int16Param(value) {
+    const buffer = new ArrayBuffer(2);
+    new DataView(buffer).setInt16(0, value, true);
+    return new Uint8Array(buffer);
+  }
+
+  // Control point procedures run one at a time: FTMS allows a single
+  // outstanding request, answered by a Response Code (0x80) indication.
+  let cpQueue = Promise.resolve();
+  let cpPending = null; // {cpChar, opCode, resolve, timer}
+
+  function handleControlPointIndication(ev) {
+    const dv = ev.target.value;
+    recordBleEvent("bike", "notify", FTMS_CONTROL_POINT_CHAR, dv);
+    if (!dv || dv.byteLength < 3) return;
+    const op = dv.getUint8(0);
+    const reqOp = dv.getUint8(1);
+    const resCode = dv.getUint8(2);
+    log(
+      `FTMS CP <- Indication: op=${hex2(op)}, req=${hex2(reqOp)}, result=${hex2(resCode)}`
+    );
+
+    if (op !== FTMS_RESPONSE_OPCODE) return;
+    if (!cpPending || cpPending.cpChar !== ev.target || cpPending.opCode !== reqOp) {
+      log(`FTMS CP response for ${hex2(reqOp)} with no matching request; ignored.`);
+      return;
+    }
+
+    const {resolve, timer} = cpPending;
+    cpPending = null;
+    clearTimeout(timer);
+    resolve({
+      resultCode: resCode,
+      reason: FTMS_RESULT_REASONS[resCode] || "unknown",
+      // Response parameters (e.g. spin down target speeds) follow the code.
+      params: new DataView(dv.buffer, dv.byteOffset + 3, dv.byteLength - 3),
+    });
+  }
+
+  /**
+   * Write a control point request and wait for its response indication.
+   * Resolves with {resultCode, reason, params}. Rejects with an Error
+   * carrying `reason` / `resultCode` / `opCode` when the trainer answers
+   * anything but success. A missing response is logged and resolved with
+   * reason "timeout": some trainers never indicate.
+   */
+  function controlPointRequest(cpChar, opCode, params = null) {
+    const run = async () => {
+      const bytes = new Uint8Array(1 + (params ? params.byteLength : 0));
+      bytes[0] = opCode;
+      if (params) bytes.set(params, 1);
+      recordBleEvent("bike", "write", FTMS_CONTROL_POINT_CHAR, new DataView(bytes.buffer));
+
+      const response = new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          if (cpPending && cpPending.timer === timer) cpPending = null;
+          resolve({resultCode: null, reason: "timeout", params: null});
+        }, FTMS_CP_RESPONSE_TIMEOUT_MS);
+        cpPending = {cpChar, opCode, resolve, timer};
+      });
+
+      try {
+        const fn = cpChar.writeValueWithResponse || cpChar.writeValue;
+        await fn.call(cpChar, bytes.buffer);
+      } catch (err) {
+        if (cpPending && cpPending.opCode === opCode) {
+          clearTimeout(cpPending.timer);
+          cpPending = null;
+        }
+        throw err;
+      }
+
+      const res = await response;
+      if (res.reason === "timeout") {
+        log(`FTMS CP: no response to ${hex2(opCode)} within ${FTMS_CP_RESPONSE_TIMEOUT_MS}ms.`);
+        return res;
+      }
+      if (res.reason !== "success") {
+        const err = new Error(
+          `FTMS request ${hex2(opCode)} failed: ${FTMS_RESULT_MESSAGES[res.reason] || res.reason}`
+        );
+        err.reason = res.reason;
+        err.resultCode = res.resultCode;
+        err.opCode = opCode;
+        throw err;
+      }
+      return res;
+    };
+
+    const p = cpQueue.then(run, run);
+    cpQueue = p.catch(() => {});
+    return p;
+  }
+
+  // Generic writer that doesn't depend on global bikeState (used during connect)
+  async function writeFtmsControlPoint(cpChar, opCode, sint16Param /* or null */) {
+    return controlPointRequest(
+      cpChar,
+      opCode,
+      sint16Param == null ? null : int16Param(sint16Param)
+    );
+  }
+
+  // Uses committed bikeState.controlPointChar (for normal trainer operations)
+  async function sendFtmsControlPoint(opCode, params /* Uint8Array or null */) {
+    const cpChar = bikeState.controlPointChar;
+    if (!cpChar) {
+      log("FTMS CP write attempted, but control point characteristic not ready.");
+      throw new Error("FTMS Control Point characteristic not ready");
+    }
+
+    log(
+      `FTMS CP -> opCode=${hex2(opCode)}, params=${params ? Array.from(params).join(",") : "none"}`
+    );
+
+    return controlPointRequest(cpChar, opCode, params);
+  }
+
+  /**
+   * Send a request. If the trainer says we no longer have control,
+   * re-request it and retry once; any other refusal is thrown.
+   */
+  async function sendWithControl(opCode, params) {
+    try {
+      return await sendFtmsControlPoint(opCode, params);
+    } catch (err) {
+      if (err.reason !== "controlNotPermitted") throw err;
+    }
+
+    log("Trainer reports control not permitted; re-requesting control.");
+    await sendFtmsControlPoint(FTMS_OPCODES.requestControl, null);
+    await sendFtmsControlPoint(FTMS_OPCODES.startOrResume, null);
+    const res = await sendFtmsControlPoint(opCode, params);
+    log("Trainer control re-acquired.");
+    return res;
+  }
+
+  /**
+   * Send a trainer command via sendWithControl(). Refusals are reported
+   * through a "warning" bikeStatus so the UI can tell the rider.
+   */
+  async function sendControlCommand(opCode, params, description) {
+    try {
+      const res = await sendWithControl(opCode, params);
+      clearBikeControlWarning();
+      return res;
+    } catch (err) {
+      reportControlFailure(err, description);
+      return null;
+    }
+  }
+
+  function reportControlFailure(err, description) {
+    const detail =
+      FTMS_RESULT_MESSAGES[err.reason] || (err && err.message ? err.message : String(err));
+    const message = `Trainer rejected ${description}: ${detail}`;
+    log(message);
+    if (!bikeConnected) return;
+    bikeControlWarning = {reason: err.reason || "error", opCode: err.opCode ?? null};
+    updateBikeStatus("warning", message);
+  }
+
+  function clearBikeControlWarning() {
+    if (!bikeControlWarning) return;
+    bikeControlWarning = null;
+    if (bikeConnected) updateBikeStatus("connected");
+  }
+
+  /**
+   * Raw senders resolve true once the trainer accepted the target, false
+   * when it was not sent or was refused.
+   */
+  async function sendErgSetpointRaw(targetWatts) {
+    if (!bikeState.controlPointChar) return false;
+    if (!bikeSupportsTarget("erg")) {
+      log("Trainer does not support target power; ERG target not sent.");
+      return false;
+    }
+    const range = bikeState.capabilities?.powerRange || DEFAULT_POWER_RANGE;
+    const val = Math.round(clampToRange(targetWatts | 0, range));
+    try {
+      const res = await sendControlCommand(
+        FTMS_OPCODES.setTargetPower,
+        int16Param(val),
+        `ERG target ${val} W`
+      );
+      if (res) {
+        lastTargetWritten = {kind: "erg", value: val};
+        log(`ERG target → ${val} W`);
+      }
+      return !!res;
+    } catch (err) {
+      log("Failed to set ERG target: " + err);
+      return false;
+    }
+  }
+
+  async function sendResistanceLevelRaw(level) {
+    if (!bikeState.controlPointChar) return false;
+    if (!bikeSupportsTarget("resistance")) {
+      log("Trainer does not support target resistance; level not sent.");
+      return false;
+    }
+    // The app works in 0–100; spread that over the trainer's own range.
+    const range = bikeState.capabilities?.resistanceRange || DEFAULT_RESISTANCE_RANGE;
+    const pct = Math.max(0, Math.min(100, Number(level) || 0));
+    const trainerLevel =
+      Math.round(clampToRange(range.min + ((range.max - range.min) * pct) / 100, range) * 10) /
+      10;
+    const tenth = Math.round(trainerLevel * 10);
+    try {
+      const res = await sendControlCommand(
+        FTMS_OPCODES.setTargetResistanceLevel,
+        int16Param(tenth),
+        `resistance level ${trainerLevel}`
+      );
+      if (res) {
+        lastTargetWritten = {kind: "resistance", value: tenth};
+        log(`Resistance level → ${pct}% (${trainerLevel} on the trainer)`);
+      }
+      return !!res;
+    } catch (err) {
+      log("Failed to set resistance: " + err);
+      return false;
+    }
+  }
+
+  /**
+   * Simulation parameters in rider units, rounded to FTMS resolution:
+   * grade %, windSpeed m/s, crr (rolling resistance), cw (kg/m, wind
+   * resistance coefficient).
+   */
+  function normaliseSimParams(p = {}) {
+    const num = (v, fallback) => (Number.isFinite(Number(v)) ? Number(v) : fallback);
+    return {
+      grade: Math.round(Math.max(-40, Math.min(40, num(p.grade, 0))) * 100) / 100,
+      windSpeed: Math.round(Math.max(-32, Math.min(32, num(p.windSpeed, 0))) * 1000) / 1000,
+      crr: Math.round(Math.max(0, Math.min(0.0255, num(p.crr, 0.004))) * 10000) / 10000,
+      cw: Math.round(Math.max(0, Math.min(2.55, num(p.cw, 0.51))) * 100) / 100,
+    };
+  }
+
+  function simParamsKey(p) {
+    return `grade=${p.grade}%, wind=${p.windSpeed}m/s, crr=${p.crr}, cw=${p.cw}`;
+  }
+
+  // Set Indoor Bike Simulation Parameters (0x11): sint16 wind speed
+  // (0.001 m/s), sint16 grade (0.01 %), uint8 Crr (0.0001), uint8 Cw
+  // (0.01 kg/m).
+  async function sendSimulationRaw(params) {
+    if (!bikeState.controlPointChar) return false;
+    if (!bikeSupportsTarget("sim")) {
+      log("Trainer does not support simulation; parameters not sent.");
+      return false;
+    }
+    const buffer = new ArrayBuffer(6);
+    const view = new DataView(buffer);
+    view.setInt16(0, Math.round(params.windSpeed * 1000), true);
+    view.setInt16(2, Math.round(params.grade * 100), true);
+    view.setUint8(4, Math.round(params.crr * 10000));
+    view.setUint8(5, Math.round(params.cw * 100));
+    try {
+      const res = await sendControlCommand(
+        FTMS_OPCODES.setIndoorBikeSimulationParameters,
+        new Uint8Array(buffer),
+        `simulation grade ${params.grade}%`
+      );
+      if (res) {
+        lastTargetWritten = {kind: "sim", value: Math.round(params.grade * 100)};
+        log(`Simulation → ${simParamsKey(params)}`);
+      }
+      return !!res;
+    } catch (err) {
+      log("Failed to set simulation parameters: " + err);
+      return false;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Spin down calibration
+  // ---------------------------------------------------------------------------
+
+  // Procedure: send Spin Down Control (start); the response carries the
+  // target speed range. The rider speeds up into it, the trainer asks
+  // them to stop pedaling via Fitness Machine Status, then reports
+  // success or error the same way.
+
+  // {state, message, targetSpeedLowKph, targetSpeedHighKph}; state is
+  // "requested" | "speedUp" | "stopPedaling" | "success" | "error" |
+  // "cancelled".
+  let spinDownStatus = null;
+  let spinDownActive = false;
+  let spinDownTimer = null;
+
+  function updateSpinDown(state, message) {
+    const done = state === "success" || state === "error" || state === "cancelled";
+    spinDownStatus = {
+      targetSpeedLowKph: spinDownStatus?.targetSpeedLowKph ?? null,
+      targetSpeedHighKph: spinDownStatus?.targetSpeedHighKph ?? null,
+      state,
+      message,
+    };
+    log(`Spin down: ${state}. ${message}`);
+
+    if (done && spinDownActive) {
+      spinDownActive = false;
+      clearTimeout(spinDownTimer);
+      spinDownTimer = null;
+      // Trainers drop out of their controlled mode for the spin down;
+      // make sure the next target is sent even if unchanged.
+      lastTrainerMode = null;
+      if (bikeConnected) reacquireControl();
+    }
+    emit("spinDown", {...spinDownStatus});
+  }
+
+  async function reacquireControl() {
+    try {
+      // Queue both now so they go out ahead of the next target.
+      await Promise.all([
+        sendFtmsControlPoint(FTMS_OPCODES.requestControl, null),
+        sendFtmsControlPoint(FTMS_OPCODES.startOrResume, null),
+      ]);
+    } catch (err) {
+      log("Re-requesting control after spin down failed: " + err);
+    }
+  }
+
+  function speedRangeText() {
+    const lo = spinDownStatus?.targetSpeedLowKph;
+    const hi = spinDownStatus?.targetSpeedHighKph;
+    if (lo == null || hi == null) return "";
+    return ` to ${lo.toFixed(1)}–${hi.toFixed(1)} km/h`;
+  }
+
+  async function startSpinDown() {
+    if (spinDownActive) return;
+    spinDownStatus = null;
+
+    if (!bikeConnected || !bikeState.controlPointChar) {
+      updateSpinDown("error", "Connect a trainer first.");
+      return;
+    }
+    const targets = bikeState.capabilities?.targetFeatures;
+    if (targets && !targets.spinDown) {
+      updateSpinDown("error", "This trainer does not support spin down calibration.");
+      return;
+    }
+    if (!bikeState.machineStatusChar) {
+      updateSpinDown(
+        "error",
+        "This trainer does not report machine status, so spin down progress can't be followed."
+      );
+      return;
+    }
+
+    spinDownActive = true;
+    spinDownTimer = setTimeout(() => {
+      updateSpinDown("error", "Spin down timed out. Try again.");
+    }, SPIN_DOWN_TIMEOUT_MS);
+    updateSpinDown("requested", "Requesting spin down…");
+
+    let res;
+    try {
+      res = await sendWithControl(
+        FTMS_OPCODES.spinDownControl,
+        new Uint8Array([FTMS_SPIN_DOWN_START])
+      );
+    } catch (err) {
+      const detail = FTMS_RESULT_MESSAGES[err.reason] || err.message || String(err);
+      if (spinDownActive) updateSpinDown("error", `Trainer refused spin down: ${detail}.`);
+      return;
+    }
+    if (!spinDownActive) return;
+
+    // Response parameters: uint16 target speed low / high, 0.01 km/h.
+    const params = res?.params;
+    if (params && params.byteLength >= 4) {
+      spinDownStatus.targetSpeedLowKph = params.getUint16(0, true) / 100;
+      spinDownStatus.targetSpeedHighKph = params.getUint16(2, true) / 100;
+    }
+    // The trainer may already have moved on via a status notification.
+    if (spinDownStatus.state === "requested") {
+      updateSpinDown(
+        "speedUp",
+        `Speed up${speedRangeText()} and hold it until asked to stop pedaling.`
+      );
+    }
+  }
+
+  async function cancelSpinDown() {
+    if (!spinDownActive) return;
+    try {
+      await sendFtmsControlPoint(
+        FTMS_OPCODES.spinDownControl,
+        new Uint8Array([FTMS_SPIN_DOWN_IGNORE])
+      );
+    } catch (err) {
+      log("Spin down cancel failed: " + err);
+    }
+    if (spinDownActive) updateSpinDown("cancelled", "Spin down cancelled.");
+  }
+
+  function handleSpinDownStatus(code) {
+    const status = FTMS_SPIN_DOWN_STATUS[code] || "unknown";
+    if (!spinDownActive) {
+      log(`Spin down status ${status} with no spin down in progress; ignored.`);
+      return;
+    }
+    if (status === "requested") {
+      updateSpinDown(
+        "speedUp",
+        `Speed up${speedRangeText()} and hold it until asked to stop pedaling.`
+      );
+    } else if (status === "stopPedaling") {
+      updateSpinDown("stopPedaling", "Stop pedaling and let the flywheel coast to a stop.");
+    } else if (status === "success") {
+      updateSpinDown("success", "Spin down calibration succeeded.");
+    } else if (status === "error") {
+      updateSpinDown("error", "Trainer reported a spin down error. Try again.");
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fitness Machine Status / Training Status
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Decode a Fitness Machine Status notification: an op code followed by
+   * op-specific parameters. Returns {type, opCode, ...params}; target
+   * changes carry `ownTarget` (true when it's the value we last wrote).
+   */
+  function parseMachineStatus(dv) {
+    const opCode = dv.getUint8(0);
+    const status = {
+      type: FTMS_MACHINE_STATUS_TYPES[opCode] || "unknown",
+      opCode,
+    };
+    const len = dv.byteLength;
+    const own = (kind, value) =>
+      lastTargetWritten?.kind === kind && lastTargetWritten.value === value;
+
+    switch (opCode) {
+      case 0x02:
+        if (len >= 2) status.paused = dv.getUint8(1) === 0x02;
+        break;
+      case 0x05:
+        if (len >= 3) status.targetSpeedKph = dv.getUint16(1, true) / 100;
+        break;
+      case 0x06:
+        if (len >= 3) status.targetIncline = dv.getInt16(1, true) / 10;
+        break;
+      case 0x07:
+        // uint8 tenths here, though we send sint16 tenths; compare the
+        // low byte so levels above 25.5 still match.
+        if (len >= 2) {
+          const tenth = dv.getUint8(1);
+          status.targetResistanceLevel = tenth / 10;
+          status.ownTarget =
+            lastTargetWritten?.kind === "resistance" &&
+            (lastTargetWritten.value & 0xff) === tenth;
+        }
+        break;
+      case 0x08:
+        if (len >= 3) {
+          status.targetPower = dv.getInt16(1, true);
+          status.ownTarget = own("erg", status.targetPower);
+        }
+        break;
+      case 0x09:
+        if (len >= 2) status.targetHeartRate = dv.getUint8(1);
+        break;
+      case 0x12:
+        if (len >= 7) {
+          status.windSpeed = dv.getInt16(1, true) / 1000;
+          const gradeHundredths = dv.getInt16(3, true);
+          status.grade = gradeHundredths / 100;
+          status.crr = dv.getUint8(5) / 10000;
+          status.cw = dv.getUint8(6) / 100;
+          status.ownTarget = own("sim", gradeHundredths);
+        }
+        break;
+      case 0x13:
+        if (len >= 3) status.wheelCircumferenceMm = dv.getUint16(1, true) / 10;
+        break;
+      case 0x14:
+        if (len >= 2) status.spinDown = FTMS_SPIN_DOWN_STATUS[dv.getUint8(1)] || "unknown";
+        break;
+      case 0x15:
+        if (len >= 3) status.targetCadence = dv.getUint16(1, true) / 2;
+        break;
+      default:
+        break;
+    }
+    return status;
+  }
+
+  function handleMachineStatus(ev) {
+    if (ev.target !== bikeState.machineStatusChar) return;
+    recordBleEvent("bike", "notify", FITNESS_MACHINE_STATUS_CHAR, ev.target.value);
+    applyMachineStatus(ev.target.value);
+  }
+
+  function applyMachineStatus(dv) {
+    if (!dv || dv.byteLength < 1) return;
+
+    const status = parseMachineStatus(dv);
+    log(`FTMS status <- ${status.type} (op=${hex2(status.opCode)})`);
+
+    if (status.opCode === FTMS_STATUS_SPIN_DOWN && dv.byteLength >= 2) {
+      handleSpinDownStatus(dv.getUint8(1));
+    }
+    if (
+      status.type === "stoppedOrPausedByUser" ||
+      status.type === "stoppedBySafetyKey"
+    ) {
+      bikeMachineStopped = true;
+    } else if (status.type === "startedOrResumedByUser") {
+      bikeMachineStopped = false;
+    }
+    if (status.type === "reset" || status.type === "controlPermissionLost") {
+      // Whatever we sent last is gone; don't let throttling skip the resend.
+      lastTrainerMode = null;
+      lastTargetWritten = null;
+    }
+
+    emit("bikeMachineStatus", status);
+  }
+
+  // Training Status (0x2AD3): flags, status, optional UTF-8 string.
+  function parseTrainingStatus(dv) {
+    if (!dv || dv.byteLength < 2) return null;
+    const flags = dv.getUint8(0);
+    const code = dv.getUint8(1);
+    let text = null;
+    if (flags & 0x01 && dv.byteLength > 2) {
+      text = new TextDecoder().decode(
+        new Uint8Array(dv.buffer, dv.byteOffset + 2, dv.byteLength - 2)
+      );
+    }
+    return {status: FTMS_TRAINING_STATUS[code] || "unknown", code, text};
+  }
+
+  function handleTrainingStatus(ev) {
+    if (ev.target !== bikeState.trainingStatusChar) return;
+    recordBleEvent("bike", "notify", FTMS_TRAINING_STATUS_CHAR, ev.target.value);
+    applyTrainingStatus(ev.target.value);
+  }
+
+  function applyTrainingStatus(dv) {
+    const status = parseTrainingStatus(dv);
+    if (!status) return;
+    lastTrainingStatus = status;
+    log(`FTMS training status <- ${status.status}${status.text ? ` ("${status.text}")` : ""}`);
+    emit("bikeTrainingStatus", {...status});
+  }
+
+  async function setTrainerStateInternal(state, {force = false} = {}) {
+    if (!bikeConnected || !bikeState.controlPointChar) return;
+    // Any target would abort the spin down.
+    if (spinDownActive) return;
+
+    if (bikeMachineStopped) {
+      bikeMachineStopped = false;
+      log("Trainer was stopped; sending startOrResume before the next target.");
+      try {
+        await sendWithControl(FTMS_OPCODES.startOrResume, null);
+      } catch (err) {
+        log("startOrResume after machine stop failed: " + err);
+      }
+    }
 
     const tNow = nowSec();
 
@@ -517,10 +1893,12 @@ export const BleManager = (() => {
         log(
           `TrainerState: ERG, target=${target}, force=${force}, lastTarget=${lastErgTargetSent}, lastMode=${lastTrainerMode}`
         );
-        await sendErgSetpointRaw(target);
-        lastTrainerMode = "erg";
-        lastErgTargetSent = target;
-        lastErgSendTs = tNow;
+        // Only remember targets the trainer took, so a refused one is retried.
+        if (await sendErgSetpointRaw(target)) {
+          lastTrainerMode = "erg";
+          lastErgTargetSent = target;
+          lastErgSendTs = tNow;
+        }
       }
     } else if (state.kind === "resistance") {
       const target = Math.round(state.value);
@@ -534,14 +1912,61 @@ export const BleManager = (() => {
         log(
           `TrainerState: RESISTANCE, level=${target}, force=${force}, lastLevel=${lastResistanceSent}, lastMode=${lastTrainerMode}`
         );
-        await sendResistanceLevelRaw(target);
-        lastTrainerMode = "resistance";
-        lastResistanceSent = target;
-        lastResistanceSendTs = tNow;
+        if (await sendResistanceLevelRaw(target)) {
+          lastTrainerMode = "resistance";
+          lastResistanceSent = target;
+          lastResistanceSendTs = tNow;
+        }
+      }
+    } else if (state.kind === "sim") {
+      const params = normaliseSimParams(state.value);
+      const key = simParamsKey(params);
+      const needsSend =
+        force ||
+        lastTrainerMode !== "sim" ||
+        lastSimKeySent !== key ||
+        tNow - lastSimSendTs >= TRAINER_SEND_MIN_INTERVAL_SEC;
+
+      if (needsSend) {
+        log(
+          `TrainerState: SIM, ${key}, force=${force}, last=${lastSimKeySent}, lastMode=${lastTrainerMode}`
+        );
+        if (await sendSimulationRaw(params)) {
+          lastTrainerMode = "sim";
+          lastSimKeySent = key;
+          lastSimSendTs = tNow;
+        }
       }
     }
   }
 
+  // Each setpoint waits for the trainer's response, so a slow trainer would
+  // otherwise build a backlog of stale targets (e.g. during a ramp). While
+  // one is in flight, a newer state replaces whatever is waiting.
+  let queuedTrainerState = null; // {state, force}
+  let trainerStateDrain = null;
+
+  function setLatestTrainerState(state, {force = false} = {}) {
+    queuedTrainerState = {state, force: force || !!queuedTrainerState?.force};
+    if (trainerStateDrain) return trainerStateDrain;
+    trainerStateDrain = (async () => {
+      try {
+        while (queuedTrainerState) {
+          const next = queuedTrainerState;
+          queuedTrainerState = null;
+          try {
+            await setTrainerStateInternal(next.state, {force: next.force});
+          } catch (err) {
+            log("Trainer state send failed: " + err);
+          }
+        }
+      } finally {
+        trainerStateDrain = null;
+      }
+    })();
+    return trainerStateDrain;
+  }
+
   // ---------------------------------------------------------------------------
   // Connection flows
   // ---------------------------------------------------------------------------
@@ -549,7 +1974,11 @@ export const BleManager = (() => {
   async function requestBikeDevice() {
     const options = {
       filters: [{services: [FTMS_SERVICE_UUID]}],
-      optionalServices: [FTMS_SERVICE_UUID],
+      optionalServices: [
+        FTMS_SERVICE_UUID,
+        DEVICE_INFORMATION_SERVICE_UUID,
+        BATTERY_SERVICE_UUID,
+      ],
     };
     log(
       "navigator.bluetooth.requestDevice for bike with options: " +
@@ -563,7 +1992,11 @@ export const BleManager = (() => {
   async function requestHrDevice() {
     const options = {
       filters: [{services: [HEART_RATE_SERVICE_UUID]}],
-      optionalServices: [HEART_RATE_SERVICE_UUID, BATTERY_SERVICE_UUID],
+      optionalServices: [
+        HEART_RATE_SERVICE_UUID,
+        BATTERY_SERVICE_UUID,
+        DEVICE_INFORMATION_SERVICE_UUID,
+      ],
     };
     log(
       "navigator.bluetooth.requestDevice for HRM with options: " +
@@ -574,6 +2007,34 @@ export const BleManager = (() => {
     return device;
   }
 
+  async function requestPowerDevice() {
+    const options = {
+      filters: [{services: [CYCLING_POWER_SERVICE_UUID]}],
+      optionalServices: [CYCLING_POWER_SERVICE_UUID],
+    };
+    log(
+      "navigator.bluetooth.requestDevice for power meter with options: " +
+      JSON.stringify(options)
+    );
+    const device = await navigator.bluetooth.requestDevice(options);
+    log("requestDevice returned power meter: " + (device.name || "unnamed"));
+    return device;
+  }
+
+  async function requestCscDevice() {
+    const options = {
+      filters: [{services: [CSC_SERVICE_UUID]}],
+      optionalServices: [CSC_SERVICE_UUID],
+    };
+    log(
+      "navigator.bluetooth.requestDevice for CSC sensor with options: " +
+      JSON.stringify(options)
+    );
+    const device = await navigator.bluetooth.requestDevice(options);
+    log("requestDevice returned CSC sensor: " + (device.name || "unnamed"));
+    return device;
+  }
+
   // Bike connect:
   // - All errors are fatal (including FTMS control point characteristic)
   // - Only updates bikeState & saves ID after successful connect *and* if this device is still desired
@@ -603,6 +2064,9 @@ export const BleManager = (() => {
     let ftmsService = null;
     let indoorBikeDataChar = null;
     let controlPointChar = null;
+    let machineStatusChar = null;
+    let trainingStatusChar = null;
+    let trainingStatus = null;
 
     try {
       log(`Connecting to GATT server for bike (id=${deviceId}, name="${friendlyName}")…`);
@@ -635,23 +2099,24 @@ export const BleManager = (() => {
       );
       log("FTMS Control Point characteristic found.");
 
-      // Subscribe to control point indications
-      controlPointChar.addEventListener("characteristicvaluechanged", (ev) => {
-        const dv = ev.target.value;
-        if (!dv || dv.byteLength < 3) return;
-        const op = dv.getUint8(0);
-        const reqOp = dv.getUint8(1);
-        const resCode = dv.getUint8(2);
-        log(
-          `FTMS CP <- Indication: op=0x${op
-            .toString(16)
-            .padStart(2, "0")}, req=0x${reqOp
-              .toString(16)
-              .padStart(2, "0")}, result=0x${resCode
-                .toString(16)
-                .padStart(2, "0")}`
-        );
-      });
+      const capabilities = await readBikeCapabilities(ftmsService, friendlyName);
+
+      // Device Information + battery are optional (mains-powered trainers
+      // usually have no Battery service).
+      const deviceInfo = await readDeviceInformation(server, friendlyName);
+      const batteryPercent = await readBatteryLevel(
+        await server.getPrimaryService(BATTERY_SERVICE_UUID).catch(() => null),
+        friendlyName
+      );
+      if (batteryPercent != null) {
+        log(`Bike battery: ${batteryPercent}% on "${friendlyName}"`);
+      }
+
+      // Subscribe to control point indications (responses to our requests)
+      controlPointChar.addEventListener(
+        "characteristicvaluechanged",
+        handleControlPointIndication
+      );
 
       await controlPointChar.startNotifications();
       log("Subscribed to FTMS Control Point indications.");
@@ -659,11 +2124,44 @@ export const BleManager = (() => {
       // Subscribe to Indoor Bike Data
       indoorBikeDataChar.addEventListener("characteristicvaluechanged", (ev) => {
         const dv = ev.target.value;
+        recordBleEvent("bike", "notify", INDOOR_BIKE_DATA_CHAR, dv);
         parseIndoorBikeData(dv);
       });
       await indoorBikeDataChar.startNotifications();
       log("Subscribed to FTMS Indoor Bike Data (0x2AD2).");
 
+      // Fitness Machine Status is optional (spin down progress arrives here).
+      try {
+        machineStatusChar = await ftmsService.getCharacteristic(
+          FITNESS_MACHINE_STATUS_CHAR
+        );
+        machineStatusChar.addEventListener(
+          "characteristicvaluechanged",
+          handleMachineStatus
+        );
+        await machineStatusChar.startNotifications();
+        log("Subscribed to FTMS Fitness Machine Status (0x2ADA).");
+      } catch (err) {
+        machineStatusChar = null;
+        log(`Fitness Machine Status unavailable on "${friendlyName}" (non-fatal): ` + err);
+      }
+
+      // Training Status is optional too; read once, then follow updates.
+      try {
+        trainingStatusChar = await ftmsService.getCharacteristic(
+          FTMS_TRAINING_STATUS_CHAR
+        );
+        trainingStatus = parseTrainingStatus(await trainingStatusChar.readValue());
+        trainingStatusChar.addEventListener(
+          "characteristicvaluechanged",
+          handleTrainingStatus
+        );
+        await trainingStatusChar.startNotifications();
+        log("Subscribed to FTMS Training Status (0x2AD3).");
+      } catch (err) {
+        log(`Training Status unavailable on "${friendlyName}" (non-fatal): ` + err);
+      }
+
       // Request control + start/resume are now fatal if they fail.
       await writeFtmsControlPoint(
         controlPointChar,
@@ -715,14 +2213,14 @@ export const BleManager = (() => {
           : `Device "${friendlyName}" disconnected.`;
 
         updateBikeStatus("error", msg);
+        if (spinDownActive) {
+          updateSpinDown("error", "Trainer disconnected during spin down.");
+        }
 
-        lastBikeSample = {
-          power: null,
-          cadence: null,
-          speedKph: null,
-          hrFromBike: null,
-        };
+        lastBikeSample = emptyBikeSample();
         emit("bikeSample", {...lastBikeSample});
+        bikeBatteryPercent = null;
+        emit("bikeBattery", bikeBatteryPercent);
 
         // Upon disconnect, resume regular auto-reconnect with reset backoff
         bikeAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
@@ -743,11 +2241,23 @@ export const BleManager = (() => {
       bikeState.ftmsService = ftmsService;
       bikeState.indoorBikeDataChar = indoorBikeDataChar;
       bikeState.controlPointChar = controlPointChar;
+      bikeState.machineStatusChar = machineStatusChar;
+      bikeState.trainingStatusChar = trainingStatusChar;
+      lastTrainingStatus = trainingStatus;
+      lastTargetWritten = null;
+      bikeMachineStopped = false;
+      bikeState.capabilities = capabilities;
+      bikeState.deviceInfo = deviceInfo;
+      bikeBatteryPercent = batteryPercent;
+      emit("bikeBattery", bikeBatteryPercent);
+      bikeControlWarning = null;
       bikeState._disconnectHandler = disconnectHandler;
+      emit("bikeCapabilities", capabilities);
 
       bikeConnected = true;
       updateBikeStatus("connected", `Connected to "${friendlyName}".`);
       log(`Bike connected & committed to bikeState (device "${friendlyName}").`);
+      recordBleEvent("bike", "connect", null, null, friendlyName);
     } catch (err) {
       log(`Bike connect error (fatal) for "${friendlyName}": ` + err);
       if (deviceId === bikeDesiredDeviceId) {
@@ -777,79 +2287,355 @@ export const BleManager = (() => {
     const friendlyName = device.name || "heart-rate monitor";
     hrKnownDevices.set(deviceId, device);
 
-    const desiredAtStart = hrDesiredDeviceId;
+    const desiredAtStart = hrDesiredDeviceId;
+
+    if (isAuto && desiredAtStart && desiredAtStart !== deviceId) {
+      log(
+        `connectToHr(auto): desired device changed (was ${desiredAtStart}, now ${hrDesiredDeviceId}); skipping.`
+      );
+      return;
+    }
+
+    if (deviceId === hrDesiredDeviceId) {
+      updateHrStatus("connecting", `Connecting to "${friendlyName}"…`);
+    }
+
+    let server = null;
+    let hrService = null;
+    let batteryService = null;
+    let measurementChar = null;
+
+    try {
+      log(`Connecting to GATT server for HR (id=${deviceId}, name="${friendlyName}")…`);
+      updateHrStatus(
+        "connecting",
+        `Connecting to "${friendlyName}" GATT server…`
+      );
+      server = await device.gatt.connect();
+      log("Connected to GATT server (hr).");
+      updateHrStatus(
+        "connecting",
+        `Connected to "${friendlyName}", discovering services…`
+      );
+
+      hrService = await server.getPrimaryService(HEART_RATE_SERVICE_UUID);
+      log("Heart Rate service found.");
+      updateHrStatus(
+        "connecting",
+        `Heart Rate service found on "${friendlyName}", subscribing to measurement…`
+      );
+
+      // Battery service still optional
+      batteryService = await server
+        .getPrimaryService(BATTERY_SERVICE_UUID)
+        .catch(() => null);
+
+      measurementChar = await hrService.getCharacteristic(HR_MEASUREMENT_CHAR);
+      log("HR Measurement characteristic found.");
+
+      await measurementChar.startNotifications();
+      measurementChar.addEventListener("characteristicvaluechanged", (ev) => {
+        recordBleEvent("hr", "notify", HR_MEASUREMENT_CHAR, ev.target.value);
+        parseHrMeasurement(ev.target.value);
+      });
+      log("Subscribed to HRM Measurement (0x2A37).");
+
+      // Optional battery / device information reads; errors are non-fatal
+      const batteryPercent = await readBatteryLevel(batteryService, friendlyName);
+      if (batteryPercent != null) {
+        log(`HR battery: ${batteryPercent}% on "${friendlyName}"`);
+        hrBatteryPercent = batteryPercent;
+        emit("hrBattery", batteryPercent);
+      }
+      const deviceInfo = await readDeviceInformation(server, friendlyName);
+
+      // Only commit & save ID if still desired device
+      if (deviceId !== hrDesiredDeviceId) {
+        log(
+          `HR connect succeeded for stale device ${deviceId} ("${friendlyName}"), desired is now ${hrDesiredDeviceId}. Tearing down.`
+        );
+        try {
+          server.disconnect();
+        } catch {}
+        return;
+      }
+
+      // Save ID only after confirming it's still the desired ID
+      saveHrDeviceId(deviceId);
+
+      // Clean up previous connection's handler
+      if (hrState.device && hrState._disconnectHandler) {
+        try {
+          hrState.device.removeEventListener(
+            "gattserverdisconnected",
+            hrState._disconnectHandler
+          );
+        } catch {}
+      }
+
+      const disconnectHandler = () => {
+        log(`BLE disconnected (hr "${friendlyName}").`);
+        hrConnected = false;
+
+        const willRetry =
+          autoReconnectEnabled &&
+          !hrSuppressAutoReconnectOnce &&
+          !!hrDesiredDeviceId;
+
+        const msg = willRetry
+          ? `Device "${friendlyName}" disconnected. Will retry shortly…`
+          : `Device "${friendlyName}" disconnected.`;
+
+        updateHrStatus("error", msg);
+
+        hrBatteryPercent = null;
+        emit("hrBattery", hrBatteryPercent);
+        emit("hrSample", null);
+
+        // Upon disconnect, resume regular auto-reconnect with reset backoff
+        hrAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+
+        if (!hrSuppressAutoReconnectOnce) {
+          scheduleHrAutoReconnect(true);
+        } else {
+          hrSuppressAutoReconnectOnce = false;
+          log("HR auto-reconnect suppressed once after manual disconnect.");
+        }
+      };
+
+      device.addEventListener("gattserverdisconnected", disconnectHandler);
+
+      // Commit to shared hrState
+      hrState.device = device;
+      hrState.server = server;
+      hrState.hrService = hrService;
+      hrState.measurementChar = measurementChar;
+      hrState.batteryService = batteryService;
+      hrState.deviceInfo = deviceInfo;
+      hrState._disconnectHandler = disconnectHandler;
+
+      hrConnected = true;
+      updateHrStatus("connected", `Connected to "${friendlyName}".`);
+      log(`HR connected & committed to hrState (device "${friendlyName}").`);
+      recordBleEvent("hr", "connect", null, null, friendlyName);
+    } catch (err) {
+      log(`HR connect error (fatal) for "${friendlyName}": ` + err);
+      if (deviceId === hrDesiredDeviceId) {
+        hrConnected = false;
+        const msg =
+          `Failed to connect to "${friendlyName}": ` +
+          (err && err.message ? err.message : String(err));
+        updateHrStatus("error", msg);
+      }
+      if (server && server.connected) {
+        try {
+          server.disconnect();
+        } catch {}
+      }
+      throw err;
+    }
+  }
+
+  // Power meter connect:
+  // - All errors in the Cycling Power flow are fatal
+  // - Only updates powerState & saves ID after successful connect *and* if this device is still desired
+  // - Multiple connect calls for the same device are allowed to run in parallel
+  async function connectToPowerMeter(device, {isAuto = false} = {}) {
+    if (!device) throw new Error("connectToPowerMeter called without a device");
+
+    const deviceId = device.id;
+    const friendlyName = device.name || "power meter";
+    powerKnownDevices.set(deviceId, device);
+
+    const desiredAtStart = powerDesiredDeviceId;
+
+    if (isAuto && desiredAtStart && desiredAtStart !== deviceId) {
+      log(
+        `connectToPowerMeter(auto): desired device changed (was ${desiredAtStart}, now ${powerDesiredDeviceId}); skipping.`
+      );
+      return;
+    }
+
+    if (deviceId === powerDesiredDeviceId) {
+      updatePowerStatus("connecting", `Connecting to "${friendlyName}"…`);
+    }
+
+    let server = null;
+    let powerService = null;
+    let measurementChar = null;
+
+    try {
+      log(`Connecting to GATT server for power meter (id=${deviceId}, name="${friendlyName}")…`);
+      updatePowerStatus(
+        "connecting",
+        `Connecting to "${friendlyName}" GATT server…`
+      );
+      server = await device.gatt.connect();
+      log("Connected to GATT server (power).");
+      updatePowerStatus(
+        "connecting",
+        `Connected to "${friendlyName}", discovering Cycling Power service…`
+      );
+
+      powerService = await server.getPrimaryService(CYCLING_POWER_SERVICE_UUID);
+      log("Cycling Power service found.");
+
+      measurementChar = await powerService.getCharacteristic(
+        CYCLING_POWER_MEASUREMENT_CHAR
+      );
+      log("Cycling Power Measurement characteristic found.");
+
+      resetPowerSample();
+      measurementChar.addEventListener("characteristicvaluechanged", (ev) => {
+        recordBleEvent("power", "notify", CYCLING_POWER_MEASUREMENT_CHAR, ev.target.value);
+        parseCyclingPowerMeasurement(ev.target.value);
+      });
+      await measurementChar.startNotifications();
+      log("Subscribed to Cycling Power Measurement (0x2A63).");
+
+      // Only commit & save ID if still desired device
+      if (deviceId !== powerDesiredDeviceId) {
+        log(
+          `Power meter connect succeeded for stale device ${deviceId} ("${friendlyName}"), desired is now ${powerDesiredDeviceId}. Tearing down.`
+        );
+        try {
+          server.disconnect();
+        } catch {}
+        return;
+      }
+
+      // Save ID only after confirming it's still the desired ID
+      savePowerDeviceId(deviceId);
+
+      // Clean up previous connection's handler
+      if (powerState.device && powerState._disconnectHandler) {
+        try {
+          powerState.device.removeEventListener(
+            "gattserverdisconnected",
+            powerState._disconnectHandler
+          );
+        } catch {}
+      }
+
+      const disconnectHandler = () => {
+        log(`BLE disconnected (power "${friendlyName}").`);
+        powerConnected = false;
+
+        const willRetry =
+          autoReconnectEnabled &&
+          !powerSuppressAutoReconnectOnce &&
+          !!powerDesiredDeviceId;
+
+        const msg = willRetry
+          ? `Device "${friendlyName}" disconnected. Will retry shortly…`
+          : `Device "${friendlyName}" disconnected.`;
+
+        updatePowerStatus("error", msg);
+
+        resetPowerSample();
+        emit("powerSample", {...lastPowerSample});
+
+        // Upon disconnect, resume regular auto-reconnect with reset backoff
+        powerAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+
+        if (!powerSuppressAutoReconnectOnce) {
+          schedulePowerAutoReconnect(true);
+        } else {
+          powerSuppressAutoReconnectOnce = false;
+          log("Power meter auto-reconnect suppressed once after manual disconnect.");
+        }
+      };
+
+      device.addEventListener("gattserverdisconnected", disconnectHandler);
+
+      // Commit to shared powerState
+      powerState.device = device;
+      powerState.server = server;
+      powerState.powerService = powerService;
+      powerState.measurementChar = measurementChar;
+      powerState._disconnectHandler = disconnectHandler;
+
+      powerConnected = true;
+      updatePowerStatus("connected", `Connected to "${friendlyName}".`);
+      log(`Power meter connected & committed to powerState (device "${friendlyName}").`);
+      recordBleEvent("power", "connect", null, null, friendlyName);
+    } catch (err) {
+      log(`Power meter connect error (fatal) for "${friendlyName}": ` + err);
+      if (deviceId === powerDesiredDeviceId) {
+        powerConnected = false;
+        const msg =
+          `Failed to connect to "${friendlyName}": ` +
+          (err && err.message ? err.message : String(err));
+        updatePowerStatus("error", msg);
+      }
+      if (server && server.connected) {
+        try {
+          server.disconnect();
+        } catch {}
+      }
+      throw err;
+    }
+  }
+
+  // CSC connect:
+  // - All errors in the CSC flow are fatal
+  // - Only updates cscState & saves ID after successful connect *and* if this device is still desired
+  // - Multiple connect calls for the same device are allowed to run in parallel
+  async function connectToCsc(device, {isAuto = false} = {}) {
+    if (!device) throw new Error("connectToCsc called without a device");
+
+    const deviceId = device.id;
+    const friendlyName = device.name || "speed/cadence sensor";
+    cscKnownDevices.set(deviceId, device);
+
+    const desiredAtStart = cscDesiredDeviceId;
 
     if (isAuto && desiredAtStart && desiredAtStart !== deviceId) {
       log(
-        `connectToHr(auto): desired device changed (was ${desiredAtStart}, now ${hrDesiredDeviceId}); skipping.`
+        `connectToCsc(auto): desired device changed (was ${desiredAtStart}, now ${cscDesiredDeviceId}); skipping.`
       );
       return;
     }
 
-    if (deviceId === hrDesiredDeviceId) {
-      updateHrStatus("connecting", `Connecting to "${friendlyName}"…`);
+    if (deviceId === cscDesiredDeviceId) {
+      updateCscStatus("connecting", `Connecting to "${friendlyName}"…`);
     }
 
     let server = null;
-    let hrService = null;
-    let batteryService = null;
+    let cscService = null;
     let measurementChar = null;
 
     try {
-      log(`Connecting to GATT server for HR (id=${deviceId}, name="${friendlyName}")…`);
-      updateHrStatus(
+      log(`Connecting to GATT server for CSC (id=${deviceId}, name="${friendlyName}")…`);
+      updateCscStatus(
         "connecting",
         `Connecting to "${friendlyName}" GATT server…`
       );
       server = await device.gatt.connect();
-      log("Connected to GATT server (hr).");
-      updateHrStatus(
-        "connecting",
-        `Connected to "${friendlyName}", discovering services…`
-      );
-
-      hrService = await server.getPrimaryService(HEART_RATE_SERVICE_UUID);
-      log("Heart Rate service found.");
-      updateHrStatus(
+      log("Connected to GATT server (csc).");
+      updateCscStatus(
         "connecting",
-        `Heart Rate service found on "${friendlyName}", subscribing to measurement…`
+        `Connected to "${friendlyName}", discovering CSC service…`
       );
 
-      // Battery service still optional
-      batteryService = await server
-        .getPrimaryService(BATTERY_SERVICE_UUID)
-        .catch(() => null);
+      cscService = await server.getPrimaryService(CSC_SERVICE_UUID);
+      log("Cycling Speed and Cadence service found.");
 
-      measurementChar = await hrService.getCharacteristic(HR_MEASUREMENT_CHAR);
-      log("HR Measurement characteristic found.");
+      measurementChar = await cscService.getCharacteristic(CSC_MEASUREMENT_CHAR);
+      log("CSC Measurement characteristic found.");
 
+      resetCscSample();
+      measurementChar.addEventListener("characteristicvaluechanged", (ev) => {
+        recordBleEvent("csc", "notify", CSC_MEASUREMENT_CHAR, ev.target.value);
+        parseCscMeasurement(ev.target.value);
+      });
       await measurementChar.startNotifications();
-      measurementChar.addEventListener("characteristicvaluechanged", (ev) =>
-        parseHrMeasurement(ev.target.value)
-      );
-      log("Subscribed to HRM Measurement (0x2A37).");
-
-      // Optional battery read; errors are non-fatal
-      if (batteryService) {
-        try {
-          const batteryLevelChar =
-            await batteryService.getCharacteristic(BATTERY_LEVEL_CHAR);
-          const val = await batteryLevelChar.readValue();
-          const pct = val.getUint8(0);
-          log(`HR battery: ${pct}% on "${friendlyName}"`);
-          hrBatteryPercent = pct;
-          emit("hrBattery", pct);
-        } catch (err) {
-          log(
-            `Battery read failed for "${friendlyName}" (non-fatal): ` + err
-          );
-        }
-      }
+      log("Subscribed to CSC Measurement (0x2A5B).");
 
       // Only commit & save ID if still desired device
-      if (deviceId !== hrDesiredDeviceId) {
+      if (deviceId !== cscDesiredDeviceId) {
         log(
-          `HR connect succeeded for stale device ${deviceId} ("${friendlyName}"), desired is now ${hrDesiredDeviceId}. Tearing down.`
+          `CSC connect succeeded for stale device ${deviceId} ("${friendlyName}"), desired is now ${cscDesiredDeviceId}. Tearing down.`
         );
         try {
           server.disconnect();
@@ -858,69 +2644,68 @@ export const BleManager = (() => {
       }
 
       // Save ID only after confirming it's still the desired ID
-      saveHrDeviceId(deviceId);
+      saveCscDeviceId(deviceId);
 
       // Clean up previous connection's handler
-      if (hrState.device && hrState._disconnectHandler) {
+      if (cscState.device && cscState._disconnectHandler) {
         try {
-          hrState.device.removeEventListener(
+          cscState.device.removeEventListener(
             "gattserverdisconnected",
-            hrState._disconnectHandler
+            cscState._disconnectHandler
           );
         } catch {}
       }
 
       const disconnectHandler = () => {
-        log(`BLE disconnected (hr "${friendlyName}").`);
-        hrConnected = false;
+        log(`BLE disconnected (csc "${friendlyName}").`);
+        cscConnected = false;
 
         const willRetry =
           autoReconnectEnabled &&
-          !hrSuppressAutoReconnectOnce &&
-          !!hrDesiredDeviceId;
+          !cscSuppressAutoReconnectOnce &&
+          !!cscDesiredDeviceId;
 
         const msg = willRetry
           ? `Device "${friendlyName}" disconnected. Will retry shortly…`
           : `Device "${friendlyName}" disconnected.`;
 
-        updateHrStatus("error", msg);
+        updateCscStatus("error", msg);
 
-        hrBatteryPercent = null;
-        emit("hrBattery", hrBatteryPercent);
-        emit("hrSample", null);
+        resetCscSample();
+        emit("cscSample", {...lastCscSample});
 
         // Upon disconnect, resume regular auto-reconnect with reset backoff
-        hrAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+        cscAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
 
-        if (!hrSuppressAutoReconnectOnce) {
-          scheduleHrAutoReconnect(true);
+        if (!cscSuppressAutoReconnectOnce) {
+          scheduleCscAutoReconnect(true);
         } else {
-          hrSuppressAutoReconnectOnce = false;
-          log("HR auto-reconnect suppressed once after manual disconnect.");
+          cscSuppressAutoReconnectOnce = false;
+          log("CSC auto-reconnect suppressed once after manual disconnect.");
         }
       };
 
       device.addEventListener("gattserverdisconnected", disconnectHandler);
 
-      // Commit to shared hrState
-      hrState.device = device;
-      hrState.server = server;
-      hrState.hrService = hrService;
-      hrState.measurementChar = measurementChar;
-      hrState.batteryService = batteryService;
-      hrState._disconnectHandler = disconnectHandler;
-
-      hrConnected = true;
-      updateHrStatus("connected", `Connected to "${friendlyName}".`);
-      log(`HR connected & committed to hrState (device "${friendlyName}").`);
+      // Commit to shared cscState
+      cscState.device = device;
+      cscState.server = server;
+      cscState.cscService = cscService;
+      cscState.measurementChar = measurementChar;
+      cscState._disconnectHandler = disconnectHandler;
+
+      cscConnected = true;
+      updateCscStatus("connected", `Connected to "${friendlyName}".`);
+      log(`CSC sensor connected & committed to cscState (device "${friendlyName}").`);
+      recordBleEvent("csc", "connect", null, null, friendlyName);
     } catch (err) {
-      log(`HR connect error (fatal) for "${friendlyName}": ` + err);
-      if (deviceId === hrDesiredDeviceId) {
-        hrConnected = false;
+      log(`CSC connect error (fatal) for "${friendlyName}": ` + err);
+      if (deviceId === cscDesiredDeviceId) {
+        cscConnected = false;
         const msg =
           `Failed to connect to "${friendlyName}": ` +
           (err && err.message ? err.message : String(err));
-        updateHrStatus("error", msg);
+        updateCscStatus("error", msg);
       }
       if (server && server.connected) {
         try {
@@ -931,6 +2716,365 @@ export const BleManager = (() => {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Session recording / replay
+  // ---------------------------------------------------------------------------
+
+  // Raw notifications + control point writes go to a downloadable file
+  // (format in ble-recording.js); replay pushes the same bytes back
+  // through the parsers, so trainer bugs reproduce without the hardware.
+
+  // ~14 h of a trainer + HRM at their usual rates.
+  const BLE_RECORDING_MAX_EVENTS = 250000;
+  const BLE_REPLAY_PROGRESS_INTERVAL_MS = 1000;
+
+  let bleRecording = null;
+  let bleRecordingStartMs = 0;
+
+  function uuidText(uuid) {
+    return "0x" + uuid.toString(16).padStart(4, "0");
+  }
+
+  function recordBleEvent(device, type, uuid, dataView, name = null) {
+    if (!bleRecording) return;
+    if (bleRecording.events.length >= BLE_RECORDING_MAX_EVENTS) {
+      if (!bleRecording.truncated) {
+        bleRecording.truncated = true;
+        log(`BLE recording reached ${BLE_RECORDING_MAX_EVENTS} events; later events are not kept.`);
+      }
+      return;
+    }
+    const event = {
+      t: Date.now() - bleRecordingStartMs,
+      device,
+      type,
+      char: uuid == null ? null : uuidText(uuid),
+      data: dataViewToHex(dataView),
+    };
+    if (name != null) event.name = name;
+    bleRecording.events.push(event);
+  }
+
+  function startBleRecording() {
+    if (bleRecording) return;
+    bleRecording = createBleRecording();
+    bleRecordingStartMs = Date.now();
+    // Name whatever is already connected.
+    if (bikeConnected && bikeState.device) {
+      recordBleEvent("bike", "connect", null, null, bikeState.device.name || "bike");
+    }
+    if (hrConnected && hrState.device) {
+      recordBleEvent("hr", "connect", null, null, hrState.device.name || "heart-rate monitor");
+    }
+    if (powerConnected && powerState.device) {
+      recordBleEvent("power", "connect", null, null, powerState.device.name || "power meter");
+    }
+    if (cscConnected && cscState.device) {
+      recordBleEvent("csc", "connect", null, null, cscState.device.name || "speed/cadence sensor");
+    }
+    log("BLE recording started.");
+    emit("bleRecording", {recording: true});
+  }
+
+  // Returns the recording as file text, or null if none was running.
+  function stopBleRecording() {
+    if (!bleRecording) return null;
+    const text = serializeBleRecording(bleRecording);
+    log(`BLE recording stopped (${bleRecording.events.length} events).`);
+    bleRecording = null;
+    emit("bleRecording", {recording: false});
+    return text;
+  }
+
+  // {events, t0, index, startMs, speed, timer, hasBike, hasHr, lastProgressMs}
+  let bleReplay = null;
+
+  function emitBleReplay(state, message, replay = bleReplay) {
+    const progress = replay ? replay.index / replay.events.length : null;
+    emit("bleReplay", {state, message, progress});
+  }
+
+  function replayBleEvent(ev) {
+    if (ev.type === "connect") {
+      log(`Replay: ${ev.device} "${ev.name || ev.device}" connected.`);
+      return;
+    }
+    if (ev.type === "write") {
+      log(`Replay: FTMS CP -> ${dataViewToHex(ev.data)}`);
+      return;
+    }
+    switch (ev.uuid) {
+      case INDOOR_BIKE_DATA_CHAR:
+        parseIndoorBikeData(ev.data);
+        break;
+      case FITNESS_MACHINE_STATUS_CHAR:
+        applyMachineStatus(ev.data);
+        break;
+      case FTMS_TRAINING_STATUS_CHAR:
+        applyTrainingStatus(ev.data);
+        break;
+      case FTMS_CONTROL_POINT_CHAR:
+        log(`Replay: FTMS CP <- ${dataViewToHex(ev.data)}`);
+        break;
+      case HR_MEASUREMENT_CHAR:
+        parseHrMeasurement(ev.data);
+        break;
+      default:
+        log(`Replay: ignoring notification from ${uuidText(ev.uuid)}.`);
+    }
+  }
+
+  function runBleReplay() {
+    const r = bleReplay;
+    if (!r) return;
+    r.timer = null;
+
+    const position = (Date.now() - r.startMs) * r.speed;
+    while (r.index < r.events.length && r.events[r.index].t - r.t0 <= position) {
+      try {
+        replayBleEvent(r.events[r.index]);
+      } catch (err) {
+        log("Replay event failed: " + err);
+      }
+      r.index += 1;
+      if (bleReplay !== r) return;
+    }
+
+    if (r.index >= r.events.length) {
+      finishBleReplay("finished", "Replay finished.", {restoreDevices: true});
+      return;
+    }
+
+    const now = Date.now();
+    if (now - r.lastProgressMs >= BLE_REPLAY_PROGRESS_INTERVAL_MS) {
+      r.lastProgressMs = now;
+      emitBleReplay("playing", "Replaying recording…");
+    }
+
+    const waitMs = (r.events[r.index].t - r.t0 - position) / r.speed;
+    r.timer = setTimeout(runBleReplay, Math.max(0, waitMs));
+  }
+
+  function finishBleReplay(state, message, {restoreDevices = false} = {}) {
+    const r = bleReplay;
+    if (!r) return;
+    clearTimeout(r.timer);
+    bleReplay = null;
+    emitBleReplay(state, message, r);
+
+    if (r.hasBike) {
+      updateBikeStatus("", message);
+      lastBikeSample = emptyBikeSample();
+      emit("bikeSample", {...lastBikeSample});
+      lastTrainingStatus = null;
+    }
+    if (r.hasHr) {
+      updateHrStatus("", message);
+      emit("hrSample", null);
+    }
+    log(message);
+
+    if (!restoreDevices) return;
+    if (virtualDevicesEnabled) {
+      Promise.all([connectVirtualBike(), connectVirtualHr()]).catch((err) =>
+        log("Virtual device reconnect after replay failed: " + err)
+      );
+    } else if (autoReconnectEnabled) {
+      maybeReconnectSavedDevicesOnLoad().catch((err) =>
+        log("Auto-reconnect after replay failed: " + err)
+      );
+    }
+  }
+
+  /**
+   * Replay a recording file's trainer and HRM data in real time (or
+   * `speed` times faster). The live bike / HRM connections are dropped
+   * for the duration and restored when it finishes.
+   *
+   * Throws: Error when the file can't be parsed or has nothing to play.
+   */
+  function startBleReplay(text, {speed = 1} = {}) {
+    const recording = parseBleRecording(text);
+    const events = recording.events.filter(
+      (ev) => ev.device === "bike" || ev.device === "hr"
+    );
+    if (!events.some((ev) => ev.type === "notify")) {
+      throw new Error("Recording has no trainer or heart-rate data.");
+    }
+    const skipped = recording.events.length - events.length;
+    if (skipped) {
+      log(`Replay: skipping ${skipped} power meter / speed sensor events.`);
+    }
+
+    finishBleReplay("stopped", "Replay stopped.");
+    if (bleRecording) log("BLE recording is running; replayed data will not be recorded.");
+    dropBikeConnection();
+    dropHrConnection();
+
+    bleReplay = {
+      events,
+      t0: events[0].t,
+      index: 0,
+      startMs: Date.now(),
+      speed: speed > 0 ? speed : 1,
+      timer: null,
+      hasBike: events.some((ev) => ev.device === "bike"),
+      hasHr: events.some((ev) => ev.device === "hr"),
+      lastProgressMs: 0,
+    };
+
+    const nameOf = (device) =>
+      events.find((ev) => ev.device === device && ev.type === "connect")?.name;
+    if (bleReplay.hasBike) {
+      updateBikeStatus("connected", `Replaying "${nameOf("bike") || "bike"}".`);
+    }
+    if (bleReplay.hasHr) {
+      updateHrStatus("connected", `Replaying "${nameOf("hr") || "heart-rate monitor"}".`);
+    }
+    log(
+      `Replay started: ${events.length} events` +
+      (recording.startedAt ? ` recorded ${recording.startedAt}` : "") +
+      (bleReplay.speed !== 1 ? ` at ${bleReplay.speed}×` : "") +
+      "."
+    );
+    runBleReplay();
+  }
+
+  function stopBleReplay() {
+    finishBleReplay("stopped", "Replay stopped.", {restoreDevices: true});
+  }
+
+  // ---------------------------------------------------------------------------
+  // Virtual devices
+  // ---------------------------------------------------------------------------
+
+  // The virtual trainer / HRM are BluetoothDevice look-alikes, so they go
+  // through connectToBike() / connectToHr() like real ones.
+
+  function getVirtualDevices() {
+    if (!virtualDevices) virtualDevices = createVirtualDevices({log});
+    return virtualDevices;
+  }
+
+  // Tear down the current bike connection without a disconnect event
+  // reaching the old handler (no "error" status, no auto-reconnect).
+  function dropBikeConnection() {
+    cancelBikeAutoReconnect();
+    bikeDesiredDeviceId = null;
+
+    const {device, server, _disconnectHandler} = bikeState;
+    if (device && _disconnectHandler) {
+      try {
+        device.removeEventListener("gattserverdisconnected", _disconnectHandler);
+      } catch {}
+    }
+    if (server && server.connected) {
+      try {
+        server.disconnect();
+      } catch {}
+    }
+    if (!device) return;
+
+    if (spinDownActive) updateSpinDown("cancelled", "Trainer switched during spin down.");
+    bikeState.device = null;
+    bikeState.server = null;
+    bikeState.ftmsService = null;
+    bikeState.indoorBikeDataChar = null;
+    bikeState.controlPointChar = null;
+    bikeState.machineStatusChar = null;
+    bikeState.trainingStatusChar = null;
+    bikeState.capabilities = null;
+    bikeState.deviceInfo = null;
+    bikeState._disconnectHandler = null;
+    bikeBatteryPercent = null;
+    emit("bikeBattery", bikeBatteryPercent);
+    lastTrainingStatus = null;
+    lastTrainerMode = null;
+    lastTargetWritten = null;
+    bikeMachineStopped = false;
+    bikeControlWarning = null;
+
+    updateBikeStatus("", "");
+    emit("bikeCapabilities", null);
+    lastBikeSample = emptyBikeSample();
+    emit("bikeSample", {...lastBikeSample});
+  }
+
+  function dropHrConnection() {
+    cancelHrAutoReconnect();
+    hrDesiredDeviceId = null;
+
+    const {device, server, _disconnectHandler} = hrState;
+    if (device && _disconnectHandler) {
+      try {
+        device.removeEventListener("gattserverdisconnected", _disconnectHandler);
+      } catch {}
+    }
+    if (server && server.connected) {
+      try {
+        server.disconnect();
+      } catch {}
+    }
+    if (!device) return;
+
+    hrState.device = null;
+    hrState.server = null;
+    hrState.hrService = null;
+    hrState.measurementChar = null;
+    hrState.batteryService = null;
+    hrState.deviceInfo = null;
+    hrState._disconnectHandler = null;
+
+    updateHrStatus("", "");
+    hrBatteryPercent = null;
+    emit("hrBattery", hrBatteryPercent);
+    emit("hrSample", null);
+  }
+
+  async function connectVirtualBike() {
+    const {bike} = getVirtualDevices();
+    if (bikeConnected && bikeState.device === bike) return;
+    cancelBikeAutoReconnect();
+    bikeDesiredDeviceId = bike.id;
+    bikeKnownDevices.set(bike.id, bike);
+    await connectToBike(bike, {isAuto: false});
+  }
+
+  async function connectVirtualHr() {
+    const {hr} = getVirtualDevices();
+    if (hrConnected && hrState.device === hr) return;
+    cancelHrAutoReconnect();
+    hrDesiredDeviceId = hr.id;
+    hrKnownDevices.set(hr.id, hr);
+    await connectToHr(hr, {isAuto: false});
+  }
+
+  /**
+   * Switch the trainer + HRM between real Bluetooth devices and the
+   * simulated pair. Whatever is connected now is dropped; turning virtual
+   * devices off goes back to the saved real devices.
+   */
+  async function setVirtualDevicesEnabled(enabled) {
+    const next = !!enabled;
+    if (next === virtualDevicesEnabled) return;
+    virtualDevicesEnabled = next;
+    log(next ? "Virtual devices enabled." : "Virtual devices disabled.");
+
+    finishBleReplay("stopped", "Replay stopped.");
+
+    dropBikeConnection();
+    dropHrConnection();
+
+    if (next) {
+      await Promise.all([
+        connectVirtualBike().catch((err) => log("Virtual trainer connect failed: " + err)),
+        connectVirtualHr().catch((err) => log("Virtual HRM connect failed: " + err)),
+      ]);
+    } else if (autoReconnectEnabled) {
+      await maybeReconnectSavedDevicesOnLoad();
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Auto reconnect via navigator.bluetooth.getDevices()
   // ---------------------------------------------------------------------------
@@ -941,8 +3085,8 @@ export const BleManager = (() => {
       return;
     }
 
-    const {bikeId, hrId} = await loadSavedBleDeviceIds();
-    if (!bikeId && !hrId) {
+    const {bikeId, hrId, powerId, cscId} = await loadSavedBleDeviceIds();
+    if (!bikeId && !hrId && !powerId && !cscId) {
       log("No saved BLE device IDs, skipping auto-reconnect.");
       return;
     }
@@ -959,6 +3103,8 @@ export const BleManager = (() => {
 
     const bikeDevice = bikeId ? devices.find((d) => d.id === bikeId) : null;
     const hrDevice = hrId ? devices.find((d) => d.id === hrId) : null;
+    const powerDevice = powerId ? devices.find((d) => d.id === powerId) : null;
+    const cscDevice = cscId ? devices.find((d) => d.id === cscId) : null;
 
     if (bikeDevice) {
       log(
@@ -983,6 +3129,30 @@ export const BleManager = (() => {
     } else if (hrId) {
       log("Saved HRM ID not available in getDevices() (permission revoked?).");
     }
+
+    if (powerDevice) {
+      log(
+        `Found previously paired power meter "${powerDevice.name || "power meter"}", starting auto-reconnect…`
+      );
+      powerKnownDevices.set(powerDevice.id, powerDevice);
+      powerDesiredDeviceId = powerDevice.id;
+      powerAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+      schedulePowerAutoReconnect(true);
+    } else if (powerId) {
+      log("Saved power meter ID not available in getDevices() (permission revoked?).");
+    }
+
+    if (cscDevice) {
+      log(
+        `Found previously paired CSC sensor "${cscDevice.name || "speed/cadence sensor"}", starting auto-reconnect…`
+      );
+      cscKnownDevices.set(cscDevice.id, cscDevice);
+      cscDesiredDeviceId = cscDevice.id;
+      cscAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+      scheduleCscAutoReconnect(true);
+    } else if (cscId) {
+      log("Saved CSC sensor ID not available in getDevices() (permission revoked?).");
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -993,17 +3163,51 @@ export const BleManager = (() => {
     init({autoReconnect = true} = {}) {
       autoReconnectEnabled = !!autoReconnect;
 
-      if (autoReconnectEnabled) {
-        maybeReconnectSavedDevicesOnLoad().catch((err) =>
-          log("Auto-reconnect error: " + err)
-        );
-      } else {
+      if (!autoReconnectEnabled) {
         cancelBikeAutoReconnect();
         cancelHrAutoReconnect();
+        cancelPowerAutoReconnect();
+        cancelCscAutoReconnect();
       }
+
+      loadVirtualDevicesEnabled()
+        .then((virtual) => {
+          if (virtual) return setVirtualDevicesEnabled(true);
+          if (autoReconnectEnabled) return maybeReconnectSavedDevicesOnLoad();
+        })
+        .catch((err) => log("Auto-reconnect error: " + err));
+    },
+
+    setVirtualDevicesEnabled,
+
+    isVirtualDevicesEnabled() {
+      return virtualDevicesEnabled;
+    },
+
+    /**
+     * Capture raw notifications and control point writes until
+     * stopBleRecording(), which returns the file text (JSON, see
+     * ble-recording.js). Emits "bleRecording" ({recording}).
+     */
+    startBleRecording,
+    stopBleRecording,
+
+    isBleRecording() {
+      return !!bleRecording;
+    },
+
+    // Progress is emitted as "bleReplay" ({state, message, progress});
+    // state is "playing" | "finished" | "stopped".
+    startBleReplay,
+    stopBleReplay,
+
+    isBleReplaying() {
+      return !!bleReplay;
     },
 
     async connectBikeViaPicker() {
+      finishBleReplay("stopped", "Replay stopped.");
+      if (virtualDevicesEnabled) return connectVirtualBike();
       if (!navigator.bluetooth) {
         throw new Error("Bluetooth not available in this browser.");
       }
@@ -1046,6 +3250,8 @@ export const BleManager = (() => {
     },
 
     async connectHrViaPicker() {
+      finishBleReplay("stopped", "Replay stopped.");
+      if (virtualDevicesEnabled) return connectVirtualHr();
       if (!navigator.bluetooth) {
         throw new Error("Bluetooth not available in this browser.");
       }
@@ -1084,15 +3290,160 @@ export const BleManager = (() => {
       }
     },
 
+    async connectPowerViaPicker() {
+      if (!navigator.bluetooth) {
+        throw new Error("Bluetooth not available in this browser.");
+      }
+
+      cancelPowerAutoReconnect();
+
+      const wasConnected = powerConnected;
+      let device;
+
+      try {
+        device = await requestPowerDevice();
+      } catch (err) {
+        log("Power meter picker cancelled or failed: " + err);
+        if (wasConnected && powerState.server && powerState.server.connected) {
+          powerSuppressAutoReconnectOnce = true;
+          try {
+            powerState.server.disconnect();
+          } catch {}
+        }
+        throw err;
+      }
+
+      const deviceId = device.id;
+
+      powerDesiredDeviceId = deviceId;
+      powerKnownDevices.set(deviceId, device);
+
+      powerAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+
+      try {
+        await connectToPowerMeter(device, {isAuto: false});
+      } catch (err) {
+        // Even if user connect fails, auto-reconnect should keep trying this ID
+        schedulePowerAutoReconnect(true);
+        throw err;
+      }
+    },
+
+    async connectCscViaPicker() {
+      if (!navigator.bluetooth) {
+        throw new Error("Bluetooth not available in this browser.");
+      }
+
+      cancelCscAutoReconnect();
+
+      const wasConnected = cscConnected;
+      let device;
+
+      try {
+        device = await requestCscDevice();
+      } catch (err) {
+        log("CSC picker cancelled or failed: " + err);
+        if (wasConnected && cscState.server && cscState.server.connected) {
+          cscSuppressAutoReconnectOnce = true;
+          try {
+            cscState.server.disconnect();
+          } catch {}
+        }
+        throw err;
+      }
+
+      const deviceId = device.id;
+
+      cscDesiredDeviceId = deviceId;
+      cscKnownDevices.set(deviceId, device);
+
+      cscAutoReconnectDelayMs = MIN_RECONNECT_DELAY_MS;
+
+      try {
+        await connectToCsc(device, {isAuto: false});
+      } catch (err) {
+        // Even if user connect fails, auto-reconnect should keep trying this ID
+        scheduleCscAutoReconnect(true);
+        throw err;
+      }
+    },
+
     async setTrainerState(state, opts) {
       // state: { kind: "erg" | "resistance", value: number }
-      await setTrainerStateInternal(state, opts);
+      //      | { kind: "sim", value: {grade, windSpeed, crr, cw} }
+      await setLatestTrainerState(state, opts);
     },
 
     getLastBikeSample() {
       return {...lastBikeSample};
     },
 
+    /**
+     * FTMS features and supported ranges read on connect:
+     * {machineFeatures, targetFeatures, powerRange, resistanceRange}.
+     * null until a trainer has connected.
+     */
+    getBikeCapabilities() {
+      return bikeState.capabilities;
+    },
+
+    // "erg" | "resistance" | "sim"; true when the trainer hasn't said otherwise.
+    bikeSupportsTarget,
+
+    /**
+     * Device Information of the last connected trainer / HRM plus battery
+     * ({name, manufacturer, model, hardwareRevision, firmwareRevision,
+     * softwareRevision, batteryPercent}), or null if never read.
+     */
+    getBikeDeviceInfo() {
+      if (!bikeState.deviceInfo) return null;
+      return {...bikeState.deviceInfo, batteryPercent: bikeBatteryPercent};
+    },
+
+    getHrDeviceInfo() {
+      if (!hrState.deviceInfo) return null;
+      return {...hrState.deviceInfo, batteryPercent: hrBatteryPercent};
+    },
+
+    /**
+     * Run FTMS spin down calibration. Progress and the result are emitted
+     * as "spinDown" events ({state, message, targetSpeedLowKph,
+     * targetSpeedHighKph}); trainer targets are held back until it ends.
+     */
+    startSpinDown,
+    cancelSpinDown,
+
+    // Latest spin down status, or null if none has run.
+    getSpinDownStatus() {
+      return spinDownStatus ? {...spinDownStatus} : null;
+    },
+
+    isSpinDownActive() {
+      return spinDownActive;
+    },
+
+    // Latest FTMS Training Status ({status, code, text}) or null.
+    getTrainingStatus() {
+      return lastTrainingStatus ? {...lastTrainingStatus} : null;
+    },
+
+    getLastPowerSample() {
+      return {...lastPowerSample};
+    },
+
+    isPowerMeterConnected() {
+      return powerConnected;
+    },
+
+    getLastCscSample() {
+      return {...lastCscSample};
+    },
+
+    // ID of the connected (or preferred) bike, used to key per-trainer data.
+    getBikeDeviceId() {
+      return bikeState.device?.id || bikeDesiredDeviceId || null;
+    },
+
     on(type, fn) {
       if (!listeners[type]) throw new Error("Unknown event type: " + type);
       listeners[type].add(fn);
@@ -0,0 +1,113 @@
+// ble-recording.js
+//
+// File format for recorded BLE sessions: raw characteristic notifications
+// and FTMS control point writes with timestamps, so a misbehaving trainer
+// can be reproduced later by replaying the bytes through BleManager's
+// parsers.
+//
+// {
+//   format: "velodrive-ble-recording", version: 1,
+//   startedAt: ISO string,
+//   events: [{t, device, type, char, data, name?}, ...]
+// }
+//
+//  - t: ms since recording start
+//  - device: "bike" | "hr" | "power" | "csc"
+//  - type: "notify" | "write" | "connect"
+//  - char: characteristic UUID as "0x2ad2" (null for "connect")
+//  - data: hex bytes (null for "connect"), name: device name on "connect"
+//
+// Pure helpers; no DOM or BLE dependencies.
+
+export const BLE_RECORDING_FORMAT = "velodrive-ble-recording";
+export const BLE_RECORDING_VERSION = 1;
+
+const EVENT_TYPES = new Set(["notify", "write", "connect"]);
+
+export function dataViewToHex(dataView) {
+  if (!dataView) return null;
+  const bytes = new Uint8Array(
+    dataView.buffer,
+    dataView.byteOffset,
+    dataView.byteLength
+  );
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function hexToDataView(hex) {
+  const clean = String(hex || "");
+  if (clean.length % 2 || /[^0-9a-f]/i.test(clean)) {
+    throw new Error(`Invalid hex data "${clean.slice(0, 16)}".`);
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  }
+  return new DataView(bytes.buffer);
+}
+
+export function createBleRecording() {
+  return {
+    format: BLE_RECORDING_FORMAT,
+    version: BLE_RECORDING_VERSION,
+    startedAt: new Date().toISOString(),
+    events: [],
+  };
+}
+
+export function serializeBleRecording(recording) {
+  return JSON.stringify(recording);
+}
+
+/**
+ * Parse and validate a recording file. Events come back sorted by time
+ * with `uuid` (number) and `data` (DataView) decoded.
+ *
+ * Returns: {startedAt, events: Array<{t, device, type, uuid, data, name}>}
+ * Throws: Error with a user-facing message when the file isn't usable.
+ */
+export function parseBleRecording(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Recording is not valid JSON.");
+  }
+  if (!raw || raw.format !== BLE_RECORDING_FORMAT) {
+    throw new Error("Not a VeloDrive BLE recording.");
+  }
+  if (raw.version !== BLE_RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${raw.version}.`);
+  }
+  if (!Array.isArray(raw.events)) {
+    throw new Error("Recording has no events.");
+  }
+
+  const events = [];
+  raw.events.forEach((ev, idx) => {
+    const t = Number(ev?.t);
+    if (!Number.isFinite(t) || t < 0 || !EVENT_TYPES.has(ev.type)) {
+      throw new Error(`Recording event ${idx + 1} is malformed.`);
+    }
+    events.push({
+      t,
+      device: String(ev.device || ""),
+      type: ev.type,
+      uuid: ev.char == null ? null : parseInt(ev.char, 16),
+      data: ev.data == null ? null : hexToDataView(ev.data),
+      name: ev.name ?? null,
+    });
+  });
+  events.sort((a, b) => a.t - b.t);
+
+  return {startedAt: raw.startedAt || null, events};
+}
+
+// velodrive-ble-20250114-183005.json
+export function bleRecordingFileName(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `velodrive-ble-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.json`
+  );
+}
@@ -0,0 +1,183 @@
+// erg.js
+//
+// ERG (absolute watts) and MRC (percent FTP) workout files <-> CanonicalWorkout.
+//
+// Both formats share the same layout:
+//
+//   [COURSE HEADER]
+//   VERSION = 2
+//   UNITS = ENGLISH
+//   DESCRIPTION = ...
+//   FILE NAME = ...
+//   FTP = 250                 (ERG only)
+//   MINUTES WATTS             (or MINUTES PERCENT)
+//   [END COURSE HEADER]
+//   [COURSE DATA]
+//   0.00	100
+//   10.00	200               (linear ramp between consecutive points)
+//   10.00	150               (same minute twice = step change)
+//   [END COURSE DATA]
+//
+// This file is intentionally standalone (no DOM or fetch dependencies).
+
+/** @typedef {import("./zwo.js").CanonicalWorkout} CanonicalWorkout */
+
+import {isFreeSegment} from "./workout-metrics.js";
+
+const ERG_MAX_WORKOUT_MINUTES = 24 * 60;
+
+// ---------------- Parsing ----------------
+
+/**
+ * Parse an .erg or .mrc file into a CanonicalWorkout.
+ *
+ * Absolute watts are converted to % FTP using the FTP stated in the file
+ * header, falling back to `ftp` when the file doesn't state one.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.ftp]       fallback FTP for ERG files
+ * @param {string} [options.fileName]  used as title if the file has none
+ * @returns {CanonicalWorkout|null}
+ */
+export function parseErgMrcToCanonicalWorkout(text, {ftp, fileName} = {}) {
+  if (!text) return null;
+
+  const header = {};
+  let units = null; // "watts" | "percent"
+  const points = [];
+
+  let section = null;
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(";")) continue;
+
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      const name = sectionMatch[1].trim().toUpperCase();
+      section = name.startsWith("END ") ? null : name;
+      continue;
+    }
+
+    if (section === "COURSE HEADER") {
+      const kv = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+      if (kv) {
+        header[kv[1].trim().toUpperCase()] = kv[2].trim();
+        continue;
+      }
+      const cols = line.toUpperCase().split(/\s+/);
+      if (cols[0] === "MINUTES" && cols[1] === "WATTS") units = "watts";
+      if (cols[0] === "MINUTES" && cols[1] === "PERCENT") units = "percent";
+    } else if (section === "COURSE DATA") {
+      const cols = line.split(/\s+/).map(Number);
+      if (cols.length < 2 || !cols.slice(0, 2).every(Number.isFinite)) continue;
+      points.push([cols[0], cols[1]]);
+    }
+  }
+
+  if (!units || points.length < 2) return null;
+
+  const statedFtp = Number(header.FTP);
+  const ftpVal = Number.isFinite(statedFtp) && statedFtp > 0 ? statedFtp : Number(ftp);
+  if (units === "watts" && !(ftpVal > 0)) return null;
+
+  const toPct = (v) =>
+    units === "watts" ? Math.round((v / ftpVal) * 1000) / 10 : v;
+
+  const rawSegments = [];
+  for (let i = 1; i < points.length; i++) {
+    const [m0, v0] = points[i - 1];
+    const [m1, v1] = points[i];
+    const minutes = Math.round((m1 - m0) * 1e4) / 1e4;
+    if (minutes <= 0) continue; // step change (or out-of-order point)
+    if (m1 > ERG_MAX_WORKOUT_MINUTES) break;
+    rawSegments.push([minutes, toPct(v0), toPct(v1)]);
+  }
+
+  if (!rawSegments.length) return null;
+
+  const baseName = (fileName || "").replace(/\.(erg|mrc)$/i, "");
+  const description = header.DESCRIPTION || "";
+
+  return {
+    source: "",
+    sourceURL: "",
+    workoutTitle: header["FILE NAME"]?.replace(/\.(erg|mrc)$/i, "") || baseName || description,
+    rawSegments,
+    description,
+    filename: fileName || "",
+  };
+}
+
+// ---------------- Writing ----------------
+
+function formatMinutes(minutes) {
+  return (Math.round(minutes * 100) / 100).toFixed(2);
+}
+
+/**
+ * Throws: Error with a user-facing message when the workout has segments
+ * without a power target (FreeRide / MaxEffort / Slope / HeartRate). The
+ * formats can't express them, and writing 0 W would stop the rider.
+ */
+function buildCourseFile(canonical, {units, ftp}) {
+  const {workoutTitle = "", description = "", rawSegments = []} = canonical || {};
+  const free = rawSegments.filter(isFreeSegment).length;
+  if (free) {
+    throw new Error(
+      `This workout has ${free} segment${free === 1 ? "" : "s"} without a power target ` +
+      "(FreeRide, MaxEffort, Slope or HeartRate), which .erg / .mrc files can't represent. " +
+      "Export it as .zwo or .fit instead."
+    );
+  }
+  const toValue = (pct) =>
+    units === "watts"
+      ? String(Math.round((pct / 100) * ftp))
+      : String(Math.round(pct * 10) / 10);
+
+  const lines = [
+    "[COURSE HEADER]",
+    "VERSION = 2",
+    "UNITS = ENGLISH",
+    `DESCRIPTION = ${(description || workoutTitle).replace(/\s*\r?\n\s*/g, " ")}`,
+    `FILE NAME = ${workoutTitle}`,
+  ];
+  if (units === "watts") lines.push(`FTP = ${Math.round(ftp)}`);
+  lines.push(units === "watts" ? "MINUTES WATTS" : "MINUTES PERCENT");
+  lines.push("[END COURSE HEADER]");
+  lines.push("[COURSE DATA]");
+
+  let acc = 0;
+  for (const [minutes, startPct, endPct] of rawSegments) {
+    const dur = Number(minutes) || 0;
+    if (dur <= 0) continue;
+    const end = endPct != null ? endPct : startPct;
+    lines.push(`${formatMinutes(acc)}\t${toValue(startPct)}`);
+    acc += dur;
+    lines.push(`${formatMinutes(acc)}\t${toValue(end)}`);
+  }
+
+  lines.push("[END COURSE DATA]");
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Build an .erg file (absolute watts at the given FTP).
+ *
+ * @param {CanonicalWorkout} canonical
+ * @param {number} ftp
+ * @returns {string}
+ */
+export function canonicalWorkoutToErg(canonical, ftp) {
+  return buildCourseFile(canonical, {units: "watts", ftp});
+}
+
+/**
+ * Build an .mrc file (percent of FTP).
+ *
+ * @param {CanonicalWorkout} canonical
+ * @returns {string}
+ */
+export function canonicalWorkoutToMrc(canonical) {
+  return buildCourseFile(canonical, {units: "percent"});
+}
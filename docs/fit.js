@@ -0,0 +1,674 @@
+// fit.js
+//
+// Minimal FIT (Flexible and Interoperable Data Transfer) encoder used to
+// export finished rides as activity files that Garmin Connect, Strava,
+// intervals.icu etc. can ingest.
+//
+// Also encodes CanonicalWorkout as a FIT structured workout for head units.
+//
+// This file is intentionally standalone (no DOM or fetch dependencies).
+
+/** @typedef {import("./zwo.js").CanonicalWorkout} CanonicalWorkout */
+
+import {
+  computeRideMetricsFromSamples,
+  splitSamplesIntoLaps,
+} from "./workout-metrics.js";
+import {segmentsToWorkoutBlocks} from "./zwo.js";
+
+// ---------------- Protocol constants ----------------
+
+const FIT_PROTOCOL_VERSION = 0x20; // 2.0
+const FIT_PROFILE_VERSION = 2132; // 21.32
+const FIT_HEADER_SIZE = 14;
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET_SEC = 631065600;
+
+const FIT_MANUFACTURER_DEVELOPMENT = 255;
+
+export const FIT_TYPES = {
+  enum: {id: 0x00, size: 1, invalid: 0xff},
+  sint8: {id: 0x01, size: 1, invalid: 0x7f},
+  uint8: {id: 0x02, size: 1, invalid: 0xff},
+  sint16: {id: 0x83, size: 2, invalid: 0x7fff},
+  uint16: {id: 0x84, size: 2, invalid: 0xffff},
+  sint32: {id: 0x85, size: 4, invalid: 0x7fffffff},
+  uint32: {id: 0x86, size: 4, invalid: 0xffffffff},
+  string: {id: 0x07, size: 1, invalid: 0x00},
+  uint32z: {id: 0x8c, size: 4, invalid: 0x00000000},
+};
+
+export const FIT_MESG = {
+  fileId: 0,
+  session: 18,
+  lap: 19,
+  record: 20,
+  event: 21,
+  workout: 26,
+  workoutStep: 27,
+  activity: 34,
+  hrv: 78,
+};
+
+const FIT_FILE_TYPE_ACTIVITY = 4;
+const FIT_FILE_TYPE_WORKOUT = 5;
+const FIT_SPORT_CYCLING = 2;
+const FIT_SUB_SPORT_INDOOR_CYCLING = 6;
+
+const FIT_EVENT_TIMER = 0;
+const FIT_EVENT_SESSION = 8;
+const FIT_EVENT_LAP = 9;
+const FIT_EVENT_ACTIVITY = 26;
+
+const FIT_EVENT_TYPE_START = 0;
+const FIT_EVENT_TYPE_STOP = 1;
+const FIT_EVENT_TYPE_STOP_ALL = 4;
+
+const FIT_LAP_TRIGGER_MANUAL = 0;
+const FIT_LAP_TRIGGER_TIME = 1;
+const FIT_LAP_TRIGGER_SESSION_END = 7;
+
+const FIT_ACTIVITY_TYPE_MANUAL = 0;
+
+const FIT_WKT_DURATION_TIME = 0;
+const FIT_WKT_DURATION_REPEAT_UNTIL_STEPS_CMPLT = 6;
+
+const FIT_WKT_TARGET_HEART_RATE = 1;
+const FIT_WKT_TARGET_POWER = 4;
+const FIT_WKT_TARGET_OPEN = 2;
+
+const FIT_INTENSITY_ACTIVE = 0;
+const FIT_INTENSITY_REST = 1;
+const FIT_INTENSITY_WARMUP = 2;
+const FIT_INTENSITY_COOLDOWN = 3;
+
+const FIT_WKT_NAME_SIZE = 32;
+
+// hrv.time holds up to this many RR intervals per message.
+const FIT_HRV_VALUES_PER_MESG = 5;
+
+// ---------------- CRC ----------------
+
+const FIT_CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+function fitCrcByte(crc, byte) {
+  let tmp = FIT_CRC_TABLE[crc & 0xf];
+  crc = (crc >> 4) & 0x0fff;
+  crc = crc ^ tmp ^ FIT_CRC_TABLE[byte & 0xf];
+
+  tmp = FIT_CRC_TABLE[crc & 0xf];
+  crc = (crc >> 4) & 0x0fff;
+  crc = crc ^ tmp ^ FIT_CRC_TABLE[(byte >> 4) & 0xf];
+  return crc;
+}
+
+/**
+ * FIT CRC-16 over a byte range.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {number}
+ */
+export function fitCrc(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = fitCrcByte(crc, bytes[i]);
+  }
+  return crc;
+}
+
+// ---------------- Small helpers ----------------
+
+/**
+ * Convert a JS Date / ms timestamp into FIT seconds since the FIT epoch.
+ */
+export function toFitTimestamp(dateOrMs) {
+  const ms = dateOrMs instanceof Date ? dateOrMs.getTime() : Number(dateOrMs);
+  return Math.max(0, Math.round(ms / 1000) - FIT_EPOCH_OFFSET_SEC);
+}
+
+function encodeUtf8(text) {
+  return new TextEncoder().encode(String(text || ""));
+}
+
+function toFitUint(value, type, scale = 1) {
+  if (value == null || !Number.isFinite(Number(value))) return null;
+  const scaled = Math.round(Number(value) * scale);
+  const max = type.invalid === 0 ? 0xffffffff : type.invalid - 1;
+  return Math.max(0, Math.min(max, scaled));
+}
+
+/**
+ * record.left_right_balance: low 7 bits are a percentage; bit 7 set means
+ * it is the right pedal's share. We record the left share when known.
+ */
+function toFitLeftRightBalance(pct, ref) {
+  if (pct == null || !Number.isFinite(Number(pct))) return null;
+  const v = Math.max(0, Math.min(100, Math.round(Number(pct))));
+  return ref === "left" ? (100 - v) | 0x80 : v;
+}
+
+// ---------------- Generic message writer ----------------
+
+/**
+ * Field definition used by the writer.
+ *
+ * @typedef FitField
+ * @property {number} num    FIT field definition number
+ * @property {{id:number,size:number,invalid:number}} type  one of FIT_TYPES
+ * @property {*} value       number, string, array of numbers, or null
+ *                           for "invalid"
+ * @property {number} [size] byte size for string fields
+ */
+
+/**
+ * Create a FIT file writer. Local message types are assigned automatically
+ * per unique (global message, field layout) pair; definitions are emitted
+ * on first use and re-emitted when a local slot is recycled.
+ */
+export function createFitWriter() {
+  const bytes = [];
+  const localBySignature = new Map();
+  const signatureByLocal = new Array(16).fill(null);
+  let nextLocal = 0;
+
+  function pushUint(value, size) {
+    for (let i = 0; i < size; i++) {
+      bytes.push((value / 2 ** (8 * i)) & 0xff);
+    }
+  }
+
+  function pushInt(value, size) {
+    const mod = 2 ** (8 * size);
+    pushUint(value < 0 ? mod + value : value, size);
+  }
+
+  function fieldSize(field) {
+    if (field.type === FIT_TYPES.string) {
+      return field.size || encodeUtf8(field.value).length + 1;
+    }
+    if (Array.isArray(field.value)) {
+      return field.type.size * Math.max(1, field.value.length);
+    }
+    return field.type.size;
+  }
+
+  function ensureDefinition(globalNum, fields, sizes) {
+    const signature =
+      globalNum +
+      ":" +
+      fields.map((f, i) => `${f.num}/${f.type.id}/${sizes[i]}`).join(",");
+
+    const existing = localBySignature.get(signature);
+    if (existing != null) return existing;
+
+    const local = nextLocal;
+    nextLocal = (nextLocal + 1) % 16;
+
+    const previous = signatureByLocal[local];
+    if (previous) localBySignature.delete(previous);
+    signatureByLocal[local] = signature;
+    localBySignature.set(signature, local);
+
+    bytes.push(0x40 | local); // definition record header
+    bytes.push(0); // reserved
+    bytes.push(0); // architecture: little-endian
+    pushUint(globalNum, 2);
+    bytes.push(fields.length);
+    fields.forEach((f, i) => {
+      bytes.push(f.num, sizes[i], f.type.id);
+    });
+
+    return local;
+  }
+
+  function writeFieldValue(field, size) {
+    const {type, value} = field;
+
+    if (type === FIT_TYPES.string) {
+      const full = encodeUtf8(value);
+      let len = Math.min(full.length, size - 1);
+      // Don't cut a multi-byte UTF-8 character in half.
+      while (len > 0 && len < full.length && (full[len] & 0xc0) === 0x80) len--;
+      const encoded = full.subarray(0, len);
+      for (let i = 0; i < size; i++) {
+        bytes.push(i < encoded.length ? encoded[i] : 0);
+      }
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      const count = size / type.size;
+      for (let i = 0; i < count; i++) {
+        writeFieldValue({type, value: value[i] ?? null}, type.size);
+      }
+      return;
+    }
+
+    if (value == null || !Number.isFinite(Number(value))) {
+      pushUint(type.invalid, size);
+      return;
+    }
+
+    const n = Math.round(Number(value));
+    if (type === FIT_TYPES.sint8 || type === FIT_TYPES.sint16 || type === FIT_TYPES.sint32) {
+      pushInt(n, size);
+    } else {
+      pushUint(n, size);
+    }
+  }
+
+  /**
+   * Append a data message.
+   *
+   * @param {number} globalNum
+   * @param {FitField[]} fields
+   */
+  function writeMessage(globalNum, fields) {
+    const sizes = fields.map(fieldSize);
+    const local = ensureDefinition(globalNum, fields, sizes);
+    bytes.push(local); // normal data record header
+    fields.forEach((f, i) => writeFieldValue(f, sizes[i]));
+  }
+
+  /**
+   * Wrap the records in a FIT header + trailing CRC.
+   *
+   * @returns {Uint8Array}
+   */
+  function finish() {
+    const dataSize = bytes.length;
+    const out = new Uint8Array(FIT_HEADER_SIZE + dataSize + 2);
+    const view = new DataView(out.buffer);
+
+    out[0] = FIT_HEADER_SIZE;
+    out[1] = FIT_PROTOCOL_VERSION;
+    view.setUint16(2, FIT_PROFILE_VERSION, true);
+    view.setUint32(4, dataSize, true);
+    out.set([0x2e, 0x46, 0x49, 0x54], 8); // ".FIT"
+    view.setUint16(12, fitCrc(out, 0, 12), true);
+
+    out.set(bytes, FIT_HEADER_SIZE);
+    view.setUint16(
+      FIT_HEADER_SIZE + dataSize,
+      fitCrc(out, 0, FIT_HEADER_SIZE + dataSize),
+      true
+    );
+    return out;
+  }
+
+  return {writeMessage, finish};
+}
+
+// ---------------- Activity export ----------------
+
+/**
+ * Scale ride metrics into the integer units shared by lap and session.
+ */
+function fitSummaryValues(metrics, {elapsedSec, timerSec, distanceM}) {
+  return {
+    elapsedMs: toFitUint(elapsedSec, FIT_TYPES.uint32, 1000),
+    timerMs: toFitUint(timerSec, FIT_TYPES.uint32, 1000),
+    distanceCm: toFitUint(distanceM, FIT_TYPES.uint32, 100),
+    // Cycling gross efficiency makes kJ of work ~= kcal burned.
+    calories: toFitUint(metrics.kj, FIT_TYPES.uint16),
+    avgHr: toFitUint(metrics.avgHr, FIT_TYPES.uint8),
+    maxHr: toFitUint(metrics.maxHr, FIT_TYPES.uint8),
+    avgCadence: toFitUint(metrics.avgCadence, FIT_TYPES.uint8),
+    maxCadence: toFitUint(metrics.maxCadence, FIT_TYPES.uint8),
+    avgPower: toFitUint(metrics.avgPower, FIT_TYPES.uint16),
+    maxPower: toFitUint(metrics.maxPower, FIT_TYPES.uint16),
+    totalWorkJ: toFitUint(metrics.kj, FIT_TYPES.uint32, 1000),
+  };
+}
+
+/**
+ * Build a FIT activity file from recorded live samples.
+ *
+ * samples: Array<{t, ts?, power, hr, cadence, speedKph?, targetPower, pedalBalance?, rr?}>
+ *   - t: elapsed workout seconds (1 Hz, excludes pauses)
+ *   - ts: wall-clock ms; falls back to startedAt + t for older recordings
+ *   - rr: RR intervals (ms) received during that second, written as hrv
+ *     messages after the record
+ *
+ * Laps follow the rawSegments boundaries of the ridden workout; any samples
+ * past the last boundary are folded into the final lap.
+ *
+ * @param {Object} opts
+ * @param {CanonicalWorkout | null} opts.canonicalWorkout
+ * @param {Array<Object>} opts.samples
+ * @param {Date} opts.startedAt
+ * @param {number} opts.ftp
+ * @returns {Uint8Array}
+ */
+export function buildFitActivityFile({canonicalWorkout, samples, startedAt, ftp}) {
+  const writer = createFitWriter();
+  const list = Array.isArray(samples) ? samples : [];
+  const startMs =
+    startedAt instanceof Date && !Number.isNaN(startedAt.getTime())
+      ? startedAt.getTime()
+      : Date.now() - list.length * 1000;
+
+  const sampleTs = (s) =>
+    toFitTimestamp(Number.isFinite(s.ts) ? s.ts : startMs + (s.t || 0) * 1000);
+  const startTs = toFitTimestamp(startMs);
+  const lastSample = list[list.length - 1];
+  const endTs = lastSample ? sampleTs(lastSample) : startTs;
+  const totalSec = lastSample ? lastSample.t || 0 : 0;
+
+  // file_id
+  writer.writeMessage(FIT_MESG.fileId, [
+    {num: 0, type: FIT_TYPES.enum, value: FIT_FILE_TYPE_ACTIVITY},
+    {num: 1, type: FIT_TYPES.uint16, value: FIT_MANUFACTURER_DEVELOPMENT},
+    {num: 2, type: FIT_TYPES.uint16, value: 0},
+    {num: 3, type: FIT_TYPES.uint32z, value: (startTs % 0xfffffffe) + 1},
+    {num: 4, type: FIT_TYPES.uint32, value: startTs},
+  ]);
+
+  const writeEvent = (timestamp, event, eventType) =>
+    writer.writeMessage(FIT_MESG.event, [
+      {num: 253, type: FIT_TYPES.uint32, value: timestamp},
+      {num: 0, type: FIT_TYPES.enum, value: event},
+      {num: 1, type: FIT_TYPES.enum, value: eventType},
+    ]);
+
+  writeEvent(startTs, FIT_EVENT_TIMER, FIT_EVENT_TYPE_START);
+
+  // records (distance integrated from speed when the trainer reports it)
+  let distanceM = 0;
+  let hasDistance = false;
+  for (const s of list) {
+    if (s.speedKph != null && Number.isFinite(s.speedKph)) {
+      distanceM += s.speedKph / 3.6;
+      hasDistance = true;
+    }
+    writer.writeMessage(FIT_MESG.record, [
+      {num: 253, type: FIT_TYPES.uint32, value: sampleTs(s)},
+      {num: 7, type: FIT_TYPES.uint16, value: toFitUint(s.power, FIT_TYPES.uint16)},
+      {num: 3, type: FIT_TYPES.uint8, value: toFitUint(s.hr, FIT_TYPES.uint8)},
+      {num: 4, type: FIT_TYPES.uint8, value: toFitUint(s.cadence, FIT_TYPES.uint8)},
+      {
+        num: 6,
+        type: FIT_TYPES.uint16,
+        value: toFitUint(s.speedKph != null ? s.speedKph / 3.6 : null, FIT_TYPES.uint16, 1000),
+      },
+      {
+        num: 5,
+        type: FIT_TYPES.uint32,
+        value: hasDistance ? toFitUint(distanceM, FIT_TYPES.uint32, 100) : null,
+      },
+      {
+        num: 30,
+        type: FIT_TYPES.uint8,
+        value: toFitLeftRightBalance(s.pedalBalance, s.pedalBalanceRef),
+      },
+    ]);
+
+    // hrv.time: seconds, scale 1000; unused slots are invalid.
+    const rr = Array.isArray(s.rr) ? s.rr : [];
+    for (let i = 0; i < rr.length; i += FIT_HRV_VALUES_PER_MESG) {
+      const chunk = rr
+        .slice(i, i + FIT_HRV_VALUES_PER_MESG)
+        .map((ms) => toFitUint(ms, FIT_TYPES.uint16));
+      while (chunk.length < FIT_HRV_VALUES_PER_MESG) chunk.push(null);
+      writer.writeMessage(FIT_MESG.hrv, [
+        {num: 0, type: FIT_TYPES.uint16, value: chunk},
+      ]);
+    }
+  }
+
+  // laps
+  const lapDistance = (lapSamples) =>
+    lapSamples.reduce(
+      (sum, s) => sum + (Number.isFinite(s.speedKph) ? s.speedKph / 3.6 : 0),
+      0
+    );
+
+  let lapIndex = 0;
+  let lapStartTs = startTs;
+  for (const lap of splitSamplesIntoLaps(list, canonicalWorkout?.rawSegments)) {
+    const lapSamples = lap.samples;
+    const lapEnd = lapSamples[lapSamples.length - 1];
+    const isLast = lapEnd === lastSample;
+    const m = fitSummaryValues(computeRideMetricsFromSamples(lapSamples, ftp), {
+      elapsedSec: sampleTs(lapEnd) - lapStartTs,
+      timerSec: (lapEnd.t || 0) - lap.startSec,
+      distanceM: hasDistance ? lapDistance(lapSamples) : null,
+    });
+
+    writer.writeMessage(FIT_MESG.lap, [
+      {num: 254, type: FIT_TYPES.uint16, value: lapIndex},
+      {num: 253, type: FIT_TYPES.uint32, value: sampleTs(lapEnd)},
+      {num: 0, type: FIT_TYPES.enum, value: FIT_EVENT_LAP},
+      {num: 1, type: FIT_TYPES.enum, value: FIT_EVENT_TYPE_STOP},
+      {num: 2, type: FIT_TYPES.uint32, value: lapStartTs},
+      {num: 7, type: FIT_TYPES.uint32, value: m.elapsedMs},
+      {num: 8, type: FIT_TYPES.uint32, value: m.timerMs},
+      {num: 9, type: FIT_TYPES.uint32, value: m.distanceCm},
+      {num: 11, type: FIT_TYPES.uint16, value: m.calories},
+      {num: 15, type: FIT_TYPES.uint8, value: m.avgHr},
+      {num: 16, type: FIT_TYPES.uint8, value: m.maxHr},
+      {num: 17, type: FIT_TYPES.uint8, value: m.avgCadence},
+      {num: 18, type: FIT_TYPES.uint8, value: m.maxCadence},
+      {num: 19, type: FIT_TYPES.uint16, value: m.avgPower},
+      {num: 20, type: FIT_TYPES.uint16, value: m.maxPower},
+      {
+        num: 24,
+        type: FIT_TYPES.enum,
+        value: isLast
+          ? FIT_LAP_TRIGGER_SESSION_END
+          : canonicalWorkout
+          ? FIT_LAP_TRIGGER_TIME
+          : FIT_LAP_TRIGGER_MANUAL,
+      },
+      {num: 25, type: FIT_TYPES.enum, value: FIT_SPORT_CYCLING},
+      {num: 39, type: FIT_TYPES.enum, value: FIT_SUB_SPORT_INDOOR_CYCLING},
+      {num: 41, type: FIT_TYPES.uint32, value: m.totalWorkJ},
+    ]);
+
+    lapIndex++;
+    lapStartTs = sampleTs(lapEnd);
+  }
+
+  writeEvent(endTs, FIT_EVENT_TIMER, FIT_EVENT_TYPE_STOP_ALL);
+
+  // session
+  const metrics = computeRideMetricsFromSamples(list, ftp);
+  const sm = fitSummaryValues(metrics, {
+    elapsedSec: endTs - startTs,
+    timerSec: totalSec,
+    distanceM: hasDistance ? distanceM : null,
+  });
+
+  writer.writeMessage(FIT_MESG.session, [
+    {num: 254, type: FIT_TYPES.uint16, value: 0},
+    {num: 253, type: FIT_TYPES.uint32, value: endTs},
+    {num: 0, type: FIT_TYPES.enum, value: FIT_EVENT_SESSION},
+    {num: 1, type: FIT_TYPES.enum, value: FIT_EVENT_TYPE_STOP},
+    {num: 2, type: FIT_TYPES.uint32, value: startTs},
+    {num: 5, type: FIT_TYPES.enum, value: FIT_SPORT_CYCLING},
+    {num: 6, type: FIT_TYPES.enum, value: FIT_SUB_SPORT_INDOOR_CYCLING},
+    {num: 7, type: FIT_TYPES.uint32, value: sm.elapsedMs},
+    {num: 8, type: FIT_TYPES.uint32, value: sm.timerMs},
+    {num: 9, type: FIT_TYPES.uint32, value: sm.distanceCm},
+    {num: 11, type: FIT_TYPES.uint16, value: sm.calories},
+    {num: 16, type: FIT_TYPES.uint8, value: sm.avgHr},
+    {num: 17, type: FIT_TYPES.uint8, value: sm.maxHr},
+    {num: 18, type: FIT_TYPES.uint8, value: sm.avgCadence},
+    {num: 19, type: FIT_TYPES.uint8, value: sm.maxCadence},
+    {num: 20, type: FIT_TYPES.uint16, value: sm.avgPower},
+    {num: 21, type: FIT_TYPES.uint16, value: sm.maxPower},
+    {num: 25, type: FIT_TYPES.uint16, value: 0},
+    {num: 26, type: FIT_TYPES.uint16, value: lapIndex},
+    {
+      num: 34,
+      type: FIT_TYPES.uint16,
+      value: toFitUint(metrics.normalizedPower, FIT_TYPES.uint16),
+    },
+    {num: 35, type: FIT_TYPES.uint16, value: toFitUint(metrics.tss, FIT_TYPES.uint16, 10)},
+    {num: 36, type: FIT_TYPES.uint16, value: toFitUint(metrics.ifValue, FIT_TYPES.uint16, 1000)},
+    {num: 45, type: FIT_TYPES.uint16, value: toFitUint(ftp, FIT_TYPES.uint16)},
+    {num: 48, type: FIT_TYPES.uint32, value: sm.totalWorkJ},
+  ]);
+
+  // activity
+  const tzOffsetSec = -new Date(startMs).getTimezoneOffset() * 60;
+  writer.writeMessage(FIT_MESG.activity, [
+    {num: 253, type: FIT_TYPES.uint32, value: endTs},
+    {num: 0, type: FIT_TYPES.uint32, value: toFitUint(totalSec, FIT_TYPES.uint32, 1000)},
+    {num: 1, type: FIT_TYPES.uint16, value: 1},
+    {num: 2, type: FIT_TYPES.enum, value: FIT_ACTIVITY_TYPE_MANUAL},
+    {num: 3, type: FIT_TYPES.enum, value: FIT_EVENT_ACTIVITY},
+    {num: 4, type: FIT_TYPES.enum, value: FIT_EVENT_TYPE_STOP},
+    {num: 5, type: FIT_TYPES.uint32, value: endTs + tzOffsetSec},
+  ]);
+
+  return writer.finish();
+}
+
+// ---------------- Structured workout export ----------------
+
+/**
+ * Custom power targets in workout_step are encoded as % FTP for 0–1000.
+ */
+function fitPowerPct(rel) {
+  return Math.max(0, Math.min(1000, Math.round(rel * 100)));
+}
+
+/**
+ * Custom heart-rate targets are encoded as bpm + 100 (0–100 are % max HR).
+ */
+function fitHeartRateBpm(bpm) {
+  return Math.max(100, Math.min(355, Math.round(bpm) + 100));
+}
+
+/**
+ * Build a FIT structured workout file from a CanonicalWorkout.
+ *
+ * - steady blocks become a single power target (low == high)
+ * - ramps become a power range from start to end power
+ * - HeartRate blocks become a heart-rate target (low == high)
+ * - IntervalsT-style on/off repeats become two steps followed by a
+ *   "repeat until steps complete" step
+ *
+ * @param {CanonicalWorkout} canonical
+ * @returns {Uint8Array}
+ */
+export function canonicalWorkoutToFitWorkout(canonical) {
+  const writer = createFitWriter();
+  const blocks = segmentsToWorkoutBlocks(canonical?.rawSegments || []);
+  const nowTs = toFitTimestamp(Date.now());
+
+  /** @type {FitField[][]} */
+  const steps = [];
+
+  const pushTimedStep = (durationSec, lowRel, highRel, intensity) => {
+    const low = fitPowerPct(Math.min(lowRel, highRel));
+    const high = fitPowerPct(Math.max(lowRel, highRel));
+    steps.push([
+      {num: 254, type: FIT_TYPES.uint16, value: steps.length},
+      {num: 1, type: FIT_TYPES.enum, value: FIT_WKT_DURATION_TIME},
+      {num: 2, type: FIT_TYPES.uint32, value: Math.round(durationSec) * 1000},
+      {num: 3, type: FIT_TYPES.enum, value: FIT_WKT_TARGET_POWER},
+      {num: 4, type: FIT_TYPES.uint32, value: 0},
+      {num: 5, type: FIT_TYPES.uint32, value: low},
+      {num: 6, type: FIT_TYPES.uint32, value: high},
+      {num: 7, type: FIT_TYPES.enum, value: intensity},
+    ]);
+  };
+
+  // FreeRide / MaxEffort / Slope: timed step without a power target.
+  const pushOpenStep = (durationSec) => {
+    steps.push([
+      {num: 254, type: FIT_TYPES.uint16, value: steps.length},
+      {num: 1, type: FIT_TYPES.enum, value: FIT_WKT_DURATION_TIME},
+      {num: 2, type: FIT_TYPES.uint32, value: Math.round(durationSec) * 1000},
+      {num: 3, type: FIT_TYPES.enum, value: FIT_WKT_TARGET_OPEN},
+      {num: 4, type: FIT_TYPES.uint32, value: 0},
+      {num: 7, type: FIT_TYPES.enum, value: FIT_INTENSITY_ACTIVE},
+    ]);
+  };
+
+  const pushHeartRateStep = (durationSec, bpm) => {
+    const value = fitHeartRateBpm(bpm);
+    steps.push([
+      {num: 254, type: FIT_TYPES.uint16, value: steps.length},
+      {num: 1, type: FIT_TYPES.enum, value: FIT_WKT_DURATION_TIME},
+      {num: 2, type: FIT_TYPES.uint32, value: Math.round(durationSec) * 1000},
+      {num: 3, type: FIT_TYPES.enum, value: FIT_WKT_TARGET_HEART_RATE},
+      {num: 4, type: FIT_TYPES.uint32, value: 0},
+      {num: 5, type: FIT_TYPES.uint32, value},
+      {num: 6, type: FIT_TYPES.uint32, value},
+      {num: 7, type: FIT_TYPES.enum, value: FIT_INTENSITY_ACTIVE},
+    ]);
+  };
+
+  blocks.forEach((b, idx) => {
+    const isFirst = idx === 0;
+    const isLast = idx === blocks.length - 1;
+
+    if (b.kind === "intervals") {
+      const repeatFrom = steps.length;
+      pushTimedStep(b.onDurationSec, b.onPowerRel, b.onPowerRel, FIT_INTENSITY_ACTIVE);
+      pushTimedStep(b.offDurationSec, b.offPowerRel, b.offPowerRel, FIT_INTENSITY_REST);
+      steps.push([
+        {num: 254, type: FIT_TYPES.uint16, value: steps.length},
+        {num: 1, type: FIT_TYPES.enum, value: FIT_WKT_DURATION_REPEAT_UNTIL_STEPS_CMPLT},
+        {num: 2, type: FIT_TYPES.uint32, value: repeatFrom},
+        {num: 3, type: FIT_TYPES.enum, value: FIT_WKT_TARGET_OPEN},
+        {num: 4, type: FIT_TYPES.uint32, value: b.repeat},
+      ]);
+    } else if (b.kind === "steady") {
+      pushTimedStep(b.durationSec, b.powerRel, b.powerRel, FIT_INTENSITY_ACTIVE);
+    } else if (b.kind === "rampUp") {
+      pushTimedStep(
+        b.durationSec,
+        b.powerLowRel,
+        b.powerHighRel,
+        isFirst ? FIT_INTENSITY_WARMUP : FIT_INTENSITY_ACTIVE
+      );
+    } else if (b.kind === "rampDown") {
+      pushTimedStep(
+        b.durationSec,
+        b.powerLowRel,
+        b.powerHighRel,
+        isLast ? FIT_INTENSITY_COOLDOWN : FIT_INTENSITY_ACTIVE
+      );
+    } else if (b.kind === "freeRide" || b.kind === "maxEffort" || b.kind === "slope") {
+      pushOpenStep(b.durationSec);
+    } else if (b.kind === "heartRate") {
+      pushHeartRateStep(b.durationSec, b.hr);
+    }
+  });
+
+  writer.writeMessage(FIT_MESG.fileId, [
+    {num: 0, type: FIT_TYPES.enum, value: FIT_FILE_TYPE_WORKOUT},
+    {num: 1, type: FIT_TYPES.uint16, value: FIT_MANUFACTURER_DEVELOPMENT},
+    {num: 2, type: FIT_TYPES.uint16, value: 0},
+    {num: 3, type: FIT_TYPES.uint32z, value: (nowTs % 0xfffffffe) + 1},
+    {num: 4, type: FIT_TYPES.uint32, value: nowTs},
+  ]);
+
+  writer.writeMessage(FIT_MESG.workout, [
+    {num: 4, type: FIT_TYPES.enum, value: FIT_SPORT_CYCLING},
+    {num: 6, type: FIT_TYPES.uint16, value: steps.length},
+    {
+      num: 8,
+      type: FIT_TYPES.string,
+      size: FIT_WKT_NAME_SIZE,
+      value: canonical?.workoutTitle || "Workout",
+    },
+    {num: 11, type: FIT_TYPES.enum, value: FIT_SUB_SPORT_INDOOR_CYCLING},
+  ]);
+
+  for (const fields of steps) {
+    writer.writeMessage(FIT_MESG.workoutStep, fields);
+  }
+
+  return writer.finish();
+}
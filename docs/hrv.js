@@ -0,0 +1,231 @@
+// hrv.js
+// Heart-rate variability from RR intervals: artifact filtering, RMSSD and
+// DFA alpha1. Alpha1 falls through ~0.75 around the aerobic threshold.
+// Pure functions; no DOM or BLE dependencies.
+
+export const DFA_ALPHA1_AEROBIC_THRESHOLD = 0.75;
+
+// Window used for live values and the post-ride alpha1 series.
+export const HRV_WINDOW_SEC = 120;
+
+// Physiologically plausible RR range, and the largest change we accept
+// before calling it a missed / extra beat.
+const RR_MIN_MS = 300;
+const RR_MAX_MS = 2000;
+const RR_MAX_CHANGE = 0.2;
+// Beats on each side of the local median a beat is checked against.
+const RR_MEDIAN_HALF_WINDOW = 2;
+
+// DFA alpha1: short-term box sizes (beats), and the minimum beats needed.
+const DFA_MIN_BOX = 4;
+const DFA_MAX_BOX = 16;
+const DFA_MIN_BEATS = 50;
+
+// Post-ride alpha1 series step.
+const HRV_SERIES_STEP_SEC = 30;
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function linearSlope(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+  }
+  return sxx ? sxy / sxx : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Clean beats as runs of successive RR intervals. A beat is dropped when it
+ * is out of range or more than 20% off the median of the raw beats around
+ * it (missed or doubled detections). A dropped beat, or a jump of more than
+ * 20% between kept beats (e.g. across a pause), starts a new run.
+ */
+function cleanRrRuns(rrMs) {
+  const raw = (rrMs || []).map(Number);
+  const runs = [];
+  let run = null;
+  for (let i = 0; i < raw.length; i++) {
+    const rr = raw[i];
+    const local = median(
+      raw
+        .slice(Math.max(0, i - RR_MEDIAN_HALF_WINDOW), i + RR_MEDIAN_HALF_WINDOW + 1)
+        .filter(Number.isFinite)
+    );
+    if (
+      !Number.isFinite(rr) ||
+      rr < RR_MIN_MS ||
+      rr > RR_MAX_MS ||
+      Math.abs(rr - local) / local > RR_MAX_CHANGE
+    ) {
+      run = null;
+      continue;
+    }
+    const prev = run ? run[run.length - 1] : null;
+    if (prev == null || Math.abs(rr - prev) / prev > RR_MAX_CHANGE) {
+      run = [];
+      runs.push(run);
+    }
+    run.push(rr);
+  }
+  return runs;
+}
+
+/**
+ * Drop out-of-range RR intervals and missed / doubled detections.
+ *
+ * rrMs: Array<number> in milliseconds
+ */
+export function filterRrIntervals(rrMs) {
+  return cleanRrRuns(rrMs).flat();
+}
+
+/**
+ * Root mean square of successive RR differences (ms), or null without two
+ * successive clean beats. Differences are only taken within a run, never
+ * across a dropped beat.
+ */
+export function computeRmssd(rrMs) {
+  let sum = 0;
+  let count = 0;
+  for (const run of cleanRrRuns(rrMs)) {
+    for (let i = 1; i < run.length; i++) {
+      sum += (run[i] - run[i - 1]) ** 2;
+      count++;
+    }
+  }
+  return count ? Math.sqrt(sum / count) : null;
+}
+
+/**
+ * Short-term scaling exponent of detrended fluctuation analysis over box
+ * sizes 4–16 beats. Null with too few clean beats.
+ */
+export function computeDfaAlpha1(rrMs) {
+  const rr = filterRrIntervals(rrMs);
+  if (rr.length < DFA_MIN_BEATS) return null;
+
+  // Integrated, mean-removed series.
+  const m = mean(rr);
+  const y = [];
+  let acc = 0;
+  for (const v of rr) {
+    acc += v - m;
+    y.push(acc);
+  }
+
+  const logN = [];
+  const logF = [];
+  for (let n = DFA_MIN_BOX; n <= DFA_MAX_BOX; n++) {
+    const boxes = Math.floor(y.length / n);
+    if (boxes < 2) break;
+
+    // Least-squares line per box over x = 0..n-1.
+    const xm = (n - 1) / 2;
+    const sxx = (n * (n * n - 1)) / 12;
+    let sumSq = 0;
+    for (let b = 0; b < boxes; b++) {
+      const start = b * n;
+      let ym = 0;
+      for (let i = 0; i < n; i++) ym += y[start + i];
+      ym /= n;
+      let sxy = 0;
+      for (let i = 0; i < n; i++) sxy += (i - xm) * (y[start + i] - ym);
+      const slope = sxy / sxx;
+      for (let i = 0; i < n; i++) {
+        const fit = ym + slope * (i - xm);
+        sumSq += (y[start + i] - fit) ** 2;
+      }
+    }
+
+    const f = Math.sqrt(sumSq / (boxes * n));
+    if (f > 0) {
+      logN.push(Math.log(n));
+      logF.push(Math.log(f));
+    }
+  }
+
+  if (logN.length < 2) return null;
+  return linearSlope(logN, logF);
+}
+
+/**
+ * Alpha1 / RMSSD / mean HR over sliding windows of recorded samples.
+ *
+ * samples: Array<{t, hr?, rr?: number[]}> (1 Hz, rr = beats in that second)
+ *
+ * Returns: Array<{t, hr, rmssd, alpha1}> (t = window end)
+ */
+export function computeHrvSeries(samples, {windowSec = HRV_WINDOW_SEC} = {}) {
+  const list = Array.isArray(samples) ? samples : [];
+  const series = [];
+
+  for (let end = windowSec; end <= list.length; end += HRV_SERIES_STEP_SEC) {
+    const window = list.slice(end - windowSec, end);
+    const rr = window.flatMap((s) => (Array.isArray(s?.rr) ? s.rr : []));
+    const alpha1 = computeDfaAlpha1(rr);
+    if (alpha1 == null) continue;
+
+    const hrs = window
+      .map((s) => Number(s?.hr))
+      .filter((v) => Number.isFinite(v) && v > 0);
+    series.push({
+      t: window[window.length - 1]?.t ?? end,
+      hr: hrs.length ? mean(hrs) : null,
+      rmssd: computeRmssd(rr),
+      alpha1,
+    });
+  }
+  return series;
+}
+
+/**
+ * Heart rate where alpha1 crosses 0.75, from a linear fit of alpha1
+ * against HR. Null unless alpha1 falls with rising HR and the crossing
+ * lies within (or near) the HR range actually ridden.
+ */
+export function estimateAerobicThresholdHr(series) {
+  const points = (series || []).filter((p) => p.hr != null && p.alpha1 != null);
+  if (points.length < 5) return null;
+
+  const hrs = points.map((p) => p.hr);
+  const alphas = points.map((p) => p.alpha1);
+  const slope = linearSlope(hrs, alphas);
+  if (slope == null || slope >= 0) return null;
+
+  const intercept = mean(alphas) - slope * mean(hrs);
+  const hr = (DFA_ALPHA1_AEROBIC_THRESHOLD - intercept) / slope;
+  const minHr = Math.min(...hrs);
+  const maxHr = Math.max(...hrs);
+  if (hr < minHr - 5 || hr > maxHr + 5) return null;
+  return hr;
+}
+
+/**
+ * Post-ride HRV summary.
+ *
+ * Returns: { beats, rmssd, avgAlpha1, aerobicThresholdHr } (nulls when the
+ * ride has no usable RR data)
+ */
+export function computeHrvSummary(samples) {
+  const list = Array.isArray(samples) ? samples : [];
+  const rr = list.flatMap((s) => (Array.isArray(s?.rr) ? s.rr : []));
+  const series = computeHrvSeries(list);
+  return {
+    beats: rr.length,
+    rmssd: computeRmssd(rr),
+    avgAlpha1: series.length ? mean(series.map((p) => p.alpha1)) : null,
+    aerobicThresholdHr: estimateAerobicThresholdHr(series),
+  };
+}
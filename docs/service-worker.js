@@ -1,7 +1,7 @@
 // service-worker.js
 
 // Bump this when you deploy a new version so clients pick up new files
-const CACHE_VERSION = "v15";
+const CACHE_VERSION = "v40";
 const CACHE_NAME = `velodrive-cache-${CACHE_VERSION}`;
 
 // Files to make available offline
@@ -16,10 +16,17 @@ const PRECACHE_URLS = [
   "./workout-builder.js",
   "./workout-engine.js",
   "./workout-metrics.js",
+  "./hrv.js",
   "./ble-manager.js",
+  "./virtual-devices.js",
+  "./ble-recording.js",
   "./beeper.js",
   "./storage.js",
   "./zwo.js",
+  "./fit.js",
+  "./tcx.js",
+  "./erg.js",
+  "./trainer-calibration.js",
   "./scrapers.js",
   "./settings.js",
   "./welcome.js",
@@ -6,15 +6,29 @@
 //  - Configure root VeloDrive data folder (workouts + history + trash)
 //  - FTP setting (FTP control-group with +/-10 buttons, saves on Enter/blur, no Save button)
 //  - Sound on/off toggle (replaces nav sound button)
+//  - Resistance-mode workouts toggle + per-trainer calibration curve
+//  - Cooldown power held after a workout completes
+//  - Slope simulation environment (wind, Crr, Cw)
 //  - Logs view (replaces old logs overlay; preserves selection when appending)
 //  - Environment checks: Web Bluetooth support + browser support
+//  - Trainer capabilities (FTMS features + supported power / resistance ranges)
+//  - Trainer / HRM device information (model, firmware, battery)
+//  - Spin down calibration (start / cancel + live progress)
+//  - Virtual trainer + HRM toggle (no hardware needed)
+//  - Bluetooth session recording (download) and replay (from file)
 //
 // This module assumes the HTML provides a settings overlay/modal with IDs
 // referenced below (settingsOverlay, settingsModal, etc).
 // It is designed to be initialised from workout.js via initSettings().
 
 import {getWorkoutEngine} from "./workout-engine.js";
+import {BleManager} from "./ble-manager.js";
 import {DEFAULT_FTP} from "./workout-metrics.js";
+import {bleRecordingFileName} from "./ble-recording.js";
+import {
+  formatCalibrationText,
+  parseCalibrationText,
+} from "./trainer-calibration.js";
 
 import {
   loadSoundPreference,
@@ -22,6 +36,16 @@ import {
   saveFtp,
   loadRootDirHandle,
   pickRootDir,          // selects / re-permissions the single root dir
+  loadWorkoutControl,
+  saveWorkoutControl,
+  loadResistanceCalibration,
+  saveResistanceCalibration,
+  loadCooldownPower,
+  saveCooldownPower,
+  loadSimEnvironment,
+  saveSimEnvironment,
+  loadVirtualDevicesEnabled,
+  saveVirtualDevicesEnabled,
 } from "./storage.js";
 
 // --------------------------- DOM refs ---------------------------
@@ -54,9 +78,49 @@ const ftpDeltaButtons = Array.from(
 const soundToggleRoot = document.getElementById("settingsSoundToggle");
 const soundCheckbox = document.getElementById("settingsSoundCheckbox");
 
+// Resistance-mode workouts
+const resistanceWorkoutCheckbox = document.getElementById(
+  "settingsResistanceWorkoutCheckbox"
+);
+const calibrationInput = document.getElementById("settingsCalibrationInput");
+const calibrationErrorEl = document.getElementById("settingsCalibrationError");
+
+// Cooldown power
+const cooldownInput = document.getElementById("settingsCooldownInput");
+
+// Slope simulation environment
+const simWindInput = document.getElementById("settingsSimWindInput");
+const simCrrInput = document.getElementById("settingsSimCrrInput");
+const simCwInput = document.getElementById("settingsSimCwInput");
+const simInputs = [simWindInput, simCrrInput, simCwInput].filter(Boolean);
+
 // Environment status
 const btStatusText = document.getElementById("settingsBtStatusText");
 
+// Trainer capabilities
+const trainerStatusText = document.getElementById("settingsTrainerStatusText");
+const trainerCapabilitiesEl = document.getElementById("settingsTrainerCapabilities");
+const hrDeviceText = document.getElementById("settingsHrDeviceText");
+
+// Spin down calibration
+const spinDownBtn = document.getElementById("settingsSpinDownBtn");
+const spinDownStatusEl = document.getElementById("settingsSpinDownStatus");
+const SPIN_DOWN_IDLE_TEXT =
+  "Calibrate the trainer after it has warmed up for about 10 minutes.";
+
+// Virtual devices toggle
+const virtualDevicesCheckbox = document.getElementById(
+  "settingsVirtualDevicesCheckbox"
+);
+
+// Bluetooth session recording / replay
+const bleRecordBtn = document.getElementById("settingsBleRecordBtn");
+const bleReplayBtn = document.getElementById("settingsBleReplayBtn");
+const bleReplayInput = document.getElementById("settingsBleReplayInput");
+const bleRecordingStatusEl = document.getElementById("settingsBleRecordingStatus");
+const BLE_RECORDING_IDLE_TEXT =
+  "Record raw trainer and HR data to reproduce a problem, or replay a recording.";
+
 // Help / user-guide toggles
 const helpToggleButtons = Array.from(
   document.querySelectorAll("[data-settings-help-toggle]")
@@ -71,6 +135,9 @@ const LOGS_TITLE_TEXT = "Connection logs";
 let settingsInitialised = false;
 let engine = null;
 let settingsIsOpen = false;
+// Trainer whose calibration curve the input currently shows.
+let calibrationBikeId = null;
+let virtualDevicesEnabled = false;
 
 // Track whether we auto-opened because of some issue
 let startupNeedsAttention = {
@@ -294,6 +361,123 @@ function handleSoundToggleChanged() {
   });
 }
 
+// --------------------------- Virtual devices ---------------------------
+
+async function refreshVirtualDevicesToggle() {
+  virtualDevicesEnabled = await loadVirtualDevicesEnabled();
+  if (virtualDevicesCheckbox) virtualDevicesCheckbox.checked = virtualDevicesEnabled;
+}
+
+function handleVirtualDevicesToggleChanged() {
+  if (!virtualDevicesCheckbox) return;
+  virtualDevicesEnabled = !!virtualDevicesCheckbox.checked;
+  saveVirtualDevicesEnabled(virtualDevicesEnabled).catch?.((err) => {
+    console.error("[Settings] Failed to save virtual devices preference:", err);
+  });
+  BleManager.setVirtualDevicesEnabled(virtualDevicesEnabled).catch((err) => {
+    console.error("[Settings] Failed to switch virtual devices:", err);
+  });
+}
+
+// --------------------------- Resistance-mode workouts ---------------------------
+
+async function refreshWorkoutControl() {
+  if (resistanceWorkoutCheckbox) {
+    const control = await loadWorkoutControl();
+    resistanceWorkoutCheckbox.checked = control === "resistance";
+  }
+  await refreshCalibrationInput();
+}
+
+async function refreshCalibrationInput() {
+  if (!calibrationInput) return;
+  const curve = await loadResistanceCalibration(BleManager.getBikeDeviceId());
+  calibrationInput.value = formatCalibrationText(curve);
+  showCalibrationError("");
+}
+
+function showCalibrationError(text) {
+  if (!calibrationErrorEl) return;
+  calibrationErrorEl.textContent = text;
+  calibrationErrorEl.style.display = text ? "" : "none";
+}
+
+function handleWorkoutControlToggleChanged() {
+  if (!resistanceWorkoutCheckbox) return;
+  const control = resistanceWorkoutCheckbox.checked ? "resistance" : "erg";
+  getEngine().setWorkoutControl(control);
+  saveWorkoutControl(control).catch((err) => {
+    console.error("[Settings] Failed to save workout control:", err);
+  });
+}
+
+function handleCalibrationSave() {
+  if (!calibrationInput) return;
+
+  const curve = parseCalibrationText(calibrationInput.value);
+  if (!curve) {
+    showCalibrationError("Enter at least two watts:level pairs (level 0–100).");
+    return;
+  }
+
+  showCalibrationError("");
+  calibrationInput.value = formatCalibrationText(curve);
+  getEngine().setResistanceCalibration(curve);
+  saveResistanceCalibration(BleManager.getBikeDeviceId(), curve).catch((err) => {
+    console.error("[Settings] Failed to save resistance calibration:", err);
+  });
+}
+
+// --------------------------- Cooldown power ---------------------------
+
+async function refreshCooldownInput() {
+  if (!cooldownInput) return;
+  cooldownInput.value = String(await loadCooldownPower());
+}
+
+function handleCooldownSave() {
+  if (!cooldownInput) return;
+
+  const n = Number(cooldownInput.value.trim());
+  const watts = Number.isFinite(n) ? Math.min(1000, Math.max(0, Math.round(n))) : 0;
+  cooldownInput.value = String(watts);
+
+  getEngine().setCooldownPower(watts);
+  saveCooldownPower(watts).catch((err) => {
+    console.error("[Settings] Failed to save cooldown power:", err);
+  });
+}
+
+// --------------------------- Slope simulation ---------------------------
+
+async function refreshSimEnvironmentInputs() {
+  if (!simInputs.length) return;
+  const env = await loadSimEnvironment();
+  if (simWindInput) simWindInput.value = String(env.windSpeed);
+  if (simCrrInput) simCrrInput.value = String(env.crr);
+  if (simCwInput) simCwInput.value = String(env.cw);
+}
+
+async function handleSimEnvironmentSave() {
+  if (!simInputs.length) return;
+
+  const read = (el) => (el ? Number(el.value.trim()) : NaN);
+  try {
+    await saveSimEnvironment({
+      windSpeed: read(simWindInput),
+      crr: read(simCrrInput),
+      cw: read(simCwInput),
+    });
+  } catch (err) {
+    console.error("[Settings] Failed to save simulation settings:", err);
+  }
+
+  // Show (and apply) the clamped values that were stored.
+  const env = await loadSimEnvironment();
+  await refreshSimEnvironmentInputs();
+  getEngine().setSimEnvironment(env);
+}
+
 // --------------------------- Environment checks ---------------------------
 
 function refreshEnvironmentStatus() {
@@ -307,7 +491,202 @@ function refreshEnvironmentStatus() {
     btStatusText.classList.toggle("settings-status-missing", !hasBt);
   }
 
-  startupNeedsAttention.missingBtSupport = !hasBt;
+  // Virtual devices work without Bluetooth; don't nag about it.
+  startupNeedsAttention.missingBtSupport = !hasBt && !virtualDevicesEnabled;
+}
+
+// --------------------------- Trainer capabilities ---------------------------
+
+function formatRange(range, unit) {
+  if (!range) return "not reported";
+  const step = range.increment !== 1 ? `, step ${range.increment}` : "";
+  return `${range.min}–${range.max}${unit}${step}`;
+}
+
+// "Wahoo Fitness KICKR" / "firmware 4.2.1, hardware 5" / "battery 80%"
+function describeDevice(info) {
+  if (!info) return [];
+  const model = [info.manufacturer, info.model].filter(Boolean).join(" ");
+  const revisions = [
+    info.firmwareRevision && `firmware ${info.firmwareRevision}`,
+    info.hardwareRevision && `hardware ${info.hardwareRevision}`,
+    info.softwareRevision && `software ${info.softwareRevision}`,
+  ].filter(Boolean);
+  return [
+    model || info.name,
+    revisions.join(", "),
+    info.batteryPercent != null ? `battery ${info.batteryPercent}%` : "",
+  ].filter(Boolean);
+}
+
+function refreshHrDevice() {
+  if (!hrDeviceText) return;
+  const parts = describeDevice(BleManager.getHrDeviceInfo());
+  hrDeviceText.textContent = parts.length
+    ? parts.join(" · ")
+    : "No heart-rate monitor connected yet.";
+}
+
+function refreshTrainerCapabilities() {
+  const caps = BleManager.getBikeCapabilities();
+
+  if (trainerStatusText) {
+    if (!caps) {
+      trainerStatusText.textContent = "No trainer connected yet.";
+    } else {
+      const modes = [];
+      if (BleManager.bikeSupportsTarget("erg")) modes.push("ERG");
+      if (BleManager.bikeSupportsTarget("resistance")) modes.push("resistance");
+      if (BleManager.bikeSupportsTarget("sim")) modes.push("simulation");
+      trainerStatusText.textContent = modes.length
+        ? `Supports ${modes.join(" + ")}.`
+        : "No supported control modes.";
+    }
+  }
+
+  if (!trainerCapabilitiesEl) return;
+  if (!caps) {
+    trainerCapabilitiesEl.textContent = "Connect a trainer to see its capabilities.";
+    return;
+  }
+
+  const onList = (features) =>
+    features
+      ? Object.keys(features).filter((k) => features[k]).join(", ") || "none"
+      : "not reported";
+
+  const lines = [];
+  const device = BleManager.getBikeDeviceInfo();
+  if (device) lines.push(`Device: ${describeDevice(device).join(" · ")}`);
+  lines.push(
+    `Power range: ${formatRange(caps.powerRange, " W")}`,
+    `Resistance range: ${formatRange(caps.resistanceRange, "")}`,
+    `Target settings: ${onList(caps.targetFeatures)}`,
+    `Measurements: ${onList(caps.machineFeatures)}`
+  );
+  const training = BleManager.getTrainingStatus();
+  if (training) {
+    lines.push(
+      `Training status: ${training.status}${training.text ? ` (${training.text})` : ""}`
+    );
+  }
+
+  trainerCapabilitiesEl.textContent = "";
+  for (const line of lines) {
+    const div = document.createElement("div");
+    div.textContent = line;
+    trainerCapabilitiesEl.appendChild(div);
+  }
+}
+
+// --------------------------- Spin down calibration ---------------------------
+
+function refreshSpinDown() {
+  const status = BleManager.getSpinDownStatus();
+  const active = BleManager.isSpinDownActive();
+
+  if (spinDownBtn) {
+    spinDownBtn.textContent = active ? "Cancel" : "Start";
+    spinDownBtn.disabled = !active && !BleManager.getBikeCapabilities();
+  }
+  if (!spinDownStatusEl) return;
+
+  let text = status ? status.message : SPIN_DOWN_IDLE_TEXT;
+  if (status && status.state === "speedUp") {
+    const speed = BleManager.getLastBikeSample().speedKph;
+    if (speed != null) text += ` Now ${speed.toFixed(1)} km/h.`;
+  }
+  spinDownStatusEl.textContent = text;
+}
+
+function handleSpinDownClick() {
+  if (BleManager.isSpinDownActive()) {
+    BleManager.cancelSpinDown();
+    return;
+  }
+
+  const vm = getEngine().getViewModel();
+  if (vm.workoutRunning && !vm.workoutPaused) {
+    if (spinDownStatusEl) {
+      spinDownStatusEl.textContent = "Pause or end the workout before calibrating.";
+    }
+    return;
+  }
+  BleManager.startSpinDown().catch((err) => {
+    console.error("[Settings] Spin down failed:", err);
+  });
+}
+
+// --------------------------- Bluetooth session recording ---------------------------
+
+// Trigger a browser download for in-memory file content.
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], {type: mimeType});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function refreshBleRecording(replay = null) {
+  const recording = BleManager.isBleRecording();
+  const replaying = BleManager.isBleReplaying();
+
+  if (bleRecordBtn) {
+    bleRecordBtn.textContent = recording ? "Stop & download" : "Record";
+  }
+  if (bleReplayBtn) {
+    bleReplayBtn.textContent = replaying ? "Stop replay" : "Replay…";
+  }
+  if (!bleRecordingStatusEl) return;
+
+  if (replay && replay.state === "playing" && replay.progress != null) {
+    bleRecordingStatusEl.textContent =
+      `${replay.message} ${Math.round(replay.progress * 100)}%`;
+  } else if (replay && !replaying) {
+    bleRecordingStatusEl.textContent = replay.message;
+  } else if (recording) {
+    bleRecordingStatusEl.textContent =
+      "Recording… reproduce the problem, then stop to download the file.";
+  } else if (!replaying) {
+    bleRecordingStatusEl.textContent = BLE_RECORDING_IDLE_TEXT;
+  }
+}
+
+function handleBleRecordClick() {
+  if (!BleManager.isBleRecording()) {
+    BleManager.startBleRecording();
+    return;
+  }
+  const text = BleManager.stopBleRecording();
+  if (text) downloadFile(text, bleRecordingFileName(), "application/json");
+}
+
+function handleBleReplayClick() {
+  if (BleManager.isBleReplaying()) {
+    BleManager.stopBleReplay();
+    return;
+  }
+  if (bleReplayInput) bleReplayInput.click();
+}
+
+async function handleBleReplayFileChosen() {
+  const file = bleReplayInput?.files?.[0];
+  if (!file) return;
+  bleReplayInput.value = "";
+
+  try {
+    BleManager.startBleReplay(await file.text());
+  } catch (err) {
+    console.error("[Settings] Replay failed:", err);
+    if (bleRecordingStatusEl) {
+      bleRecordingStatusEl.textContent = `Can't replay "${file.name}": ${err.message}`;
+    }
+  }
 }
 
 // --------------------------- Help / user-guide toggles ---------------------------
@@ -428,6 +807,100 @@ function wireSettingsEvents() {
     });
   }
 
+  if (virtualDevicesCheckbox) {
+    virtualDevicesCheckbox.addEventListener("change", () => {
+      handleVirtualDevicesToggleChanged();
+    });
+  }
+
+  if (resistanceWorkoutCheckbox) {
+    resistanceWorkoutCheckbox.addEventListener("change", () => {
+      handleWorkoutControlToggleChanged();
+    });
+  }
+
+  if (calibrationInput) {
+    calibrationInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        calibrationInput.blur();
+      }
+    });
+
+    calibrationInput.addEventListener("blur", () => {
+      handleCalibrationSave();
+    });
+  }
+
+  if (cooldownInput) {
+    cooldownInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        cooldownInput.blur();
+      }
+    });
+
+    cooldownInput.addEventListener("blur", () => {
+      handleCooldownSave();
+    });
+  }
+
+  simInputs.forEach((input) => {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        input.blur();
+      }
+    });
+
+    input.addEventListener("blur", () => {
+      handleSimEnvironmentSave();
+    });
+  });
+
+  BleManager.on("bikeCapabilities", refreshTrainerCapabilities);
+  BleManager.on("bikeTrainingStatus", refreshTrainerCapabilities);
+  BleManager.on("bikeBattery", refreshTrainerCapabilities);
+  BleManager.on("hrStatus", refreshHrDevice);
+  BleManager.on("hrBattery", refreshHrDevice);
+
+  if (spinDownBtn) {
+    spinDownBtn.addEventListener("click", handleSpinDownClick);
+  }
+  BleManager.on("spinDown", refreshSpinDown);
+
+  if (bleRecordBtn) {
+    bleRecordBtn.addEventListener("click", handleBleRecordClick);
+  }
+  if (bleReplayBtn) {
+    bleReplayBtn.addEventListener("click", handleBleReplayClick);
+  }
+  if (bleReplayInput) {
+    bleReplayInput.addEventListener("change", () => {
+      handleBleReplayFileChosen();
+    });
+  }
+  BleManager.on("bleRecording", () => refreshBleRecording());
+  BleManager.on("bleReplay", refreshBleRecording);
+  BleManager.on("bikeCapabilities", refreshSpinDown);
+  // Live speed while the rider spins up.
+  BleManager.on("bikeSample", () => {
+    if (BleManager.getSpinDownStatus()?.state === "speedUp") refreshSpinDown();
+  });
+
+  // Calibration is per trainer; show the curve for whichever bike connects.
+  // "connected" is also re-sent when a control warning clears, so only
+  // reload when a different trainer shows up.
+  BleManager.on("bikeStatus", ({state}) => {
+    if (state !== "connected") return;
+    const bikeId = BleManager.getBikeDeviceId();
+    if (bikeId === calibrationBikeId) return;
+    calibrationBikeId = bikeId;
+    refreshCalibrationInput().catch((err) => {
+      console.error("[Settings] Failed to load resistance calibration:", err);
+    });
+  });
+
   // ESC key to close settings / exit logs view
   document.addEventListener("keydown", (e) => {
     if (e.key === "Escape") {
@@ -457,10 +930,18 @@ export async function initSettings() {
   await Promise.all([
     refreshDirectoryStatuses(),
     refreshSoundToggle(),
+    refreshWorkoutControl(),
+    refreshCooldownInput(),
+    refreshSimEnvironmentInputs(),
+    refreshVirtualDevicesToggle(),
   ]);
 
   refreshFtpFromEngine();
   refreshEnvironmentStatus();
+  refreshTrainerCapabilities();
+  refreshHrDevice();
+  refreshSpinDown();
+  refreshBleRecording();
 
   const shouldShowFileHelp = startupNeedsAttention.missingRootDir;
   const shouldShowBtHelp = startupNeedsAttention.missingBtSupport;
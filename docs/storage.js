@@ -28,6 +28,13 @@ export const STORAGE_LAST_SCRAPED_FLAG = "lastScrapedWorkoutJustScraped";
 export const STORAGE_HAS_SEEN_WELCOME = "hasSeenWelcome";
 export const STORAGE_LAST_BIKE_DEVICE_ID = "lastBikeDeviceId";
 export const STORAGE_LAST_HR_DEVICE_ID = "lastHrDeviceId";
+export const STORAGE_LAST_POWER_DEVICE_ID = "lastPowerDeviceId";
+export const STORAGE_LAST_CSC_DEVICE_ID = "lastCscDeviceId";
+export const STORAGE_WORKOUT_CONTROL = "workoutControl";
+export const STORAGE_RESISTANCE_CALIBRATIONS = "resistanceCalibrations";
+export const STORAGE_COOLDOWN_POWER = "cooldownPower";
+export const STORAGE_SIM_ENVIRONMENT = "simEnvironment";
+export const STORAGE_VIRTUAL_DEVICES = "virtualDevicesEnabled";
 
 const FTP_KEY = "ftp";
 const DEFAULT_WORKOUT_FILES = [
@@ -293,6 +300,18 @@ export function saveSoundPreference(enabled) {
   return setSetting(STORAGE_SOUND_ENABLED, !!enabled);
 }
 
+/**
+ * Use the simulated trainer + HRM instead of Bluetooth devices.
+ */
+export async function loadVirtualDevicesEnabled() {
+  const raw = await getSetting(STORAGE_VIRTUAL_DEVICES, false);
+  return raw === true;
+}
+
+export function saveVirtualDevicesEnabled(enabled) {
+  return setSetting(STORAGE_VIRTUAL_DEVICES, !!enabled);
+}
+
 export function saveFtp(ftpValue) {
   return setSetting(FTP_KEY, ftpValue);
 }
@@ -337,12 +356,85 @@ export async function clearWorkoutBuilderState() {
   return removeSetting(STORAGE_WORKOUT_BUILDER_STATE);
 }
 
+/**
+ * How workout mode drives the trainer: "erg" | "resistance".
+ */
+export async function loadWorkoutControl() {
+  const raw = await getSetting(STORAGE_WORKOUT_CONTROL, "erg");
+  return raw === "resistance" ? "resistance" : "erg";
+}
+
+export function saveWorkoutControl(control) {
+  return setSetting(
+    STORAGE_WORKOUT_CONTROL,
+    control === "resistance" ? "resistance" : "erg"
+  );
+}
+
+/**
+ * Watts to hold once a workout completes (0 = hold the final target).
+ */
+export async function loadCooldownPower() {
+  const raw = Number(await getSetting(STORAGE_COOLDOWN_POWER, 0));
+  return Number.isFinite(raw) && raw > 0 ? Math.round(raw) : 0;
+}
+
+export function saveCooldownPower(watts) {
+  const n = Math.round(Number(watts) || 0);
+  return setSetting(STORAGE_COOLDOWN_POWER, n > 0 ? n : 0);
+}
+
+export const DEFAULT_SIM_ENVIRONMENT = {windSpeed: 0, crr: 0.004, cw: 0.51};
+
+/**
+ * Simulation mode environment: wind speed (m/s, + = headwind), rolling
+ * resistance coefficient and wind resistance coefficient (kg/m).
+ */
+export async function loadSimEnvironment() {
+  const raw = await getSetting(STORAGE_SIM_ENVIRONMENT, null);
+  return normaliseSimEnvironment(raw);
+}
+
+export function saveSimEnvironment(env) {
+  return setSetting(STORAGE_SIM_ENVIRONMENT, normaliseSimEnvironment(env));
+}
+
+function normaliseSimEnvironment(env) {
+  const num = (v, lo, hi, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : fallback;
+  };
+  return {
+    windSpeed: num(env?.windSpeed, -32, 32, DEFAULT_SIM_ENVIRONMENT.windSpeed),
+    crr: num(env?.crr, 0, 0.0255, DEFAULT_SIM_ENVIRONMENT.crr),
+    cw: num(env?.cw, 0, 2.55, DEFAULT_SIM_ENVIRONMENT.cw),
+  };
+}
+
+// --------------------------- Trainer calibration ---------------------------
+
+// Calibration curves are keyed by bike BLE device ID ("default" when no
+// trainer has been paired yet).
+
+export async function loadResistanceCalibration(bikeId) {
+  const all = await getSetting(STORAGE_RESISTANCE_CALIBRATIONS, {});
+  return (all && all[bikeId || "default"]) || null;
+}
+
+export async function saveResistanceCalibration(bikeId, curve) {
+  const all = (await getSetting(STORAGE_RESISTANCE_CALIBRATIONS, {})) || {};
+  all[bikeId || "default"] = curve;
+  return setSetting(STORAGE_RESISTANCE_CALIBRATIONS, all);
+}
+
 // --------------------------- BLE device IDs ---------------------------
 
 export async function loadBleDeviceIds() {
   const bikeId = await getSetting(STORAGE_LAST_BIKE_DEVICE_ID, null);
   const hrId = await getSetting(STORAGE_LAST_HR_DEVICE_ID, null);
-  return {bikeId, hrId};
+  const powerId = await getSetting(STORAGE_LAST_POWER_DEVICE_ID, null);
+  const cscId = await getSetting(STORAGE_LAST_CSC_DEVICE_ID, null);
+  return {bikeId, hrId, powerId, cscId};
 }
 
 export function saveBikeBleDeviceId(id) {
@@ -353,6 +445,14 @@ export function saveHrBleDeviceId(id) {
   return setSetting(STORAGE_LAST_HR_DEVICE_ID, id || null);
 }
 
+export function savePowerBleDeviceId(id) {
+  return setSetting(STORAGE_LAST_POWER_DEVICE_ID, id || null);
+}
+
+export function saveCscBleDeviceId(id) {
+  return setSetting(STORAGE_LAST_CSC_DEVICE_ID, id || null);
+}
+
 // --------------------------- Root Directory Picker ---------------------------
 
 async function directoryHasAnyZwoFiles(handle) {
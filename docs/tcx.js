@@ -0,0 +1,170 @@
+// tcx.js
+//
+// TCX (Garmin Training Center XML) activity export for tools that don't
+// accept FIT. Trackpoints carry heart rate, cadence and the ActivityExtension
+// watts / speed values.
+//
+// This file is intentionally standalone (no DOM or fetch dependencies).
+
+/** @typedef {import("./zwo.js").CanonicalWorkout} CanonicalWorkout */
+
+import {
+  computeRideMetricsFromSamples,
+  splitSamplesIntoLaps,
+} from "./workout-metrics.js";
+
+const TCX_NS = "http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2";
+const TCX_EXT_NS = "http://www.garmin.com/xmlschemas/ActivityExtension/v2";
+
+// ---------------- Small helpers ----------------
+
+function escapeXml(text) {
+  return String(text ?? "").replace(/[<>&'"]/g, (ch) => {
+    switch (ch) {
+      case "<": return "&lt;";
+      case ">": return "&gt;";
+      case "&": return "&amp;";
+      case '"': return "&quot;";
+      case "'": return "&apos;";
+      default: return ch;
+    }
+  });
+}
+
+function isoTime(ms) {
+  return new Date(ms).toISOString().replace(/\.\d+Z$/, "Z");
+}
+
+function validNumber(v) {
+  return v != null && Number.isFinite(Number(v));
+}
+
+// TCX restricts HR to 1–255 and cadence to 0–254.
+function clampInt(v, min, max) {
+  return Math.max(min, Math.min(max, Math.round(Number(v))));
+}
+
+// ---------------- Activity export ----------------
+
+/**
+ * Build a TCX activity document from recorded live samples.
+ *
+ * samples: Array<{t, ts?, power, hr, cadence, speedKph?}>
+ *   - t: elapsed workout seconds (1 Hz, excludes pauses)
+ *   - ts: wall-clock ms; falls back to startedAt + t for older recordings
+ *
+ * One <Lap> is written per rawSegments boundary of the ridden workout.
+ *
+ * @param {Object} opts
+ * @param {CanonicalWorkout | null} opts.canonicalWorkout
+ * @param {Array<Object>} opts.samples
+ * @param {Date} opts.startedAt
+ * @param {number} opts.ftp
+ * @returns {string} TCX XML content
+ */
+export function buildTcxActivity({canonicalWorkout, samples, startedAt, ftp}) {
+  const list = Array.isArray(samples) ? samples : [];
+  const startMs =
+    startedAt instanceof Date && !Number.isNaN(startedAt.getTime())
+      ? startedAt.getTime()
+      : Date.now() - list.length * 1000;
+  const sampleMs = (s) =>
+    Number.isFinite(s.ts) ? s.ts : startMs + (s.t || 0) * 1000;
+
+  const lines = [];
+  const out = (indent, text) => lines.push("  ".repeat(indent) + text);
+
+  out(0, '<?xml version="1.0" encoding="UTF-8"?>');
+  out(0, `<TrainingCenterDatabase xmlns="${TCX_NS}" xmlns:ns3="${TCX_EXT_NS}">`);
+  out(1, "<Activities>");
+  out(2, '<Activity Sport="Biking">');
+  out(3, `<Id>${isoTime(startMs)}</Id>`);
+
+  let distanceM = 0;
+  let hasDistance = false;
+  let lapStartMs = startMs;
+
+  for (const lap of splitSamplesIntoLaps(list, canonicalWorkout?.rawSegments)) {
+    const lapSamples = lap.samples;
+    const lapEnd = lapSamples[lapSamples.length - 1];
+    const m = computeRideMetricsFromSamples(lapSamples, ftp);
+
+    let lapDistanceM = 0;
+    let maxSpeedMs = null;
+    for (const s of lapSamples) {
+      if (!validNumber(s.speedKph)) continue;
+      const v = Number(s.speedKph) / 3.6;
+      lapDistanceM += v;
+      if (maxSpeedMs == null || v > maxSpeedMs) maxSpeedMs = v;
+    }
+
+    out(3, `<Lap StartTime="${isoTime(lapStartMs)}">`);
+    out(4, `<TotalTimeSeconds>${(lapEnd.t || 0) - lap.startSec}</TotalTimeSeconds>`);
+    out(4, `<DistanceMeters>${lapDistanceM.toFixed(1)}</DistanceMeters>`);
+    if (maxSpeedMs != null) {
+      out(4, `<MaximumSpeed>${maxSpeedMs.toFixed(3)}</MaximumSpeed>`);
+    }
+    // Cycling gross efficiency makes kJ of work ~= kcal burned.
+    out(4, `<Calories>${Math.round(m.kj || 0)}</Calories>`);
+    if (m.avgHr != null) {
+      out(4, `<AverageHeartRateBpm><Value>${clampInt(m.avgHr, 1, 255)}</Value></AverageHeartRateBpm>`);
+      out(4, `<MaximumHeartRateBpm><Value>${clampInt(m.maxHr, 1, 255)}</Value></MaximumHeartRateBpm>`);
+    }
+    out(4, "<Intensity>Active</Intensity>");
+    if (m.avgCadence != null) {
+      out(4, `<Cadence>${clampInt(m.avgCadence, 0, 254)}</Cadence>`);
+    }
+    out(4, "<TriggerMethod>Time</TriggerMethod>");
+
+    out(4, "<Track>");
+    for (const s of lapSamples) {
+      if (validNumber(s.speedKph)) {
+        distanceM += Number(s.speedKph) / 3.6;
+        hasDistance = true;
+      }
+
+      out(5, "<Trackpoint>");
+      out(6, `<Time>${isoTime(sampleMs(s))}</Time>`);
+      if (hasDistance) {
+        out(6, `<DistanceMeters>${distanceM.toFixed(1)}</DistanceMeters>`);
+      }
+      if (validNumber(s.hr) && Number(s.hr) > 0) {
+        out(6, `<HeartRateBpm><Value>${clampInt(s.hr, 1, 255)}</Value></HeartRateBpm>`);
+      }
+      if (validNumber(s.cadence)) {
+        out(6, `<Cadence>${clampInt(s.cadence, 0, 254)}</Cadence>`);
+      }
+      out(6, "<Extensions>");
+      out(7, "<ns3:TPX>");
+      if (validNumber(s.speedKph)) {
+        out(8, `<ns3:Speed>${(Number(s.speedKph) / 3.6).toFixed(3)}</ns3:Speed>`);
+      }
+      out(8, `<ns3:Watts>${Math.max(0, Math.round(Number(s.power) || 0))}</ns3:Watts>`);
+      out(7, "</ns3:TPX>");
+      out(6, "</Extensions>");
+      out(5, "</Trackpoint>");
+    }
+    out(4, "</Track>");
+
+    out(4, "<Extensions>");
+    out(5, "<ns3:LX>");
+    if (m.avgPower != null) {
+      out(6, `<ns3:AvgWatts>${Math.round(m.avgPower)}</ns3:AvgWatts>`);
+      out(6, `<ns3:MaxWatts>${Math.round(m.maxPower)}</ns3:MaxWatts>`);
+    }
+    out(5, "</ns3:LX>");
+    out(4, "</Extensions>");
+    out(3, "</Lap>");
+
+    lapStartMs = sampleMs(lapEnd);
+  }
+
+  if (canonicalWorkout?.workoutTitle) {
+    out(3, `<Notes>${escapeXml(canonicalWorkout.workoutTitle)}</Notes>`);
+  }
+  out(2, "</Activity>");
+  out(1, "</Activities>");
+  out(0, "</TrainingCenterDatabase>");
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,111 @@
+// trainer-calibration.js
+//
+// Per-trainer calibration curve mapping a target power (W) to an FTMS
+// resistance level (0–100). Used to follow structured workouts in
+// resistance mode: the target is shown, but the trainer holds a resistance
+// level and the rider shifts to hit the number.
+//
+// Curves are piecewise linear: [[watts, level], ...] sorted by watts.
+//
+// This file is intentionally standalone (no DOM or fetch dependencies).
+
+/** @typedef {Array<[number, number]>} CalibrationCurve */
+
+export const MIN_RESISTANCE_LEVEL = 0;
+export const MAX_RESISTANCE_LEVEL = 100;
+
+/**
+ * Rough curve for a mid-range trainer ridden at ~90 rpm in a middle gear.
+ * @type {CalibrationCurve}
+ */
+export const DEFAULT_CALIBRATION_CURVE = [
+  [0, 0],
+  [100, 20],
+  [200, 40],
+  [300, 60],
+  [400, 80],
+  [500, 100],
+];
+
+// ---------------- Curve helpers ----------------
+
+/**
+ * Sort, validate and de-duplicate calibration points.
+ *
+ * @param {Array<[number, number]>} points
+ * @returns {CalibrationCurve|null} null when fewer than two usable points
+ */
+export function normalizeCalibrationCurve(points) {
+  if (!Array.isArray(points)) return null;
+
+  const byWatts = new Map();
+  for (const pt of points) {
+    if (!Array.isArray(pt) || pt.length < 2) continue;
+    const watts = Number(pt[0]);
+    const level = Number(pt[1]);
+    if (!Number.isFinite(watts) || !Number.isFinite(level) || watts < 0) continue;
+    byWatts.set(
+      Math.round(watts),
+      Math.max(MIN_RESISTANCE_LEVEL, Math.min(MAX_RESISTANCE_LEVEL, level))
+    );
+  }
+
+  const curve = Array.from(byWatts.entries()).sort((a, b) => a[0] - b[0]);
+  return curve.length >= 2 ? curve : null;
+}
+
+/**
+ * Resistance level for a target power, interpolating linearly between
+ * calibration points and holding the end levels outside the curve.
+ *
+ * @param {CalibrationCurve} curve
+ * @param {number} watts
+ * @returns {number} integer level (0–100)
+ */
+export function resistanceForPower(curve, watts) {
+  const pts = normalizeCalibrationCurve(curve) || DEFAULT_CALIBRATION_CURVE;
+  const w = Math.max(0, Number(watts) || 0);
+
+  if (w <= pts[0][0]) return Math.round(pts[0][1]);
+
+  for (let i = 1; i < pts.length; i++) {
+    const [w1, l1] = pts[i];
+    if (w <= w1) {
+      const [w0, l0] = pts[i - 1];
+      const frac = (w - w0) / (w1 - w0);
+      return Math.round(l0 + (l1 - l0) * frac);
+    }
+  }
+
+  return Math.round(pts[pts.length - 1][1]);
+}
+
+// ---------------- Text form (settings input) ----------------
+
+/**
+ * Parse "100:20, 200:40, 300:60" (watts:level pairs separated by commas,
+ * semicolons or newlines).
+ *
+ * @param {string} text
+ * @returns {CalibrationCurve|null}
+ */
+export function parseCalibrationText(text) {
+  const points = [];
+  for (const part of String(text || "").split(/[,;\n]+/)) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+    const m = trimmed.match(/^(\d+(?:\.\d+)?)\s*(?:w)?\s*[:=]\s*(\d+(?:\.\d+)?)$/i);
+    if (!m) return null;
+    points.push([Number(m[1]), Number(m[2])]);
+  }
+  return normalizeCalibrationCurve(points);
+}
+
+/**
+ * @param {CalibrationCurve} curve
+ * @returns {string}
+ */
+export function formatCalibrationText(curve) {
+  const pts = normalizeCalibrationCurve(curve) || DEFAULT_CALIBRATION_CURVE;
+  return pts.map(([w, l]) => `${w}:${Math.round(l)}`).join(", ");
+}
@@ -0,0 +1,673 @@
+// virtual-devices.js
+//
+// Simulated FTMS trainer and heart-rate strap for development and demos.
+//
+// The devices mimic the Web Bluetooth objects BleManager talks to
+// (BluetoothDevice → gatt server → services → characteristics), so the
+// normal connect flows, control point procedures and notification parsers
+// all run unchanged. Only the bytes come from a model instead of a radio:
+//
+//  - Trainer: ERG targets are followed with a first-order lag, resistance
+//    levels turn cadence into power, simulation parameters turn rider
+//    power into road speed. Cadence drifts around a preferred value and
+//    drops on climbs / heavy resistance.
+//  - Heart rate: rises and falls towards a steady state set by power, with
+//    slow cardiac drift, and sends RR intervals whose variability shrinks
+//    with intensity.
+//
+// No DOM dependencies; timers only run while a device is connected.
+
+export const VIRTUAL_BIKE_ID = "virtual-trainer";
+export const VIRTUAL_HR_ID = "virtual-hrm";
+
+const FTMS_SERVICE_UUID = 0x1826;
+const HEART_RATE_SERVICE_UUID = 0x180d;
+const BATTERY_SERVICE_UUID = 0x180f;
+const DEVICE_INFORMATION_SERVICE_UUID = 0x180a;
+
+const INDOOR_BIKE_DATA_CHAR = 0x2ad2;
+const FTMS_CONTROL_POINT_CHAR = 0x2ad9;
+const FITNESS_MACHINE_STATUS_CHAR = 0x2ada;
+const FTMS_TRAINING_STATUS_CHAR = 0x2ad3;
+const FTMS_FEATURE_CHAR = 0x2acc;
+const FTMS_SUPPORTED_RESISTANCE_RANGE_CHAR = 0x2ad6;
+const FTMS_SUPPORTED_POWER_RANGE_CHAR = 0x2ad8;
+const HR_MEASUREMENT_CHAR = 0x2a37;
+const BATTERY_LEVEL_CHAR = 0x2a19;
+const MANUFACTURER_NAME_CHAR = 0x2a29;
+const MODEL_NUMBER_CHAR = 0x2a24;
+const FIRMWARE_REVISION_CHAR = 0x2a26;
+
+const VIRTUAL_MANUFACTURER = "VeloDrive";
+const VIRTUAL_FIRMWARE = "1.0";
+
+const TICK_MS = 1000;
+// Indications follow the write, as they would over the air.
+const INDICATION_DELAY_MS = 30;
+
+// FTMS Feature bits advertised by the virtual trainer: cadence, total
+// distance, resistance level, expended energy, elapsed time, power
+// measurement / resistance, power, indoor bike simulation, spin down.
+const MACHINE_FEATURES =
+  (1 << 1) | (1 << 2) | (1 << 7) | (1 << 9) | (1 << 12) | (1 << 14);
+const TARGET_FEATURES = (1 << 2) | (1 << 3) | (1 << 13) | (1 << 15);
+
+const POWER_RANGE = {min: 0, max: 1500, increment: 1};
+const RESISTANCE_RANGE_TENTHS = {min: 0, max: 1000, increment: 10};
+
+// Rider + bike.
+const SYSTEM_MASS_KG = 83;
+const GRAVITY = 9.81;
+const RIDER_FTP = 250;
+const HR_REST = 58;
+const HR_MAX = 186;
+const GROSS_EFFICIENCY = 0.24;
+
+// Power response: ERG motor lag, flywheel lag for resistance / sim.
+const ERG_LAG_SEC = 3;
+const FLYWHEEL_LAG_SEC = 1.5;
+const SPEED_LAG_SEC = 4;
+// HR rises faster than it recovers.
+const HR_RISE_SEC = 25;
+const HR_FALL_SEC = 45;
+
+// Resistance mode: watts per level at 90 rpm (level 40 ≈ 200 W, in line
+// with the default calibration curve), and the floor from the flywheel.
+const RESISTANCE_WATTS_PER_LEVEL = 5;
+const FLYWHEEL_MIN_WATTS = 20;
+// What the rider pushes before the app sets any target.
+const IDLE_RIDER_WATTS = 100;
+
+// Flat-road environment used for speed outside simulation mode.
+const FLAT_ROAD = {grade: 0, windSpeed: 0, crr: 0.004, cw: 0.51};
+
+// Spin down: target speed window (km/h), seconds to hold it, coast time.
+const SPIN_DOWN_LOW_KPH = 30;
+const SPIN_DOWN_HIGH_KPH = 34;
+const SPIN_DOWN_HOLD_SEC = 3;
+const SPIN_DOWN_COAST_SEC = 8;
+
+function gaussian() {
+  // Box–Muller
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+function approach(current, target, dtSec, tauSec) {
+  return current + (target - current) * (1 - Math.exp(-dtSec / tauSec));
+}
+
+/**
+ * Steady-state road speed (m/s) for a power on a given road, solved by
+ * bisection on P = v·(m·g·(Crr + grade) + Cw·(v + wind)²).
+ */
+function steadySpeedMps(power, env) {
+  const slope = env.grade / 100;
+  const resist = (v) => {
+    const air = v + env.windSpeed;
+    return (
+      v * (SYSTEM_MASS_KG * GRAVITY * (env.crr + slope) + env.cw * air * Math.abs(air))
+    );
+  };
+  let lo = 0;
+  let hi = 30;
+  if (resist(hi) < power) return hi;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (resist(mid) < power) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function rangeBytes({min, max, increment}) {
+  const view = new DataView(new ArrayBuffer(6));
+  view.setInt16(0, min, true);
+  view.setInt16(2, max, true);
+  view.setUint16(4, increment, true);
+  return view;
+}
+
+function bytesView(bytes) {
+  return new DataView(new Uint8Array(bytes).buffer);
+}
+
+// --------------------------- GATT shims ---------------------------
+
+// Characteristics are EventTargets so listeners see ev.target.value like
+// they would on a BluetoothRemoteGATTCharacteristic.
+function createCharacteristic(uuid, {read = null, write = null} = {}) {
+  const ch = new EventTarget();
+  let notifying = false;
+
+  ch.uuid = uuid;
+  ch.value = null;
+
+  ch.startNotifications = async () => {
+    notifying = true;
+    return ch;
+  };
+  ch.stopNotifications = async () => {
+    notifying = false;
+    return ch;
+  };
+  ch.readValue = async () => {
+    if (!read) throw new Error("Characteristic does not support read.");
+    ch.value = read();
+    return ch.value;
+  };
+  ch.writeValue = async (buffer) => {
+    if (!write) throw new Error("Characteristic does not support write.");
+    const bytes = ArrayBuffer.isView(buffer)
+      ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      : new Uint8Array(buffer);
+    write(new DataView(bytes.slice().buffer));
+  };
+  ch.writeValueWithResponse = ch.writeValue;
+
+  ch.notify = (dataView) => {
+    if (!notifying) return;
+    ch.value = dataView;
+    ch.dispatchEvent(new Event("characteristicvaluechanged"));
+  };
+
+  return ch;
+}
+
+function createService(uuid, characteristics) {
+  const byUuid = new Map(characteristics.map((ch) => [ch.uuid, ch]));
+  return {
+    uuid,
+    async getCharacteristic(charUuid) {
+      const ch = byUuid.get(charUuid);
+      if (!ch) throw new Error(`Characteristic 0x${charUuid.toString(16)} not found.`);
+      return ch;
+    },
+  };
+}
+
+/**
+ * A BluetoothDevice look-alike. buildServices() runs on every connect so
+ * each connection starts with fresh subscriptions.
+ */
+function createDevice(id, name, {buildServices, onConnect, onDisconnect}) {
+  const device = new EventTarget();
+  let services = new Map();
+
+  const server = {
+    device,
+    connected: false,
+    async connect() {
+      if (server.connected) return server;
+      services = new Map(buildServices().map((s) => [s.uuid, s]));
+      server.connected = true;
+      onConnect();
+      return server;
+    },
+    disconnect() {
+      if (!server.connected) return;
+      server.connected = false;
+      services = new Map();
+      onDisconnect();
+      device.dispatchEvent(new Event("gattserverdisconnected"));
+    },
+    async getPrimaryService(uuid) {
+      if (!server.connected) throw new Error("GATT server is disconnected.");
+      const service = services.get(uuid);
+      if (!service) throw new Error(`Service 0x${uuid.toString(16)} not found.`);
+      return service;
+    },
+  };
+
+  device.id = id;
+  device.name = name;
+  device.gatt = server;
+  return device;
+}
+
+function createDeviceInformationService(model) {
+  const text = (value) => () => new DataView(new TextEncoder().encode(value).buffer);
+  return createService(DEVICE_INFORMATION_SERVICE_UUID, [
+    createCharacteristic(MANUFACTURER_NAME_CHAR, {read: text(VIRTUAL_MANUFACTURER)}),
+    createCharacteristic(MODEL_NUMBER_CHAR, {read: text(model)}),
+    createCharacteristic(FIRMWARE_REVISION_CHAR, {read: text(VIRTUAL_FIRMWARE)}),
+  ]);
+}
+
+// --------------------------- Devices ---------------------------
+
+/**
+ * Create the virtual trainer + HR strap pair. Both share one simulated
+ * rider, so heart rate follows whatever the trainer makes them ride.
+ *
+ * Returns: { bike, hr } BluetoothDevice look-alikes.
+ */
+export function createVirtualDevices({log = () => {}} = {}) {
+  // Trainer state (what the app asked for)
+  const trainer = {
+    controlled: false,
+    mode: "idle", // "idle" | "erg" | "resistance" | "sim"
+    targetPower: 0,
+    resistanceLevel: 0,
+    sim: {...FLAT_ROAD},
+    spinDown: null, // {phase: "speedUp" | "coast", sec}
+  };
+
+  // Rider / flywheel state
+  const rider = {
+    power: 0,
+    cadence: 0,
+    preferredCadence: 88,
+    speedMps: 0,
+    hr: HR_REST + 10,
+    hrvCorrelated: 0,
+    beatCarryMs: 0,
+  };
+
+  // Session totals
+  let elapsedSec = 0;
+  let distanceM = 0;
+  let energyJ = 0;
+
+  let tickTimer = null;
+  let lastTickMs = 0;
+
+  let bikeChars = null;
+  let hrChars = null;
+
+  // ---------------- Model ----------------
+
+  function riderEffortWatts() {
+    if (trainer.mode === "sim") {
+      // Push harder uphill, ease off downhill.
+      return clamp(180 + 12 * trainer.sim.grade, 60, 420);
+    }
+    return IDLE_RIDER_WATTS;
+  }
+
+  function stepCadence(dt) {
+    // Preferred cadence wanders slowly; climbs and heavy resistance pull
+    // it down.
+    rider.preferredCadence = clamp(
+      rider.preferredCadence + gaussian() * 0.3 * dt,
+      80,
+      96
+    );
+    let pref = rider.preferredCadence;
+    if (trainer.mode === "sim") pref -= 0.8 * Math.max(0, trainer.sim.grade);
+    if (trainer.mode === "resistance") pref -= 0.15 * Math.max(0, trainer.resistanceLevel - 40);
+
+    rider.cadence = clamp(
+      approach(rider.cadence, pref, dt, 4) + gaussian() * 1.2,
+      0,
+      130
+    );
+  }
+
+  function stepPower(dt) {
+    let target;
+    let tau = FLYWHEEL_LAG_SEC;
+
+    if (trainer.mode === "erg") {
+      target = trainer.targetPower;
+      tau = ERG_LAG_SEC;
+    } else if (trainer.mode === "resistance") {
+      target =
+        Math.max(FLYWHEEL_MIN_WATTS, trainer.resistanceLevel * RESISTANCE_WATTS_PER_LEVEL) *
+        (rider.cadence / 90);
+    } else {
+      target = riderEffortWatts();
+    }
+
+    rider.power = approach(rider.power, target, dt, tau);
+  }
+
+  function stepSpinDown(dt) {
+    const sd = trainer.spinDown;
+    sd.sec += dt;
+
+    if (sd.phase === "speedUp") {
+      // The rider winds it up into the window, then holds.
+      rider.cadence = approach(rider.cadence, 100, dt, 2);
+      rider.power = approach(rider.power, 220, dt, 2);
+      rider.speedMps = approach(rider.speedMps, (SPIN_DOWN_HIGH_KPH - 2) / 3.6, dt, 3);
+      const kph = rider.speedMps * 3.6;
+      if (kph >= SPIN_DOWN_LOW_KPH && kph <= SPIN_DOWN_HIGH_KPH) {
+        sd.inWindowSec = (sd.inWindowSec || 0) + dt;
+      }
+      if (sd.inWindowSec >= SPIN_DOWN_HOLD_SEC) {
+        sd.phase = "coast";
+        sd.sec = 0;
+        sendMachineStatus([0x14, 0x04]); // stop pedaling
+      }
+      return;
+    }
+
+    // Coast: no pedaling, the flywheel runs down.
+    rider.cadence = 0;
+    rider.power = 0;
+    rider.speedMps = approach(rider.speedMps, 0, dt, 3);
+    if (sd.sec >= SPIN_DOWN_COAST_SEC) {
+      trainer.spinDown = null;
+      trainer.mode = "idle";
+      sendMachineStatus([0x14, 0x02]); // success
+      log("Virtual trainer: spin down complete.");
+    }
+  }
+
+  function stepHeartRate(dt) {
+    const intensity = rider.power / RIDER_FTP;
+    const drift = Math.min(8, elapsedSec / 600); // ~1 bpm per 10 min
+    const steady = clamp(
+      HR_REST + (HR_MAX - HR_REST) * clamp(0.2 + 0.7 * intensity, 0, 1) + drift,
+      HR_REST,
+      HR_MAX
+    );
+    const tau = steady > rider.hr ? HR_RISE_SEC : HR_FALL_SEC;
+    rider.hr = clamp(approach(rider.hr, steady, dt, tau) + gaussian() * 0.3, 40, 220);
+  }
+
+  // Beat-to-beat intervals ending within this tick. Easy riding gives a
+  // large, correlated component (alpha1 ≈ 1); hard riding mostly small
+  // uncorrelated noise (alpha1 ≈ 0.5).
+  function nextRrIntervals(dtMs) {
+    const load = clamp((rider.hr - HR_REST) / (HR_MAX - HR_REST), 0, 1);
+    const out = [];
+    rider.beatCarryMs += dtMs;
+    for (;;) {
+      rider.hrvCorrelated =
+        0.9 * rider.hrvCorrelated + gaussian() * 12 * (1 - load);
+      const rr = 60000 / rider.hr + rider.hrvCorrelated + gaussian() * (3 + 10 * (1 - load));
+      if (rr > rider.beatCarryMs) break;
+      rider.beatCarryMs -= rr;
+      out.push(rr);
+    }
+    return out;
+  }
+
+  function tick() {
+    const now = Date.now();
+    const dt = Math.min(5, (now - lastTickMs) / 1000) || TICK_MS / 1000;
+    lastTickMs = now;
+
+    if (trainer.spinDown) {
+      stepSpinDown(dt);
+    } else {
+      stepCadence(dt);
+      stepPower(dt);
+      const env = trainer.mode === "sim" ? trainer.sim : FLAT_ROAD;
+      rider.speedMps = approach(
+        rider.speedMps,
+        steadySpeedMps(rider.power, env),
+        dt,
+        SPEED_LAG_SEC
+      );
+    }
+    stepHeartRate(dt);
+
+    elapsedSec += dt;
+    distanceM += rider.speedMps * dt;
+    energyJ += (rider.power * dt) / GROSS_EFFICIENCY;
+
+    if (bikeChars) bikeChars.indoorBikeData.notify(encodeIndoorBikeData());
+    if (hrChars) {
+      hrChars.measurement.notify(encodeHrMeasurement(nextRrIntervals(dt * 1000)));
+    }
+  }
+
+  function ensureTicking() {
+    if (tickTimer) return;
+    lastTickMs = Date.now();
+    tickTimer = setInterval(tick, TICK_MS);
+  }
+
+  function stopTickingIfIdle() {
+    if (bikeChars || hrChars) return;
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+
+  // ---------------- Encoders ----------------
+
+  // Indoor Bike Data: speed, cadence, total distance, resistance level,
+  // power, expended energy, elapsed time.
+  function encodeIndoorBikeData() {
+    const flags = (1 << 2) | (1 << 4) | (1 << 5) | (1 << 6) | (1 << 8) | (1 << 11);
+    const view = new DataView(new ArrayBuffer(22));
+    const power = Math.max(0, Math.round(rider.power + gaussian() * rider.power * 0.02));
+    const kcal = energyJ / 4184;
+    const kcalPerHour = (rider.power * 3600) / GROSS_EFFICIENCY / 4184;
+    const dist = Math.min(0xffffff, Math.round(distanceM));
+
+    let i = 0;
+    view.setUint16(i, flags, true); i += 2;
+    view.setUint16(i, Math.round(rider.speedMps * 3.6 * 100), true); i += 2;
+    view.setUint16(i, Math.round(rider.cadence * 2), true); i += 2;
+    view.setUint16(i, dist & 0xffff, true);
+    view.setUint8(i + 2, dist >> 16); i += 3;
+    view.setInt16(i, Math.round(trainer.resistanceLevel), true); i += 2;
+    view.setInt16(i, power, true); i += 2;
+    view.setUint16(i, Math.min(0xfffe, Math.round(kcal)), true); i += 2;
+    view.setUint16(i, Math.min(0xfffe, Math.round(kcalPerHour)), true); i += 2;
+    view.setUint8(i, Math.min(0xfe, Math.round(kcalPerHour / 60))); i += 1;
+    view.setUint16(i, Math.min(0xffff, Math.round(elapsedSec)), true); i += 2;
+    return new DataView(view.buffer, 0, i);
+  }
+
+  // HR Measurement: uint8 bpm, sensor contact detected, energy expended
+  // (kJ), RR intervals (1/1024 s).
+  function encodeHrMeasurement(rrMs) {
+    const rr = rrMs.slice(0, 8);
+    const view = new DataView(new ArrayBuffer(4 + rr.length * 2));
+    view.setUint8(0, (1 << 1) | (1 << 2) | (1 << 3) | (rr.length ? 1 << 4 : 0));
+    view.setUint8(1, Math.round(rider.hr));
+    view.setUint16(2, Math.min(0xffff, Math.round(energyJ * GROSS_EFFICIENCY / 1000)), true);
+    rr.forEach((ms, idx) => {
+      view.setUint16(4 + idx * 2, Math.round((ms * 1024) / 1000), true);
+    });
+    return view;
+  }
+
+  function trainingStatusBytes() {
+    const code =
+      trainer.mode === "erg" ? 0x0c : trainer.mode === "idle" ? 0x01 : 0x0d;
+    return bytesView([0x00, code]);
+  }
+
+  // ---------------- FTMS control point ----------------
+
+  function sendMachineStatus(bytes) {
+    bikeChars?.machineStatus.notify(bytesView(bytes));
+  }
+
+  // Status caused by a control point write goes out after its response.
+  function queueMachineStatus(bytes) {
+    setTimeout(() => sendMachineStatus(bytes), INDICATION_DELAY_MS * 2);
+  }
+
+  function setMode(mode) {
+    const changed = trainer.mode !== mode;
+    trainer.mode = mode;
+    if (changed) bikeChars?.trainingStatus.notify(trainingStatusBytes());
+  }
+
+  // Returns [resultCode, ...responseParams].
+  function handleControlRequest(dv) {
+    const op = dv.getUint8(0);
+    const needsControl = op !== 0x00;
+    if (needsControl && !trainer.controlled) return [0x05];
+
+    switch (op) {
+      case 0x00: // request control
+        trainer.controlled = true;
+        return [0x01];
+
+      case 0x01: // reset
+        trainer.controlled = false;
+        trainer.spinDown = null;
+        trainer.targetPower = 0;
+        trainer.resistanceLevel = 0;
+        setMode("idle");
+        queueMachineStatus([0x01]);
+        return [0x01];
+
+      case 0x07: // start or resume
+        return [0x01];
+
+      case 0x08: // stop or pause
+        return [0x01];
+
+      case 0x04: {
+        // Resistance level, tenths. FTMS says uint8; accept sint16 too.
+        if (dv.byteLength < 2) return [0x03];
+        const tenths = dv.byteLength >= 3 ? dv.getInt16(1, true) : dv.getUint8(1);
+        if (tenths < RESISTANCE_RANGE_TENTHS.min || tenths > RESISTANCE_RANGE_TENTHS.max) {
+          return [0x03];
+        }
+        trainer.resistanceLevel = tenths / 10;
+        setMode("resistance");
+        queueMachineStatus([0x07, tenths & 0xff]);
+        return [0x01];
+      }
+
+      case 0x05: {
+        if (dv.byteLength < 3) return [0x03];
+        const watts = dv.getInt16(1, true);
+        if (watts < POWER_RANGE.min || watts > POWER_RANGE.max) return [0x03];
+        trainer.targetPower = watts;
+        setMode("erg");
+        queueMachineStatus([0x08, watts & 0xff, (watts >> 8) & 0xff]);
+        return [0x01];
+      }
+
+      case 0x11: {
+        if (dv.byteLength < 7) return [0x03];
+        trainer.sim = {
+          windSpeed: dv.getInt16(1, true) / 1000,
+          grade: dv.getInt16(3, true) / 100,
+          crr: dv.getUint8(5) / 10000,
+          cw: dv.getUint8(6) / 100,
+        };
+        setMode("sim");
+        queueMachineStatus([0x12, ...new Uint8Array(dv.buffer, dv.byteOffset + 1, 6)]);
+        return [0x01];
+      }
+
+      case 0x13: {
+        if (dv.byteLength < 2) return [0x03];
+        const param = dv.getUint8(1);
+        if (param === 0x02) {
+          trainer.spinDown = null;
+          return [0x01];
+        }
+        if (param !== 0x01) return [0x03];
+        trainer.spinDown = {phase: "speedUp", sec: 0, inWindowSec: 0};
+        const low = SPIN_DOWN_LOW_KPH * 100;
+        const high = SPIN_DOWN_HIGH_KPH * 100;
+        return [0x01, low & 0xff, low >> 8, high & 0xff, high >> 8];
+      }
+
+      default:
+        return [0x02];
+    }
+  }
+
+  function buildBikeServices() {
+    const controlPoint = createCharacteristic(FTMS_CONTROL_POINT_CHAR, {
+      write: (dv) => {
+        const op = dv.getUint8(0);
+        const [result, ...params] = handleControlRequest(dv);
+        log(`Virtual trainer: CP op=0x${op.toString(16)} → result 0x0${result}`);
+        setTimeout(() => {
+          controlPoint.notify(bytesView([0x80, op, result, ...params]));
+        }, INDICATION_DELAY_MS);
+      },
+    });
+
+    bikeChars = {
+      indoorBikeData: createCharacteristic(INDOOR_BIKE_DATA_CHAR),
+      controlPoint,
+      machineStatus: createCharacteristic(FITNESS_MACHINE_STATUS_CHAR),
+      trainingStatus: createCharacteristic(FTMS_TRAINING_STATUS_CHAR, {
+        read: trainingStatusBytes,
+      }),
+    };
+
+    const feature = createCharacteristic(FTMS_FEATURE_CHAR, {
+      read: () => {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setUint32(0, MACHINE_FEATURES, true);
+        view.setUint32(4, TARGET_FEATURES, true);
+        return view;
+      },
+    });
+
+    return [
+      createService(FTMS_SERVICE_UUID, [
+        ...Object.values(bikeChars),
+        feature,
+        createCharacteristic(FTMS_SUPPORTED_POWER_RANGE_CHAR, {
+          read: () => rangeBytes(POWER_RANGE),
+        }),
+        createCharacteristic(FTMS_SUPPORTED_RESISTANCE_RANGE_CHAR, {
+          read: () => rangeBytes(RESISTANCE_RANGE_TENTHS),
+        }),
+      ]),
+      createDeviceInformationService("Virtual trainer"),
+    ];
+  }
+
+  function buildHrServices() {
+    hrChars = {
+      measurement: createCharacteristic(HR_MEASUREMENT_CHAR),
+    };
+    return [
+      createService(HEART_RATE_SERVICE_UUID, [hrChars.measurement]),
+      createService(BATTERY_SERVICE_UUID, [
+        createCharacteristic(BATTERY_LEVEL_CHAR, {read: () => bytesView([100])}),
+      ]),
+      createDeviceInformationService("Virtual HRM"),
+    ];
+  }
+
+  const bike = createDevice(VIRTUAL_BIKE_ID, "Virtual trainer", {
+    buildServices: buildBikeServices,
+    onConnect: () => {
+      trainer.controlled = false;
+      trainer.spinDown = null;
+      trainer.mode = "idle";
+      elapsedSec = 0;
+      distanceM = 0;
+      energyJ = 0;
+      log("Virtual trainer: connected.");
+      ensureTicking();
+    },
+    onDisconnect: () => {
+      bikeChars = null;
+      trainer.spinDown = null;
+      trainer.mode = "idle";
+      log("Virtual trainer: disconnected.");
+      stopTickingIfIdle();
+    },
+  });
+
+  const hr = createDevice(VIRTUAL_HR_ID, "Virtual HRM", {
+    buildServices: buildHrServices,
+    onConnect: () => {
+      log("Virtual HRM: connected.");
+      ensureTicking();
+    },
+    onDisconnect: () => {
+      hrChars = null;
+      log("Virtual HRM: disconnected.");
+      stopTickingIfIdle();
+    },
+  });
+
+  return {bike, hr};
+}
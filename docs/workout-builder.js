@@ -155,6 +155,30 @@ export function createWorkoutBuilder(options) {
         '<IntervalsT Repeat="3" OnDuration="300" OffDuration="180" OnPower="0.90" OffPower="0.50" />',
       icon: "intervals",
     },
+    {
+      key: "freeride",
+      label: "FreeRide",
+      snippet: '<FreeRide Duration="600" />',
+      icon: "freeRide",
+    },
+    {
+      key: "maxeffort",
+      label: "MaxEffort",
+      snippet: '<MaxEffort Duration="30" />',
+      icon: "maxEffort",
+    },
+    {
+      key: "slope",
+      label: "Slope",
+      snippet: '<Slope Duration="600" Grade="4" />',
+      icon: "slope",
+    },
+    {
+      key: "heartrate",
+      label: "HeartRate",
+      snippet: '<HeartRate Duration="1800" Bpm="130" />',
+      icon: "heartRate",
+    },
   ];
 
   buttonSpecs.forEach((spec) => {
@@ -720,6 +744,24 @@ export function createWorkoutBuilder(options) {
       case "rampDown":
         path.setAttribute("d", "M4 8 L20 16 20 20 4 20 Z");
         break;
+      case "freeRide":
+        path.setAttribute(
+          "d",
+          "M4 20v-6c2-2 4-2 6 0s4 2 6 0 3-2 4-1v7z",
+        );
+        break;
+      case "maxEffort":
+        path.setAttribute("d", "M4 20h16V4H4z");
+        break;
+      case "slope":
+        path.setAttribute("d", "M4 20 L20 20 20 6 Z");
+        break;
+      case "heartRate":
+        path.setAttribute(
+          "d",
+          "M12 20l-7-7a4 4 0 0 1 7-5 4 4 0 0 1 7 5z",
+        );
+        break;
       case "intervals":
       default:
         path.setAttribute(
@@ -1,7 +1,7 @@
 // workout-chart.js
 // Shared chart helpers: zones, colors, SVG rendering, hover, and raw-segment handling.
 
-import {DEFAULT_FTP} from "./workout-metrics.js";
+import {DEFAULT_FTP, isFreeSegment} from "./workout-metrics.js";
 
 // --------------------------- CSS / color helpers ---------------------------
 
@@ -135,6 +135,58 @@ function renderSegmentPolygon({
   svg.appendChild(poly);
 }
 
+/**
+ * Draw a FreeRide / MaxEffort / Slope / HeartRate segment (no power target)
+ * as a full-height band: neutral except for MaxEffort, which gets the
+ * anaerobic-zone color.
+ */
+function renderFreeSegmentPolygon({
+  svg,
+  totalSec,
+  width,
+  height,
+  tStart,
+  tEnd,
+  kind,
+  grade,
+  hr,
+}) {
+  if (!svg || totalSec <= 0) return;
+
+  const x1 = (tStart / totalSec) * width;
+  const x2 = (tEnd / totalSec) * width;
+
+  const isMax = kind === "maxEffort";
+  const zone = zoneInfoFromRel(isMax ? 2 : 0);
+  const baseColor = isMax ? zone.color : getCssVar("--text-muted") || "#888888";
+
+  const muted = mixColors(baseColor, zone.bg, isMax ? 0.55 : 0.8);
+  const hover = mixColors(baseColor, zone.bg, isMax ? 0.35 : 0.65);
+
+  const poly = document.createElementNS("http://www.w3.org/2000/svg", "polygon");
+  poly.setAttribute("points", `${x1},${height} ${x1},0 ${x2},0 ${x2},${height}`);
+  poly.setAttribute("fill", muted);
+  poly.setAttribute("fill-opacity", "1");
+  poly.setAttribute("stroke", "none");
+  poly.classList.add("chart-segment", "chart-segment-free");
+
+  const durMin = (tEnd - tStart) / 60;
+  const dur = durMin >= 1
+    ? `${durMin.toFixed(1)} min`
+    : `${Math.round(tEnd - tStart)} sec`;
+
+  let name = "Free ride";
+  if (isMax) name = "Max effort";
+  else if (kind === "slope") name = `Slope ${Number((grade || 0).toFixed(1))}%`;
+  else if (kind === "heartRate") name = `HR ${Math.round(hr || 0)} bpm`;
+  poly.dataset.label = `${name}, ${dur}`;
+  poly.dataset.color = baseColor;
+  poly.dataset.mutedColor = muted;
+  poly.dataset.hoverColor = hover;
+
+  svg.appendChild(poly);
+}
+
 // Track last hovered segment across charts (main + mini)
 let lastHoveredSegment = null;
 const hoverCleanupMap = new WeakMap();
@@ -172,10 +224,14 @@ function attachSegmentHover(svg, tooltipEl, containerEl, ftp) {
     const w0 = Math.round((p0 * ftp) / 100);
     const w1 = Math.round((p1 * ftp) / 100);
 
-    tooltipEl.textContent =
-      p0 === p1
-        ? `${zone}: ${p0}% FTP, ${w0}W, ${dur}`
-        : `${zone}: ${p0}–${p1}% FTP, ${w0}-${w1}W, ${dur}`;
+    if (segment.dataset.label) {
+      tooltipEl.textContent = segment.dataset.label;
+    } else {
+      tooltipEl.textContent =
+        p0 === p1
+          ? `${zone}: ${p0}% FTP, ${w0}W, ${dur}`
+          : `${zone}: ${p0}–${p1}% FTP, ${w0}-${w1}W, ${dur}`;
+    }
     tooltipEl.style.display = "block";
 
     const panelRect = containerEl.getBoundingClientRect();
@@ -253,8 +309,26 @@ function renderSegmentsFromRaw({
   maxY,
 }) {
   let t = 0;
-  for (const [minutes, startPct, endPct] of rawSegments) {
+  for (const raw of rawSegments) {
+    const [minutes, startPct, endPct] = raw;
     const durSec = Math.max(1, Math.round((minutes || 0) * 60));
+
+    if (isFreeSegment(raw)) {
+      renderFreeSegmentPolygon({
+        svg,
+        totalSec,
+        width,
+        height,
+        tStart: t,
+        tEnd: t + durSec,
+        kind: raw[3].kind,
+        grade: raw[3].grade,
+        hr: raw[3].hr,
+      });
+      t += durSec;
+      continue;
+    }
+
     const pStartRel = (startPct || 0) / 100;
     const pEndRel = (endPct != null ? endPct : startPct || 0) / 100;
 
@@ -275,6 +349,57 @@ function renderSegmentsFromRaw({
   }
 }
 
+/**
+ * Draw per-segment cadence targets (rawSegments extras) on the same scale as
+ * the live cadence line: a dashed line for a single rpm, a band for a range.
+ */
+function renderCadenceTargetsFromRaw({
+  svg,
+  rawSegments,
+  totalSec,
+  width,
+  height,
+  maxY,
+}) {
+  const color = getCssVar("--cad-line");
+  const yFor = (rpm) => height - (Math.min(maxY, Math.max(0, rpm)) / maxY) * height;
+
+  let t = 0;
+  for (const raw of rawSegments) {
+    const durSec = Math.max(1, Math.round((raw[0] || 0) * 60));
+    const cadence = raw[3]?.cadence;
+    if (cadence) {
+      const x1 = (t / totalSec) * width;
+      const x2 = ((t + durSec) / totalSec) * width;
+
+      if (cadence.high > cadence.low) {
+        const band = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+        band.setAttribute("x", String(x1));
+        band.setAttribute("y", String(yFor(cadence.high)));
+        band.setAttribute("width", String(x2 - x1));
+        band.setAttribute("height", String(yFor(cadence.low) - yFor(cadence.high)));
+        band.setAttribute("fill", color);
+        band.setAttribute("fill-opacity", "0.2");
+        band.setAttribute("pointer-events", "none");
+        svg.appendChild(band);
+      } else {
+        const y = yFor(cadence.low);
+        const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+        line.setAttribute("x1", String(x1));
+        line.setAttribute("x2", String(x2));
+        line.setAttribute("y1", String(y));
+        line.setAttribute("y2", String(y));
+        line.setAttribute("stroke", color);
+        line.setAttribute("stroke-width", "1.5");
+        line.setAttribute("stroke-dasharray", "6 4");
+        line.setAttribute("pointer-events", "none");
+        svg.appendChild(line);
+      }
+    }
+    t += durSec;
+  }
+}
+
 // --------------------------- Mini workout graph (picker) ---------------------------
 
 /**
@@ -377,10 +502,14 @@ export function drawWorkoutChart({
   elapsedSec,
   liveSamples,
   manualErgTarget,
+  intensityScale = 1, // workout target multiplier
 }) {
   if (!svg || !panel) return;
   clearSvg(svg);
 
+  // Segments are drawn (and hovered) at the scaled targets.
+  const workoutFtp = ftp * intensityScale;
+
   const w = width;
   const h = height;
   svg.setAttribute("viewBox", `0 0 ${w} ${h}`);
@@ -432,7 +561,15 @@ export function drawWorkoutChart({
       totalSec: safeTotalSec,
       width: w,
       height: h,
-      ftp,
+      ftp: workoutFtp,
+      maxY,
+    });
+    renderCadenceTargetsFromRaw({
+      svg,
+      rawSegments,
+      totalSec: safeTotalSec,
+      width: w,
+      height: h,
       maxY,
     });
   }
@@ -559,5 +696,5 @@ export function drawWorkoutChart({
     addPath(pathForKey("cadence"), cadColor, 1.5);
   }
 
-  attachSegmentHover(svg, tooltipEl, panel, ftp);
+  attachSegmentHover(svg, tooltipEl, panel, mode === "workout" ? workoutFtp : ftp);
 }
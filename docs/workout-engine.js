@@ -5,15 +5,79 @@
 
 import {BleManager} from "./ble-manager.js";
 import {Beeper} from "./beeper.js";
-import {DEFAULT_FTP} from "./workout-metrics.js";
+import {
+  DEFAULT_FTP,
+  computeRideMetricsFromSamples,
+  isFreeSegment,
+  segmentGrade,
+  segmentHrTarget,
+} from "./workout-metrics.js";
+import {
+  HRV_WINDOW_SEC,
+  computeDfaAlpha1,
+  computeHrvSummary,
+  computeRmssd,
+} from "./hrv.js";
+import {buildFitActivityFile} from "./fit.js";
+import {buildTcxActivity} from "./tcx.js";
+import {
+  DEFAULT_CALIBRATION_CURVE,
+  normalizeCalibrationCurve,
+  resistanceForPower,
+} from "./trainer-calibration.js";
 import {
   loadSelectedWorkout,
   loadActiveState,
   saveActiveState,
   clearActiveState,
   loadWorkoutDirHandle,
+  loadWorkoutControl,
+  loadResistanceCalibration,
+  loadCooldownPower,
+  loadSimEnvironment,
+  DEFAULT_SIM_ENVIRONMENT,
 } from "./storage.js";
 
+// Minimum power that counts as "riding again" during FreeRide / MaxEffort
+// segments, which have no target to compare against.
+const FREE_SEGMENT_RESUME_WATTS = 75;
+
+// Power matching: the ERG setpoint is scaled by a slowly-adapting factor so
+// the power meter (not the trainer's own reading) lands on target.
+const POWER_MATCH_GAIN = 0.1; // fraction of the relative error applied per step
+const POWER_MATCH_MAX_CORRECTION = 0.15; // factor stays within 1 ± this
+const POWER_MATCH_DEADBAND = 0.01; // ignore errors under 1%
+const POWER_MATCH_WINDOW_MS = 5000; // meter power averaged over this window
+const POWER_MATCH_SETTLE_MS = 5000; // hold off after the target jumps
+const POWER_MATCH_STEP_MS = 1000;
+
+// Heart-rate control: the ERG setpoint is walked slowly toward whatever
+// power holds the target HR. HR lags power by a minute or more, so steps
+// are small and use a short trend lookahead to avoid overshooting.
+const HR_CONTROL_GAIN = 0.4; // W per bpm of error, per step
+const HR_CONTROL_MAX_STEP_W = 3;
+const HR_CONTROL_DEADBAND_BPM = 2;
+const HR_CONTROL_WINDOW_MS = 10000; // HR averaged over this window
+const HR_CONTROL_LOOKAHEAD_SEC = 15; // HR trend projected this far ahead
+const HR_CONTROL_STEP_MS = 5000;
+const HR_CONTROL_MIN_FTP = 0.3; // setpoint bounds, fraction of FTP
+const HR_CONTROL_MAX_FTP = 0.9;
+const HR_CONTROL_START_FTP = 0.55; // starting setpoint without live power
+const MIN_HR_TARGET = 80;
+const MAX_HR_TARGET = 200;
+
+// Simulation mode grade bounds (%), per the FTMS parameter range we use.
+const MIN_SIM_GRADE = -20;
+const MAX_SIM_GRADE = 20;
+
+// Fitness Machine Status: don't re-assert our target more often than this,
+// so two apps fighting over the trainer can't flood it.
+const MACHINE_STATUS_REASSERT_MIN_MS = 3000;
+
+// Workout intensity multiplier bounds.
+const MIN_INTENSITY_SCALE = 0.8;
+const MAX_INTENSITY_SCALE = 1.2;
+
 let instance = null;
 
 export function getWorkoutEngine() {
@@ -24,16 +88,34 @@ export function getWorkoutEngine() {
 function createWorkoutEngine() {
   /** @type {CanonicalWorkout | null} */
   let canonicalWorkout = null;
+  // The workout as picked. Skips / restarts / extensions only edit
+  // canonicalWorkout, which goes back to this when the ride is over.
+  /** @type {CanonicalWorkout | null} */
+  let pickedWorkout = null;
   let workoutTotalSec = 0;
 
   let currentFtp = DEFAULT_FTP;
-  let mode = "workout"; // "workout" | "erg" | "resistance"
+  let mode = "workout"; // "workout" | "erg" | "resistance" | "sim" | "hr"
   let manualErgTarget = 200;
   let manualResistance = 30;
+  // HR mode: rider-set target heart rate (bpm).
+  let manualHrTarget = 130;
+  // Simulation mode: rider-set grade (%) plus the environment from settings.
+  let simGrade = 0;
+  let simEnvironment = {...DEFAULT_SIM_ENVIRONMENT};
+  // How workout mode drives the trainer: ERG targets, or a resistance level
+  // mapped from the target through the trainer's calibration curve.
+  let workoutControl = "erg"; // "erg" | "resistance"
+  let resistanceCalibration = DEFAULT_CALIBRATION_CURVE;
+  // Power held once the workout completes; 0 = keep the final target.
+  let cooldownPower = 0;
+  // Multiplier on workout targets (1 = as written).
+  let intensityScale = 1;
 
   let workoutRunning = false;
   let workoutPaused = false;
   let workoutStarting = false;
+  let workoutCompleted = false;
   /** @type {Date | null} */
   let workoutStartedAt = null;
   let elapsedSec = 0;
@@ -43,18 +125,67 @@ function createWorkoutEngine() {
   let lastSamplePower = null;
   let lastSampleHr = null;
   let lastSampleCadence = null;
+  let lastSampleSpeed = null;
+  let lastSamplePedalBalance = null;
+  let lastSamplePedalBalanceRef = null;
+  // Per-source cadence / speed; see refreshCadenceAndSpeed() for priority.
+  let lastTrainerCadence = null;
+  let lastTrainerSpeed = null;
+  let lastCscCadence = null;
+  let lastCscSpeed = null;
+  let lastTrainerResistance = null;
+  // Trainer's cumulative energy counter, to turn it into per-workout kcal.
+  let lastTrainerEnergyKcal = null;
+
+  // A connected Cycling Power meter replaces the trainer as power source.
+  let powerMeterConnected = false;
+  let lastPowerMeterCadence = null;
+  let lastTrainerPower = null;
+
+  let powerMatchFactor = 1;
+  let powerMatchTarget = null;
+  let powerMatchSettleUntilMs = 0;
+  let powerMatchLastStepMs = 0;
+  let powerMatchLoggedFactor = 1;
+  let powerMatchBikeId = null;
+  /** @type {Array<{ts:number, power:number}>} */
+  let powerMatchWindow = [];
+
+  // ERG setpoint held by the heart-rate controller; null when inactive.
+  let hrControlPower = null;
+  let hrControlLastStepMs = 0;
+  let hrControlLoggedPower = null;
+  /** @type {Array<{ts:number, hr:number}>} */
+  let hrControlWindow = [];
+
+  let lastTargetReassertMs = 0;
 
   let zeroPowerSeconds = 0;
   let autoPauseDisabledUntilSec = 0;
   let manualPauseAutoResumeBlockedUntilMs = 0;
 
   let liveSamples = [];
+  // RR intervals (ms): beats since the last recorded sample, and the recent
+  // window behind the live HRV values.
+  let pendingRr = [];
+  /** @type {Array<{ts:number, rr:number}>} */
+  let hrvWindow = [];
+  let liveRmssd = null;
+  let liveDfaAlpha1 = null;
+  // Workout totals recorded into liveSamples: distance integrated from
+  // speed (as the activity files do), calories from the trainer's counter.
+  let workoutDistanceM = 0;
+  let workoutCalories = null;
+  // Skips / restarts / extensions made during the ride, for the activity file.
+  let segmentAdjustments = [];
   let workoutTicker = null;
   let saveStateTimer = null;
 
   let onStateChanged = () => {};
   let onLog = () => {};
   let onWorkoutEnded = () => {};
+  let onCue = () => {};
+  let onWorkoutCompleted = () => {};
 
   const log = (msg) => onLog(msg);
 
@@ -74,13 +205,17 @@ function createWorkoutEngine() {
   /**
    * Returns current segment + target power at absolute time tSec.
    * Uses canonicalWorkout.rawSegments directly; no persistent scaled structure.
+   * Targets include the intensity multiplier; pStartRel / pEndRel don't.
+   * FreeRide / MaxEffort / Slope / HeartRate segments have `free: true`
+   * and a null target; Slope segments also carry `grade` (%), HeartRate
+   * segments `hr` (bpm).
    */
   function getCurrentSegmentAtTime(tSec) {
     if (!canonicalWorkout || !workoutTotalSec) {
       return {segment: null, target: null, index: -1};
     }
 
-    const ftp = currentFtp || DEFAULT_FTP;
+    const ftp = (currentFtp || DEFAULT_FTP) * intensityScale;
     const t = Math.min(Math.max(0, tSec), workoutTotalSec);
     const raws = canonicalWorkout.rawSegments;
 
@@ -92,14 +227,15 @@ function createWorkoutEngine() {
       const end = acc + dur;
 
       if (t < end) {
+        const free = isFreeSegment(raws[i]);
         const pStartRel = (startPct || 0) / 100;
         const pEndRel = (endPct != null ? endPct : startPct || 0) / 100;
         const rel = (t - start) / dur;
         const startW = pStartRel * ftp;
         const endW = pEndRel * ftp;
-        const target = Math.round(
-          startW + (endW - startW) * Math.min(1, Math.max(0, rel))
-        );
+        const target = free
+          ? null
+          : Math.round(startW + (endW - startW) * Math.min(1, Math.max(0, rel)));
 
         const segment = {
           durationSec: dur,
@@ -107,6 +243,10 @@ function createWorkoutEngine() {
           endTimeSec: end,
           pStartRel,
           pEndRel,
+          cadence: raws[i][3]?.cadence || null,
+          grade: segmentGrade(raws[i]),
+          hr: segmentHrTarget(raws[i]),
+          free,
         };
 
         currentIntervalIndex = i;
@@ -119,25 +259,402 @@ function createWorkoutEngine() {
     return {segment: null, target: null, index: -1};
   }
 
+  function restorePickedWorkout() {
+    if (!pickedWorkout || canonicalWorkout === pickedWorkout) return;
+    canonicalWorkout = pickedWorkout;
+    recomputeWorkoutTotalSec();
+  }
+
+  function segmentDurationSec(raw) {
+    return Math.max(1, Math.round((raw[0] || 0) * 60));
+  }
+
+  /**
+   * Split raw segment `raw` `offsetSec` seconds in. The power at the split
+   * point is interpolated so ramps stay continuous; cues go to the half
+   * they fall in. Either half is null when it would be empty.
+   */
+  function splitRawSegment(raw, offsetSec) {
+    const [, startPct, endPct, extras] = raw;
+    const dur = segmentDurationSec(raw);
+    const end = endPct != null ? endPct : startPct;
+    const at = Math.max(0, Math.min(dur, Math.round(offsetSec)));
+    const midPct = isFreeSegment(raw)
+      ? 0
+      : Math.round((startPct + (end - startPct) * (at / dur)) * 10) / 10;
+
+    const cues = extras?.cues || [];
+    const withCues = (list) => {
+      if (!extras) return undefined;
+      const next = {...extras};
+      if (list.length) next.cues = list;
+      else delete next.cues;
+      return next;
+    };
+    const build = (sec, p0, p1, list) => {
+      const seg = [sec / 60, p0, p1];
+      const ex = withCues(list);
+      if (ex) seg.push(ex);
+      return seg;
+    };
+
+    const before = at > 0
+      ? build(at, startPct, midPct, cues.filter((c) => (c.offsetSec || 0) < at))
+      : null;
+    const after = at < dur
+      ? build(
+        dur - at,
+        midPct,
+        end,
+        cues
+          .filter((c) => (c.offsetSec || 0) >= at)
+          .map((c) => ({...c, offsetSec: (c.offsetSec || 0) - at}))
+      )
+      : null;
+    return {before, after};
+  }
+
+  /**
+   * Coach cues (ZWO textevents) whose absolute time falls in [fromSec, toSec).
+   */
+  function getCuesBetween(fromSec, toSec) {
+    if (!canonicalWorkout) return [];
+    const cues = [];
+    let acc = 0;
+    for (const raw of canonicalWorkout.rawSegments) {
+      if (acc >= toSec) break;
+      const dur = Math.max(1, Math.round((raw[0] || 0) * 60));
+      for (const cue of raw[3]?.cues || []) {
+        const at = acc + Math.round(cue.offsetSec || 0);
+        if (at >= fromSec && at < toSec) cues.push(cue);
+      }
+      acc += dur;
+    }
+    return cues;
+  }
+
+  /**
+   * Show the cues due when the workout clock reads tSec. A cue at T shows
+   * as the clock reaches T, so offset-0 cues open their segment.
+   */
+  function showCuesAt(tSec) {
+    for (const cue of getCuesBetween(tSec, tSec + 1)) {
+      log(`Coach message: ${cue.message}`);
+      onCue(cue);
+    }
+  }
+
+  /**
+   * Power held after the workout completes: the configured cooldown power,
+   * or the end power of the last segment (null after a FreeRide/MaxEffort).
+   */
+  function getPostWorkoutTargetPower() {
+    if (cooldownPower > 0) return cooldownPower;
+    const raws = canonicalWorkout?.rawSegments || [];
+    const last = raws[raws.length - 1];
+    if (!last || isFreeSegment(last)) return null;
+    const endPct = last[2] != null ? last[2] : last[1];
+    return Math.round(
+      ((endPct || 0) / 100) * (currentFtp || DEFAULT_FTP) * intensityScale
+    );
+  }
+
   function getCurrentTargetPower() {
     if (mode === "erg") return manualErgTarget;
-    if (mode === "resistance") return null;
+    if (mode === "hr") return hrControlSetpoint();
+    if (mode === "resistance" || mode === "sim") return null;
     if (!canonicalWorkout) return null;
+    if (workoutCompleted) return getPostWorkoutTargetPower();
     const t = workoutRunning || elapsedSec > 0 ? elapsedSec : 0;
     const {target} = getCurrentSegmentAtTime(t);
     return target;
   }
 
-  function desiredTrainerState() {
+  function isInFreeSegment() {
+    if (mode !== "workout" || !canonicalWorkout || workoutCompleted) return false;
+    const t = workoutRunning || elapsedSec > 0 ? elapsedSec : 0;
+    return !!getCurrentSegmentAtTime(t).segment?.free;
+  }
+
+  /** Grade (%) of the current Slope segment, or null. */
+  function currentSegmentGrade() {
+    if (mode !== "workout" || !canonicalWorkout || workoutCompleted) return null;
+    const t = workoutRunning || elapsedSec > 0 ? elapsedSec : 0;
+    return getCurrentSegmentAtTime(t).segment?.grade ?? null;
+  }
+
+  /**
+   * Heart rate (bpm) the controller should hold: the rider's target in HR
+   * mode, or the current HeartRate segment's. Null otherwise, and on
+   * trainers without ERG (HeartRate segments then ride like FreeRide).
+   */
+  function currentHrTarget() {
+    if (!BleManager.bikeSupportsTarget("erg")) return null;
+    if (mode === "hr") return manualHrTarget;
+    if (mode !== "workout" || !canonicalWorkout || workoutCompleted) return null;
+    const t = workoutRunning || elapsedSec > 0 ? elapsedSec : 0;
+    return getCurrentSegmentAtTime(t).segment?.hr ?? null;
+  }
+
+  /** Manual modes need the matching FTMS target; workout mode always works. */
+  function modeSupported(m) {
+    if (m === "erg" || m === "resistance" || m === "sim") {
+      return BleManager.bikeSupportsTarget(m);
+    }
+    if (m === "hr") return BleManager.bikeSupportsTarget("erg");
+    return true;
+  }
+
+  function clampHrTarget(bpm) {
+    const v = Math.round(Number(bpm));
+    if (!Number.isFinite(v)) return manualHrTarget;
+    return Math.max(MIN_HR_TARGET, Math.min(MAX_HR_TARGET, v));
+  }
+
+  function clampSimGrade(grade) {
+    const v = Number(grade);
+    if (!Number.isFinite(v)) return 0;
+    // Half-percent steps keep repeated adjustments from drifting.
+    const rounded = Math.round(v * 2) / 2;
+    return Math.max(MIN_SIM_GRADE, Math.min(MAX_SIM_GRADE, rounded));
+  }
+
+  /**
+   * workoutControl, unless the trainer can't take that kind of target and
+   * can take the other one.
+   */
+  function effectiveWorkoutControl() {
+    if (workoutControl === "erg" && !BleManager.bikeSupportsTarget("erg")) {
+      return BleManager.bikeSupportsTarget("resistance") ? "resistance" : "erg";
+    }
+    if (
+      workoutControl === "resistance" &&
+      !BleManager.bikeSupportsTarget("resistance")
+    ) {
+      return BleManager.bikeSupportsTarget("erg") ? "erg" : "resistance";
+    }
+    return workoutControl;
+  }
+
+  /**
+   * What the trainer should do, before power matching. ERG values are the
+   * power we want the rider to produce.
+   */
+  function baseTrainerState() {
+    if (currentHrTarget() != null) {
+      return {kind: "erg", value: hrControlSetpoint()};
+    }
     if (mode === "workout") {
+      // Slope: ride the grade in simulation mode where the trainer has it.
+      const grade = currentSegmentGrade();
+      if (grade != null && BleManager.bikeSupportsTarget("sim")) {
+        return {kind: "sim", value: {...simEnvironment, grade}};
+      }
+      // FreeRide / MaxEffort: release ERG and let the rider shift.
+      if (isInFreeSegment()) return {kind: "resistance", value: manualResistance};
       const value = getCurrentTargetPower();
-      return value == null ? null : {kind: "erg", value};
+      if (value == null) {
+        return workoutCompleted ? {kind: "resistance", value: manualResistance} : null;
+      }
+      if (effectiveWorkoutControl() === "resistance") {
+        return {
+          kind: "resistance",
+          value: resistanceForPower(resistanceCalibration, value),
+        };
+      }
+      return {kind: "erg", value};
     }
     if (mode === "erg") return {kind: "erg", value: manualErgTarget};
     if (mode === "resistance") return {kind: "resistance", value: manualResistance};
+    if (mode === "sim") return {kind: "sim", value: {...simEnvironment, grade: simGrade}};
     return null;
   }
 
+  function desiredTrainerState() {
+    const st = baseTrainerState();
+    if (!st || st.kind !== "erg" || !powerMeterConnected) return st;
+    return {kind: "erg", value: Math.round(st.value * powerMatchFactor)};
+  }
+
+  /** ERG setpoint actually sent to the trainer, or null outside ERG. */
+  function currentErgSetpoint() {
+    const st = desiredTrainerState();
+    return st && st.kind === "erg" ? st.value : null;
+  }
+
+  // --------- power matching ---------
+
+  function resetPowerMatchWindow() {
+    powerMatchWindow = [];
+    powerMatchTarget = null;
+    powerMatchSettleUntilMs = 0;
+  }
+
+  /**
+   * Closed-loop correction run on each power meter reading. Nudges
+   * powerMatchFactor so the averaged meter power converges on the ERG
+   * target, then resends the (scaled) setpoint.
+   */
+  function updatePowerMatch(meterPower) {
+    const st = baseTrainerState();
+    const active =
+      powerMeterConnected &&
+      st &&
+      st.kind === "erg" &&
+      st.value > 0 &&
+      !(mode === "workout" && (!workoutRunning || workoutPaused));
+    if (!active) {
+      resetPowerMatchWindow();
+      return;
+    }
+
+    const now = Date.now();
+    const target = st.value;
+
+    // ERG needs a few seconds to settle after a step; don't chase it.
+    if (
+      powerMatchTarget == null ||
+      Math.abs(target - powerMatchTarget) > 0.05 * powerMatchTarget
+    ) {
+      powerMatchSettleUntilMs = now + POWER_MATCH_SETTLE_MS;
+      powerMatchWindow = [];
+    }
+    powerMatchTarget = target;
+    if (now < powerMatchSettleUntilMs) return;
+
+    if (!meterPower || meterPower <= 0) {
+      powerMatchWindow = [];
+      return;
+    }
+    powerMatchWindow.push({ts: now, power: meterPower});
+    powerMatchWindow = powerMatchWindow.filter(
+      (p) => now - p.ts <= POWER_MATCH_WINDOW_MS
+    );
+
+    if (now - powerMatchLastStepMs < POWER_MATCH_STEP_MS) return;
+    if (powerMatchWindow.length < 3) return;
+    powerMatchLastStepMs = now;
+
+    const avg =
+      powerMatchWindow.reduce((sum, p) => sum + p.power, 0) /
+      powerMatchWindow.length;
+    const err = (target - avg) / target;
+    if (Math.abs(err) < POWER_MATCH_DEADBAND) return;
+
+    powerMatchFactor = Math.max(
+      1 - POWER_MATCH_MAX_CORRECTION,
+      Math.min(
+        1 + POWER_MATCH_MAX_CORRECTION,
+        powerMatchFactor * (1 + POWER_MATCH_GAIN * err)
+      )
+    );
+
+    if (Math.abs(powerMatchFactor - powerMatchLoggedFactor) >= 0.01) {
+      powerMatchLoggedFactor = powerMatchFactor;
+      log(`Power match: ERG setpoint scaled to ${(powerMatchFactor * 100).toFixed(1)}%`);
+    }
+
+    sendTrainerState(false).catch((err) =>
+      log("Trainer state send after power match failed: " + err)
+    );
+  }
+
+  // --------- heart-rate control ---------
+
+  function clampHrControlPower(watts) {
+    const ftp = currentFtp || DEFAULT_FTP;
+    return Math.round(
+      Math.max(
+        HR_CONTROL_MIN_FTP * ftp,
+        Math.min(HR_CONTROL_MAX_FTP * ftp, watts)
+      )
+    );
+  }
+
+  /**
+   * ERG setpoint the HR controller is holding. Starts from the power the
+   * rider is producing so switching in doesn't jolt the legs.
+   */
+  function hrControlSetpoint() {
+    if (hrControlPower == null) {
+      const ftp = currentFtp || DEFAULT_FTP;
+      hrControlPower = clampHrControlPower(
+        lastSamplePower > 0 ? lastSamplePower : HR_CONTROL_START_FTP * ftp
+      );
+      hrControlLoggedPower = hrControlPower;
+      hrControlLastStepMs = Date.now();
+    }
+    return hrControlPower;
+  }
+
+  function resetHrControl() {
+    hrControlPower = null;
+    hrControlLoggedPower = null;
+    hrControlWindow = [];
+  }
+
+  /**
+   * Closed-loop step run on each HR reading. Averages recent HR, projects
+   * its trend a little ahead and nudges the ERG setpoint by a bounded
+   * amount toward the target, then resends it. Holds the setpoint while
+   * HR or pedalling is missing, or the workout is paused.
+   */
+  function updateHrControl(bpm) {
+    const target = currentHrTarget();
+    if (target == null) {
+      resetHrControl();
+      return;
+    }
+    hrControlSetpoint();
+
+    const now = Date.now();
+    const holding =
+      bpm == null ||
+      !lastSamplePower ||
+      lastSamplePower <= 0 ||
+      (mode === "workout" && (!workoutRunning || workoutPaused));
+    if (holding) {
+      hrControlWindow = [];
+      hrControlLastStepMs = now;
+      return;
+    }
+
+    hrControlWindow.push({ts: now, hr: bpm});
+    hrControlWindow = hrControlWindow.filter(
+      (p) => now - p.ts <= HR_CONTROL_WINDOW_MS
+    );
+
+    if (now - hrControlLastStepMs < HR_CONTROL_STEP_MS) return;
+    if (hrControlWindow.length < 5) return;
+    hrControlLastStepMs = now;
+
+    const first = hrControlWindow[0];
+    const last = hrControlWindow[hrControlWindow.length - 1];
+    const avg =
+      hrControlWindow.reduce((sum, p) => sum + p.hr, 0) / hrControlWindow.length;
+    const spanSec = (last.ts - first.ts) / 1000;
+    const trend = spanSec > 0 ? (last.hr - first.hr) / spanSec : 0;
+    const err = target - (avg + trend * HR_CONTROL_LOOKAHEAD_SEC);
+    if (Math.abs(err) < HR_CONTROL_DEADBAND_BPM) return;
+
+    const step = Math.max(
+      -HR_CONTROL_MAX_STEP_W,
+      Math.min(HR_CONTROL_MAX_STEP_W, HR_CONTROL_GAIN * err)
+    );
+    const next = clampHrControlPower(hrControlPower + step);
+    if (next === hrControlPower) return;
+    hrControlPower = next;
+
+    if (Math.abs(hrControlPower - hrControlLoggedPower) >= 10) {
+      hrControlLoggedPower = hrControlPower;
+      log(`HR control: ERG setpoint ${hrControlPower}W for ${target} bpm`);
+    }
+
+    sendTrainerState(false).catch((err) =>
+      log("Trainer state send after HR control failed: " + err)
+    );
+  }
+
   async function sendTrainerState(force = false) {
     const st = desiredTrainerState();
     if (!st) return;
@@ -157,15 +674,21 @@ function createWorkoutEngine() {
   function persistActiveState() {
     saveActiveState({
       canonicalWorkout,
+      pickedWorkout,
       currentFtp,
       mode,
       manualErgTarget,
       manualResistance,
+      manualHrTarget,
+      simGrade,
+      intensityScale,
+      powerMatchFactor,
       workoutRunning,
       workoutPaused,
       elapsedSec,
       currentIntervalIndex,
       liveSamples,
+      segmentAdjustments,
       zeroPowerSeconds,
       autoPauseDisabledUntilSec,
       manualPauseAutoResumeBlockedUntilMs,
@@ -188,7 +711,8 @@ function createWorkoutEngine() {
       .toISOString()
       .replace(/[:]/g, "-")
       .replace(/\.\d+Z$/, "Z");
-    const fileName = `${timestamp} - ${nameSafe}.json`;
+    const baseName = `${timestamp} - ${nameSafe}`;
+    const fileName = `${baseName}.json`;
 
     const fileHandle = await dir.getFileHandle(fileName, {create: true});
     const writable = await fileHandle.createWritable();
@@ -202,6 +726,16 @@ function createWorkoutEngine() {
         endedAt: now.toISOString(),
         totalElapsedSec: elapsedSec,
         modeHistory: "workout",
+        workoutControl,
+        // Final multiplier; per-sample values show when it changed.
+        intensityScale,
+        segmentAdjustments,
+        hrv: computeHrvSummary(liveSamples),
+        // Model / firmware of the devices used, for support triage.
+        devices: {
+          trainer: BleManager.getBikeDeviceInfo(),
+          heartRate: BleManager.getHrDeviceInfo(),
+        },
       },
       samples: liveSamples,
     };
@@ -210,6 +744,34 @@ function createWorkoutEngine() {
     await writable.close();
 
     log(`Workout saved to ${fileName}`);
+
+    const exportOpts = {
+      canonicalWorkout,
+      samples: liveSamples,
+      startedAt: workoutStartedAt,
+      ftp: currentFtp,
+    };
+
+    try {
+      await writeExportFile(dir, `${baseName}.fit`, buildFitActivityFile(exportOpts));
+    } catch (err) {
+      log("Failed to save FIT activity file: " + err);
+    }
+
+    try {
+      await writeExportFile(dir, `${baseName}.tcx`, buildTcxActivity(exportOpts));
+    } catch (err) {
+      log("Failed to save TCX activity file: " + err);
+    }
+  }
+
+  async function writeExportFile(dir, fileName, content) {
+    const fileHandle = await dir.getFileHandle(fileName, {create: true});
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+
+    log(`Activity export saved to ${fileName}`);
   }
 
   // --------- auto-start / beeps ---------
@@ -224,7 +786,7 @@ function createWorkoutEngine() {
     const [minutes, startPct] = canonicalWorkout.rawSegments[0];
     const ftp = currentFtp || DEFAULT_FTP;
     const pStartRel = (startPct || 50) / 100;
-    const startTarget = ftp * pStartRel;
+    const startTarget = ftp * pStartRel * intensityScale;
     const threshold = Math.max(75, 0.5 * startTarget);
 
     if (power >= threshold) {
@@ -248,6 +810,12 @@ function createWorkoutEngine() {
     const nextRaw = raws[index + 1];
     if (!nextRaw) return;
 
+    const secsToEndInt = Math.round(segment.endTimeSec - currentT);
+    if (segment.free || isFreeSegment(nextRaw)) {
+      if (secsToEndInt === 3) Beeper.playBeepPattern();
+      return;
+    }
+
     const currEnd = segment.pEndRel * ftp;
     const nextStartPct = nextRaw[1];
     const nextStartRel = (nextStartPct || 0) / 100;
@@ -256,8 +824,6 @@ function createWorkoutEngine() {
     const diffFrac = Math.abs(nextStart - currEnd) / currEnd;
     if (diffFrac < 0.1) return;
 
-    const secsToEndInt = Math.round(segment.endTimeSec - currentT);
-
     if (diffFrac >= 0.3 && nextStartRel >= 1.2 && secsToEndInt === 9) {
       Beeper.playDangerDanger();
     }
@@ -302,18 +868,49 @@ function createWorkoutEngine() {
           }
         }
 
-        await sendTrainerState(false);
+        if (lastSampleSpeed != null && Number.isFinite(lastSampleSpeed)) {
+          workoutDistanceM += lastSampleSpeed / 3.6;
+        }
 
         liveSamples.push({
           t: elapsedSec,
+          ts: Date.now(),
           power: lastSamplePower,
+          // Both readings while a power meter is connected.
+          trainerPower: lastTrainerPower,
+          meterPower: powerMeterConnected ? lastSamplePower : null,
+          ergSetpoint: currentErgSetpoint(),
           hr: lastSampleHr,
           cadence: lastSampleCadence,
+          speedKph: lastSampleSpeed,
+          distance: Math.round(workoutDistanceM * 10) / 10,
+          resistance: lastTrainerResistance,
+          calories: workoutCalories,
+          rr: pendingRr.length ? pendingRr : null,
+          rmssd: liveRmssd != null ? Math.round(liveRmssd * 10) / 10 : null,
+          dfaAlpha1: liveDfaAlpha1 != null ? Math.round(liveDfaAlpha1 * 100) / 100 : null,
+          pedalBalance: lastSamplePedalBalance,
+          pedalBalanceRef: lastSamplePedalBalanceRef,
+          powerSource: powerMeterConnected ? "meter" : "trainer",
           targetPower: currentTarget || null,
+          hrTarget: currentHrTarget(),
+          intensityScale,
         });
+        pendingRr = [];
+
+        // Leaving a HeartRate segment; the next one starts from live power.
+        if (currentHrTarget() == null) resetHrControl();
+        // Not awaited: a trainer slow to answer must not delay the next tick.
+        sendTrainerState(false).catch((err) => log("Trainer state send failed: " + err));
 
         if (mode === "workout" && workoutRunning && !workoutPaused) {
           handleIntervalBeep(elapsedSec);
+          showCuesAt(elapsedSec);
+        }
+
+        if (mode === "workout" && workoutTotalSec && elapsedSec >= workoutTotalSec) {
+          await completeWorkout();
+          return;
         }
 
         scheduleSaveActiveState();
@@ -331,6 +928,13 @@ function createWorkoutEngine() {
             Beeper.showResumedOverlay();
             setPaused(false);
           }
+        } else if (!autoResumeBlocked && isInFreeSegment() && lastSamplePower) {
+          if (lastSamplePower >= FREE_SEGMENT_RESUME_WATTS) {
+            log(`Auto-resume: power >= ${FREE_SEGMENT_RESUME_WATTS}W in free segment.`);
+            autoPauseDisabledUntilSec = elapsedSec + 15;
+            Beeper.showResumedOverlay();
+            setPaused(false);
+          }
         }
       }
 
@@ -372,12 +976,20 @@ function createWorkoutEngine() {
       alert("Must be in workout mode to begin workout.");
       return;
     }
+    if (workoutCompleted) {
+      log("Workout already completed; dismiss the summary to start again.");
+      return;
+    }
 
     if (!workoutRunning && !workoutStarting) {
       workoutStarting = true;
       log("Starting workout (countdown)...");
       Beeper.runStartCountdown(async () => {
         liveSamples = [];
+        pendingRr = [];
+        workoutDistanceM = 0;
+        workoutCalories = null;
+        segmentAdjustments = [];
         elapsedSec = 0;
 
         const [minutes] = canonicalWorkout.rawSegments[0];
@@ -392,6 +1004,7 @@ function createWorkoutEngine() {
         workoutStarting = false;
         setRunning(true);
         setPaused(false);
+        showCuesAt(0);
         emitStateChanged();
         await sendTrainerState(true);
         scheduleSaveActiveState();
@@ -413,10 +1026,64 @@ function createWorkoutEngine() {
     }
   }
 
+  /**
+   * Called by the ticker when elapsedSec reaches the end of the workout:
+   * stops the timer, holds the post-workout target, saves the ride and
+   * reports a summary. The rider dismisses it via endWorkout().
+   */
+  async function completeWorkout() {
+    log("Workout complete, stopping timer and saving.");
+    stopTicker();
+    workoutRunning = false;
+    workoutPaused = false;
+    workoutCompleted = true;
+    emitStateChanged();
+
+    try {
+      await sendTrainerState(true);
+    } catch (err) {
+      log("Trainer state send after workout completion failed: " + err);
+    }
+
+    const summary = buildWorkoutSummary();
+
+    try {
+      await saveWorkoutFile();
+    } catch (err) {
+      log("Failed to save workout file: " + err);
+    }
+
+    if (saveStateTimer) {
+      clearTimeout(saveStateTimer);
+      saveStateTimer = null;
+    }
+    clearActiveState();
+    emitStateChanged();
+    onWorkoutCompleted(summary);
+  }
+
+  function buildWorkoutSummary() {
+    const m = computeRideMetricsFromSamples(liveSamples, currentFtp);
+    const hrv = computeHrvSummary(liveSamples);
+    return {
+      workoutTitle: canonicalWorkout?.workoutTitle || "",
+      durationSec: elapsedSec,
+      avgPower: m.avgPower,
+      normalizedPower: m.normalizedPower,
+      tss: m.tss,
+      kj: m.kj,
+      avgHr: m.avgHr,
+      rmssd: hrv.rmssd,
+      avgDfaAlpha1: hrv.avgAlpha1,
+      aerobicThresholdHr: hrv.aerobicThresholdHr,
+    };
+  }
+
   async function endWorkout() {
     log("Ending workout, saving file if samples exist.");
     stopTicker();
-    if (liveSamples.length) {
+    // A completed workout was already saved by completeWorkout().
+    if (liveSamples.length && !workoutCompleted) {
       try {
         await saveWorkoutFile();
       } catch (err) {
@@ -426,9 +1093,15 @@ function createWorkoutEngine() {
     workoutRunning = false;
     workoutPaused = false;
     workoutStarting = false;
+    workoutCompleted = false;
+    restorePickedWorkout();
+    intensityScale = 1;
     elapsedSec = 0;
     intervalElapsedSec = 0;
     liveSamples = [];
+    workoutDistanceM = 0;
+    workoutCalories = null;
+    segmentAdjustments = [];
     zeroPowerSeconds = 0;
     autoPauseDisabledUntilSec = 0;
     manualPauseAutoResumeBlockedUntilMs = 0;
@@ -440,9 +1113,38 @@ function createWorkoutEngine() {
 
   // --------- BLE sample handlers ---------
 
+  /**
+   * Cadence: a dedicated CSC sensor wins, then the trainer, then the power
+   * meter's crank data. Speed: the trainer, else the CSC wheel sensor.
+   */
+  function refreshCadenceAndSpeed() {
+    if (lastCscCadence != null) lastSampleCadence = lastCscCadence;
+    else if (lastTrainerCadence != null) lastSampleCadence = lastTrainerCadence;
+    else lastSampleCadence = lastPowerMeterCadence;
+
+    lastSampleSpeed = lastTrainerSpeed != null ? lastTrainerSpeed : lastCscSpeed;
+  }
+
+  // Count energy only while the workout is running; a counter that goes
+  // backwards (trainer reset) just re-bases.
+  function trackTrainerEnergy(totalKcal) {
+    if (totalKcal == null) return;
+    const prev = lastTrainerEnergyKcal;
+    lastTrainerEnergyKcal = totalKcal;
+    if (prev == null || totalKcal < prev) return;
+    if (mode === "workout" && workoutRunning && !workoutPaused) {
+      workoutCalories = (workoutCalories || 0) + (totalKcal - prev);
+    }
+  }
+
   function handleBikeSample(sample) {
-    lastSamplePower = sample.power;
-    lastSampleCadence = sample.cadence;
+    lastTrainerPower = sample.power;
+    if (!powerMeterConnected) lastSamplePower = sample.power;
+    lastTrainerCadence = sample.cadence;
+    lastTrainerSpeed = sample.speedKph;
+    lastTrainerResistance = sample.resistanceLevel ?? null;
+    trackTrainerEnergy(sample.totalEnergyKcal);
+    refreshCadenceAndSpeed();
     if (sample.hrFromBike != null && lastSampleHr == null) {
       lastSampleHr = sample.hrFromBike;
     }
@@ -450,8 +1152,316 @@ function createWorkoutEngine() {
     emitStateChanged();
   }
 
+  function handlePowerSample(sample) {
+    if (!powerMeterConnected) return;
+    lastSamplePower = sample.power;
+    lastSamplePedalBalance = sample.pedalBalance;
+    lastSamplePedalBalanceRef = sample.pedalBalanceRef;
+    lastPowerMeterCadence = sample.cadence;
+    refreshCadenceAndSpeed();
+    updatePowerMatch(lastSamplePower);
+    maybeAutoStartFromPower(lastSamplePower || 0);
+    emitStateChanged();
+  }
+
+  function handlePowerStatus({state}) {
+    const connected = state === "connected";
+    if (connected === powerMeterConnected) return;
+    powerMeterConnected = connected;
+    log(
+      connected
+        ? "Power meter connected; recording power from the meter."
+        : "Power meter unavailable; recording power from the trainer."
+    );
+    lastSamplePedalBalance = null;
+    lastSamplePedalBalanceRef = null;
+    lastPowerMeterCadence = null;
+    resetPowerMatchWindow();
+    // The trainer goes back to (or starts) holding the unscaled target.
+    sendTrainerState(true).catch((err) =>
+      log("Trainer state send after power meter change failed: " + err)
+    );
+    if (!connected) lastSamplePower = lastTrainerPower;
+    refreshCadenceAndSpeed();
+    emitStateChanged();
+  }
+
+  function handleCscSample(sample) {
+    lastCscCadence = sample.cadence;
+    lastCscSpeed = sample.speedKph;
+    refreshCadenceAndSpeed();
+    emitStateChanged();
+  }
+
+  function handleCscStatus({state}) {
+    if (state === "connected") return;
+    // Fall back to trainer / power meter cadence while the sensor is away.
+    lastCscCadence = null;
+    lastCscSpeed = null;
+    refreshCadenceAndSpeed();
+    emitStateChanged();
+  }
+
   function handleHrSample(bpm) {
     lastSampleHr = bpm;
+    updateHrControl(bpm);
+    if (bpm == null) {
+      // Strap gone; old beats would skew HRV once it's back.
+      hrvWindow = [];
+      pendingRr = [];
+      liveRmssd = null;
+      liveDfaAlpha1 = null;
+    }
+    emitStateChanged();
+  }
+
+  function handleHrMeasurement({rrIntervalsMs}) {
+    if (!rrIntervalsMs?.length) return;
+    const now = Date.now();
+    const recording = mode === "workout" && workoutRunning && !workoutPaused;
+    for (const rr of rrIntervalsMs) {
+      hrvWindow.push({ts: now, rr});
+      if (recording) pendingRr.push(rr);
+    }
+    const cutoff = now - HRV_WINDOW_SEC * 1000;
+    while (hrvWindow.length && hrvWindow[0].ts < cutoff) hrvWindow.shift();
+
+    const rrList = hrvWindow.map((b) => b.rr);
+    liveRmssd = computeRmssd(rrList);
+    liveDfaAlpha1 = computeDfaAlpha1(rrList);
+    emitStateChanged();
+  }
+
+  async function reloadResistanceCalibration() {
+    try {
+      const curve = await loadResistanceCalibration(BleManager.getBikeDeviceId());
+      resistanceCalibration =
+        normalizeCalibrationCurve(curve) || DEFAULT_CALIBRATION_CURVE;
+    } catch (err) {
+      log("Failed to load resistance calibration: " + err);
+    }
+  }
+
+  function handleBikeStatus({state}) {
+    if (state !== "connected") return;
+    // "connected" is also re-sent when a control warning clears; only a
+    // different trainer needs anything reloaded.
+    const bikeId = BleManager.getBikeDeviceId();
+    if (bikeId === powerMatchBikeId) return;
+    // Calibration is per trainer; pick up the curve for this device.
+    reloadResistanceCalibration();
+    // So is the power-match offset; relearn it for a different trainer.
+    if (powerMatchBikeId) {
+      powerMatchFactor = 1;
+      powerMatchLoggedFactor = 1;
+      resetPowerMatchWindow();
+    }
+    powerMatchBikeId = bikeId;
+  }
+
+  // The trainer leaves its controlled mode for a spin down; put the
+  // current target back once it's over.
+  function handleSpinDown({state}) {
+    if (state !== "success" && state !== "error" && state !== "cancelled") return;
+    sendTrainerState(true).catch((err) =>
+      log("Trainer state send after spin down failed: " + err)
+    );
+  }
+
+  function reassertTrainerTarget(reason) {
+    const now = Date.now();
+    if (now - lastTargetReassertMs < MACHINE_STATUS_REASSERT_MIN_MS) return;
+    if (!desiredTrainerState()) return;
+    lastTargetReassertMs = now;
+    log(`${reason}; re-sending trainer target.`);
+    sendTrainerState(true).catch((err) =>
+      log("Trainer state re-assert failed: " + err)
+    );
+  }
+
+  // Fitness Machine Status: take the trainer back when another app grabs
+  // it, and pause when the machine itself is stopped.
+  function handleBikeMachineStatus(status) {
+    switch (status.type) {
+      case "controlPermissionLost":
+        reassertTrainerTarget("Trainer control taken by another app");
+        break;
+      case "reset":
+        reassertTrainerTarget("Trainer reset");
+        break;
+      case "targetPowerChanged":
+      case "targetResistanceLevelChanged":
+      case "indoorBikeSimulationParametersChanged":
+        if (status.ownTarget === false) {
+          reassertTrainerTarget("Trainer target changed by another app");
+        }
+        break;
+      case "stoppedOrPausedByUser":
+      case "stoppedBySafetyKey":
+        if (mode === "workout" && workoutRunning && !workoutPaused) {
+          log(
+            status.type === "stoppedBySafetyKey"
+              ? "Trainer stopped by safety key; pausing workout."
+              : "Trainer stopped or paused; pausing workout."
+          );
+          // Like a manual pause, but the safety key needs a manual resume.
+          manualPauseAutoResumeBlockedUntilMs =
+            status.type === "stoppedBySafetyKey"
+              ? Number.POSITIVE_INFINITY
+              : Date.now() + 10_000;
+          setPaused(true, {showOverlay: true});
+          scheduleSaveActiveState();
+        }
+        break;
+      case "startedOrResumedByUser":
+        if (manualPauseAutoResumeBlockedUntilMs === Number.POSITIVE_INFINITY) {
+          manualPauseAutoResumeBlockedUntilMs = 0;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  function handleBikeCapabilities() {
+    if (!modeSupported(mode)) {
+      log(`Trainer does not support ${mode} mode; switching to workout mode.`);
+      mode = "workout";
+      scheduleSaveActiveState();
+    }
+    sendTrainerState(true).catch((err) =>
+      log("Trainer state send after capability read failed: " + err)
+    );
+    emitStateChanged();
+  }
+
+  // --------- segment navigation ---------
+
+  /**
+   * Rewrite the remaining structure around the current position. Time never
+   * moves backwards: going back inserts copies of segments at elapsedSec, so
+   * recorded samples and laps stay in order.
+   *
+   * action: "next" | "previous" | "restart" | "extend"
+   */
+  async function adjustCurrentSegment(action, seconds = 0) {
+    if (mode !== "workout" || !canonicalWorkout || workoutCompleted) return;
+    if (!workoutRunning) {
+      log("Segment navigation is only available during a workout.");
+      return;
+    }
+
+    const {segment, index} = getCurrentSegmentAtTime(elapsedSec);
+    if (!segment || index < 0) return;
+
+    const raws = canonicalWorkout.rawSegments;
+    const raw = raws[index];
+    const {before, after} = splitRawSegment(raw, elapsedSec - segment.startTimeSec);
+    const head = before ? [before] : [];
+    let replacement;
+
+    if (action === "next") {
+      replacement = head;
+    } else if (action === "restart") {
+      replacement = [...head, raw];
+    } else if (action === "previous") {
+      const prev = raws[index - 1];
+      replacement = prev ? [...head, prev, raw] : [...head, raw];
+    } else if (action === "extend") {
+      const extraSec = Math.round(Number(seconds) || 0);
+      if (extraSec <= 0) return;
+      const [, startPct, endPct] = raw;
+      if (!after) return;
+      if (isFreeSegment(raw) || endPct == null || endPct === startPct) {
+        // Steady: just lengthen it.
+        const longer = [...raw];
+        longer[0] = (segmentDurationSec(raw) + extraSec) / 60;
+        replacement = [longer];
+      } else {
+        // Ramp: stretch the remaining part from the current power.
+        const stretched = [...after];
+        stretched[0] = (segmentDurationSec(after) + extraSec) / 60;
+        replacement = [...head, stretched];
+      }
+    } else {
+      return;
+    }
+
+    canonicalWorkout = {
+      ...canonicalWorkout,
+      rawSegments: [
+        ...raws.slice(0, index),
+        ...replacement,
+        ...raws.slice(index + 1),
+      ],
+    };
+    recomputeWorkoutTotalSec();
+
+    const entry = {t: elapsedSec, action, segmentIndex: index};
+    if (action === "extend") entry.seconds = Math.round(Number(seconds));
+    segmentAdjustments.push(entry);
+    log(
+      action === "extend"
+        ? `Segment ${index + 1} extended by ${entry.seconds}s.`
+        : `Segment navigation: ${action} (segment ${index + 1}).`
+    );
+
+    if (elapsedSec >= workoutTotalSec) {
+      await completeWorkout();
+      return;
+    }
+
+    const current = getCurrentSegmentAtTime(elapsedSec).segment;
+    intervalElapsedSec = current ? current.endTimeSec - elapsedSec : 0;
+
+    scheduleSaveActiveState();
+    emitStateChanged();
+    try {
+      await sendTrainerState(true);
+    } catch (err) {
+      log("Trainer state send after segment change failed: " + err);
+    }
+  }
+
+  // --------- intensity ---------
+
+  function clampIntensityScale(scale) {
+    const v = Number(scale);
+    if (!Number.isFinite(v) || v <= 0) return 1;
+    // Round to whole percent so repeated steps don't drift.
+    const pct = Math.round(v * 100);
+    return Math.max(MIN_INTENSITY_SCALE, Math.min(MAX_INTENSITY_SCALE, pct / 100));
+  }
+
+  function setIntensityScale(scale) {
+    const next = clampIntensityScale(scale);
+    if (next === intensityScale) return;
+    intensityScale = next;
+    log(`Workout intensity: ${Math.round(intensityScale * 100)}%`);
+    scheduleSaveActiveState();
+    if (mode === "workout") {
+      sendTrainerState(true).catch((err) =>
+        log("Trainer state send after intensity change failed: " + err)
+      );
+    }
+    emitStateChanged();
+  }
+
+  function setHrTarget(bpm) {
+    const next = clampHrTarget(bpm);
+    if (next === manualHrTarget) return;
+    manualHrTarget = next;
+    log(`HR target: ${manualHrTarget} bpm`);
+    scheduleSaveActiveState();
+    emitStateChanged();
+  }
+
+  function setSimGrade(grade) {
+    const next = clampSimGrade(grade);
+    if (next === simGrade) return;
+    simGrade = next;
+    scheduleSaveActiveState();
+    sendTrainerState(true).catch(() => {});
     emitStateChanged();
   }
 
@@ -465,9 +1475,20 @@ function createWorkoutEngine() {
       mode,
       manualErgTarget,
       manualResistance,
+      manualHrTarget,
+      hrTarget: currentHrTarget(),
+      hrControlPower,
+      simGrade,
+      simEnvironment,
+      currentGrade: mode === "sim" ? simGrade : currentSegmentGrade(),
+      workoutControl,
+      effectiveWorkoutControl: effectiveWorkoutControl(),
+      intensityScale,
       workoutRunning,
       workoutPaused,
       workoutStarting,
+      workoutCompleted,
+      postWorkoutTargetPower: workoutCompleted ? getPostWorkoutTargetPower() : null,
       workoutStartedAt,
       elapsedSec,
       intervalElapsedSec,
@@ -475,26 +1496,60 @@ function createWorkoutEngine() {
       lastSamplePower,
       lastSampleHr,
       lastSampleCadence,
+      lastSampleSpeed,
+      hrvRmssd: liveRmssd,
+      hrvDfaAlpha1: liveDfaAlpha1,
+      workoutDistanceM,
+      workoutCalories,
+      lastSamplePedalBalance,
+      lastSamplePedalBalanceRef,
+      powerMeterConnected,
+      powerMatchFactor,
+      ergSetpoint: currentErgSetpoint(),
+      lastTrainerPower,
       liveSamples,
     };
   }
 
   // --------- public API ---------
 
-  async function init({onStateChanged: onChange, onLog: onLogCb, onWorkoutEnded: onEnd} = {}) {
+  async function init({
+    onStateChanged: onChange,
+    onLog: onLogCb,
+    onWorkoutEnded: onEnd,
+    onCue: onCueCb,
+    onWorkoutCompleted: onCompleted,
+  } = {}) {
     if (onChange) onStateChanged = onChange;
     if (onLogCb) onLog = onLogCb;
     if (onEnd) onWorkoutEnded = onEnd;
+    if (onCueCb) onCue = onCueCb;
+    if (onCompleted) onWorkoutCompleted = onCompleted;
 
     log("Workout engine init…");
 
     BleManager.on("bikeSample", handleBikeSample);
     BleManager.on("hrSample", handleHrSample);
+    BleManager.on("hrMeasurement", handleHrMeasurement);
+    BleManager.on("bikeStatus", handleBikeStatus);
+    BleManager.on("bikeCapabilities", handleBikeCapabilities);
+    BleManager.on("powerSample", handlePowerSample);
+    BleManager.on("powerStatus", handlePowerStatus);
+    BleManager.on("cscSample", handleCscSample);
+    BleManager.on("cscStatus", handleCscStatus);
+    BleManager.on("spinDown", handleSpinDown);
+    BleManager.on("bikeMachineStatus", handleBikeMachineStatus);
     BleManager.init({autoReconnect: true});
 
+    workoutControl = await loadWorkoutControl();
+    cooldownPower = await loadCooldownPower();
+    simEnvironment = await loadSimEnvironment();
+    await reloadResistanceCalibration();
+
     const selected = await loadSelectedWorkout();
     if (selected) {
       canonicalWorkout = selected;
+      pickedWorkout = selected;
       recomputeWorkoutTotalSec();
     }
 
@@ -503,10 +1558,19 @@ function createWorkoutEngine() {
       log("Restoring previous active workout state.");
 
       canonicalWorkout = active.canonicalWorkout || canonicalWorkout;
+      pickedWorkout = active.pickedWorkout || active.canonicalWorkout || pickedWorkout;
       currentFtp = active.currentFtp || currentFtp;
       mode = active.mode || mode;
       manualErgTarget = active.manualErgTarget || manualErgTarget;
       manualResistance = active.manualResistance || manualResistance;
+      manualHrTarget = clampHrTarget(active.manualHrTarget);
+      simGrade = clampSimGrade(active.simGrade);
+      intensityScale = clampIntensityScale(active.intensityScale);
+      powerMatchFactor = Math.max(
+        1 - POWER_MATCH_MAX_CORRECTION,
+        Math.min(1 + POWER_MATCH_MAX_CORRECTION, Number(active.powerMatchFactor) || 1)
+      );
+      powerMatchLoggedFactor = powerMatchFactor;
       workoutRunning = !!active.workoutRunning;
       // If we were mid-workout, resume in a paused state for safety.
       // Otherwise, respect the persisted paused flag to avoid blocking
@@ -515,6 +1579,10 @@ function createWorkoutEngine() {
       elapsedSec = active.elapsedSec || 0;
       currentIntervalIndex = active.currentIntervalIndex || 0;
       liveSamples = active.liveSamples || [];
+      const lastLive = liveSamples[liveSamples.length - 1];
+      workoutDistanceM = Number(lastLive?.distance) || 0;
+      workoutCalories = lastLive?.calories ?? null;
+      segmentAdjustments = active.segmentAdjustments || [];
       zeroPowerSeconds = active.zeroPowerSeconds || 0;
       autoPauseDisabledUntilSec = active.autoPauseDisabledUntilSec || 0;
       manualPauseAutoResumeBlockedUntilMs =
@@ -540,7 +1608,12 @@ function createWorkoutEngine() {
 
     setMode(newMode) {
       if (newMode === mode || workoutStarting) return;
+      if (!modeSupported(newMode)) {
+        log(`Trainer does not support ${newMode} mode.`);
+        return;
+      }
       mode = newMode;
+      resetHrControl();
       scheduleSaveActiveState();
       sendTrainerState(true).catch((err) =>
         log("Trainer state send on mode change failed: " + err)
@@ -550,6 +1623,7 @@ function createWorkoutEngine() {
 
     setFtp(newFtp) {
       currentFtp = newFtp || DEFAULT_FTP;
+      if (hrControlPower != null) hrControlPower = clampHrControlPower(hrControlPower);
       scheduleSaveActiveState();
       sendTrainerState(true).catch((err) =>
         log("Trainer state send after FTP change failed: " + err)
@@ -564,6 +1638,65 @@ function createWorkoutEngine() {
       emitStateChanged();
     },
 
+    /**
+     * How workout mode drives the trainer: "erg" | "resistance".
+     */
+    setWorkoutControl(control) {
+      const next = control === "resistance" ? "resistance" : "erg";
+      if (next === workoutControl) return;
+      workoutControl = next;
+      log(`Workout trainer control: ${workoutControl}`);
+      sendTrainerState(true).catch((err) =>
+        log("Trainer state send after control change failed: " + err)
+      );
+      emitStateChanged();
+    },
+
+    /**
+     * Power to hold after the workout completes (0 = final target).
+     */
+    setCooldownPower(watts) {
+      cooldownPower = Math.max(0, Math.round(Number(watts) || 0));
+      if (workoutCompleted) sendTrainerState(true).catch(() => {});
+      emitStateChanged();
+    },
+
+    setResistanceCalibration(curve) {
+      resistanceCalibration =
+        normalizeCalibrationCurve(curve) || DEFAULT_CALIBRATION_CURVE;
+      sendTrainerState(true).catch(() => {});
+      emitStateChanged();
+    },
+
+    /**
+     * Scale workout targets, e.g. 1.05 = 105%. Clamped to 80–120%.
+     */
+    setIntensityScale,
+
+    adjustIntensity(delta) {
+      setIntensityScale(intensityScale + delta);
+    },
+
+    /** Jump to the start of the next segment. */
+    skipToNextSegment() {
+      return adjustCurrentSegment("next");
+    },
+
+    /** Ride the previous segment again, then the current one. */
+    goToPreviousSegment() {
+      return adjustCurrentSegment("previous");
+    },
+
+    /** Ride the current segment again from its start. */
+    restartCurrentSegment() {
+      return adjustCurrentSegment("restart");
+    },
+
+    /** Lengthen the current segment by `seconds`. */
+    extendCurrentSegment(seconds) {
+      return adjustCurrentSegment("extend", seconds);
+    },
+
     adjustManualResistance(delta) {
       manualResistance = Math.max(0, Math.min(100, manualResistance + delta));
       scheduleSaveActiveState();
@@ -571,6 +1704,34 @@ function createWorkoutEngine() {
       emitStateChanged();
     },
 
+    /** HR mode target in bpm, clamped to 80–200. */
+    setHrTarget,
+
+    adjustHrTarget(delta) {
+      setHrTarget(manualHrTarget + delta);
+    },
+
+    /** Simulation mode grade in %, clamped to ±20 in 0.5% steps. */
+    setSimGrade,
+
+    adjustSimGrade(delta) {
+      setSimGrade(simGrade + delta);
+    },
+
+    /**
+     * Wind speed (m/s), Crr and Cw used in simulation mode and on Slope
+     * segments.
+     */
+    setSimEnvironment(env) {
+      simEnvironment = {...DEFAULT_SIM_ENVIRONMENT, ...simEnvironment, ...env};
+      if (mode === "sim" || currentSegmentGrade() != null) {
+        sendTrainerState(true).catch((err) =>
+          log("Trainer state send after simulation change failed: " + err)
+        );
+      }
+      emitStateChanged();
+    },
+
     /**
      * Accept a CanonicalWorkout from the picker / builder.
      */
@@ -586,6 +1747,9 @@ function createWorkoutEngine() {
       }
 
       canonicalWorkout = canonical;
+      pickedWorkout = canonical;
+      workoutCompleted = false;
+      intensityScale = 1;
 
       if (!currentFtp || !Number.isFinite(currentFtp)) {
         currentFtp = DEFAULT_FTP;
@@ -594,6 +1758,9 @@ function createWorkoutEngine() {
       elapsedSec = 0;
       currentIntervalIndex = 0;
       liveSamples = [];
+      workoutDistanceM = 0;
+      workoutCalories = null;
+      segmentAdjustments = [];
       zeroPowerSeconds = 0;
       autoPauseDisabledUntilSec = 0;
       manualPauseAutoResumeBlockedUntilMs = 0;
@@ -606,6 +1773,8 @@ function createWorkoutEngine() {
 
     handleBikeSample,
     handleHrSample,
+    handlePowerSample,
+    handleCscSample,
 
     startWorkout,
     endWorkout,
@@ -3,6 +3,38 @@
 
 export const DEFAULT_FTP = 250;
 
+/**
+ * True for segments without a power target (ZWO FreeRide / MaxEffort, and
+ * grade-based Slope or heart-rate HeartRate segments).
+ * seg: [minutes, startPct, endPct, extras?]
+ */
+export function isFreeSegment(seg) {
+  const kind = Array.isArray(seg) ? seg[3]?.kind : null;
+  return (
+    kind === "freeRide" ||
+    kind === "maxEffort" ||
+    kind === "slope" ||
+    kind === "heartRate"
+  );
+}
+
+/**
+ * Grade in % for Slope segments, else null.
+ */
+export function segmentGrade(seg) {
+  if (!Array.isArray(seg) || seg[3]?.kind !== "slope") return null;
+  const grade = Number(seg[3].grade);
+  return Number.isFinite(grade) ? grade : 0;
+}
+
+/**
+ * Target heart rate in bpm for HeartRate segments, else null.
+ */
+export function segmentHrTarget(seg) {
+  if (!Array.isArray(seg) || seg[3]?.kind !== "heartRate") return null;
+  const hr = Number(seg[3].hr);
+  return Number.isFinite(hr) && hr > 0 ? hr : null;
+}
 
 // --------------------------- Metrics from segments ---------------------------
 
@@ -59,6 +91,117 @@ export function computeMetricsFromSegments(rawSegments, ftp) {
   };
 }
 
+// --------------------------- Metrics from ride samples ---------------------------
+
+/**
+ * Compute ride metrics from recorded 1 Hz live samples.
+ *
+ * samples: Array<{power, hr, cadence}>
+ * ftp: numeric FTP (W), used for IF / TSS
+ *
+ * Returns: {
+ *   durationSec, avgPower, maxPower, normalizedPower, ifValue, tss, kj,
+ *   avgHr, maxHr, avgCadence, maxCadence
+ * }
+ */
+export function computeRideMetricsFromSamples(samples, ftp) {
+  const list = Array.isArray(samples) ? samples : [];
+  const ftpVal = Number(ftp) || 0;
+
+  const stats = (key, {skipZero = false} = {}) => {
+    let sum = 0;
+    let count = 0;
+    let max = null;
+    for (const s of list) {
+      const v = Number(s?.[key]);
+      if (s?.[key] == null || !Number.isFinite(v)) continue;
+      if (skipZero && v <= 0) continue;
+      sum += v;
+      count++;
+      if (max == null || v > max) max = v;
+    }
+    return {avg: count ? sum / count : null, max};
+  };
+
+  // Missing power counts as 0 W for averages / work (coasting).
+  const powers = list.map((s) =>
+    Number.isFinite(Number(s?.power)) ? Math.max(0, Number(s.power)) : 0
+  );
+  const durationSec = powers.length;
+  const powerSum = powers.reduce((a, b) => a + b, 0);
+  const avgPower = durationSec ? powerSum / durationSec : null;
+
+  // Normalized power: 4th-power mean of the 30 s rolling average.
+  let normalizedPower = avgPower;
+  const win = 30;
+  if (durationSec >= win) {
+    let rolling = 0;
+    let sum4 = 0;
+    let n = 0;
+    for (let i = 0; i < durationSec; i++) {
+      rolling += powers[i];
+      if (i >= win) rolling -= powers[i - win];
+      if (i >= win - 1) {
+        sum4 += (rolling / win) ** 4;
+        n++;
+      }
+    }
+    normalizedPower = Math.pow(sum4 / n, 0.25);
+  }
+
+  const ifValue =
+    ftpVal && normalizedPower != null ? normalizedPower / ftpVal : null;
+  const tss =
+    ifValue != null ? (durationSec * ifValue * ifValue) / 36 : null;
+
+  const hr = stats("hr", {skipZero: true});
+  const cadence = stats("cadence", {skipZero: true});
+
+  return {
+    durationSec,
+    avgPower,
+    maxPower: durationSec ? powers.reduce((a, b) => Math.max(a, b), 0) : null,
+    normalizedPower,
+    ifValue,
+    tss,
+    kj: powerSum / 1000,
+    avgHr: hr.avg,
+    maxHr: hr.max,
+    avgCadence: cadence.avg,
+    maxCadence: cadence.max,
+  };
+}
+
+/**
+ * Group recorded samples into laps following rawSegments boundaries.
+ * Samples past the last boundary are folded into the final lap; empty
+ * laps (not reached yet) are dropped.
+ *
+ * samples: Array<{t}> where t is elapsed workout seconds
+ * rawSegments: [[minutes, startPct, endPct], ...] (may be empty)
+ *
+ * Returns: Array<{ startSec, samples }>
+ */
+export function splitSamplesIntoLaps(samples, rawSegments) {
+  const list = Array.isArray(samples) ? samples : [];
+  const bounds = [];
+  let acc = 0;
+  for (const [minutes] of rawSegments || []) {
+    bounds.push(acc);
+    acc += Math.max(1, Math.round((minutes || 0) * 60));
+  }
+  if (!bounds.length) bounds.push(0);
+
+  const laps = bounds.map((startSec) => ({startSec, samples: []}));
+  let lapIdx = 0;
+  for (const s of list) {
+    const t = s?.t || 0;
+    while (lapIdx + 1 < bounds.length && t > bounds[lapIdx + 1]) lapIdx++;
+    laps[lapIdx].samples.push(s);
+  }
+  return laps.filter((lap) => lap.samples.length);
+}
+
 // --------------------------- Zone inference ---------------------------
 
 /**
@@ -84,6 +227,7 @@ export function inferZoneFromSegments(rawSegments) {
 
   for (const seg of rawSegments) {
     if (!Array.isArray(seg) || seg.length < 2) continue;
+    if (isFreeSegment(seg)) continue;
     const minutes = Number(seg[0]);
     const startPct = Number(seg[1]);
     const endPct =
@@ -3,7 +3,7 @@
 //
 // Encapsulates:
 //   - ZWO directory selection & permission
-//   - scanning/parsing .zwo files
+//   - scanning/parsing .zwo / .erg / .mrc files
 //   - metrics-based sorting/filtering
 //   - rendering mini workout graphs
 //   - keyboard navigation & state persistence
@@ -34,6 +34,12 @@ import {
   parseZwoXmlToCanonicalWorkout,
   canonicalWorkoutToZwoXml,
 } from "./zwo.js";
+import {canonicalWorkoutToFitWorkout} from "./fit.js";
+import {
+  parseErgMrcToCanonicalWorkout,
+  canonicalWorkoutToErg,
+  canonicalWorkoutToMrc,
+} from "./erg.js";
 import {importWorkoutFromUrl} from "./scrapers.js";
 
 let instance = null;
@@ -45,7 +51,8 @@ let instance = null;
  * @property {string} source
  * @property {string} sourceURL
  * @property {string} workoutTitle
- * @property {Array<[number, number, number]>} rawSegments
+ * @property {Array<[number, number, number, Object?]>} rawSegments
+ *   [minutes, startPct, endPct, extras?] (see SegmentExtras in zwo.js)
  * @property {string} description
  */
 
@@ -79,23 +86,33 @@ export function getWorkoutPicker(config) {
 /**
  * Scan a directory and return an array of CanonicalWorkout.
  *
+ * .zwo files are parsed as ZWO XML; .erg / .mrc files via erg.js, with
+ * `ftp` used to convert ERG watts when the file doesn't state its own FTP.
+ *
  * @param {FileSystemDirectoryHandle} handle
+ * @param {number} ftp
  * @returns {Promise<CanonicalWorkout[]>}
  */
-async function scanWorkoutsFromDirectory(handle) {
+async function scanWorkoutsFromDirectory(handle, ftp) {
   /** @type {CanonicalWorkout[]} */
   const workouts = [];
   try {
     for await (const entry of handle.values()) {
       if (entry.kind !== "file") continue;
-      if (!entry.name.toLowerCase().endsWith(".zwo")) continue;
+      const lower = entry.name.toLowerCase();
+      const isZwo = lower.endsWith(".zwo");
+      const isErgMrc = lower.endsWith(".erg") || lower.endsWith(".mrc");
+      if (!isZwo && !isErgMrc) continue;
 
       const file = await entry.getFile();
       const text = await file.text();
 
-      const canonicalWorkout = parseZwoXmlToCanonicalWorkout(text);
+      const canonicalWorkout = isZwo
+        ? parseZwoXmlToCanonicalWorkout(text)
+        : parseErgMrcToCanonicalWorkout(text, {ftp, fileName: entry.name});
       if (!canonicalWorkout) continue;
 
+      canonicalWorkout.filename = entry.name;
       workouts.push(canonicalWorkout);
     }
   } catch (err) {
@@ -167,11 +184,36 @@ function createIconSvg(kind) {
     svg.appendChild(p1);
     svg.appendChild(p2);
     svg.appendChild(p3);
+
+  } else if (kind === "download") {
+    // Tray with down arrow
+    const p1 = document.createElementNS(svgNS, "path");
+    p1.setAttribute("d", "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4");
+    const p2 = document.createElementNS(svgNS, "path");
+    p2.setAttribute("d", "M7 10l5 5 5-5");
+    const p3 = document.createElementNS(svgNS, "path");
+    p3.setAttribute("d", "M12 15V3");
+    svg.appendChild(p1);
+    svg.appendChild(p2);
+    svg.appendChild(p3);
   }
 
   return svg;
 }
 
+// Trigger a browser download for in-memory file content.
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], {type: mimeType});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 
 // --------------------------- Singleton factory ---------------------------
 
@@ -503,6 +545,27 @@ function createWorkoutPicker(config) {
           deleteWorkoutFile(canonical);
         });
 
+        // EXPORT buttons (.fit / .erg / .mrc)
+        const exportBtns = ["fit", "erg", "mrc"].map((ext) => {
+          const exportBtn = document.createElement("button");
+          exportBtn.type = "button";
+          exportBtn.className =
+            "wb-code-insert-btn export-workout-btn";
+          exportBtn.title = `Download this workout as a .${ext} file.`;
+
+          const exportIcon = createIconSvg("download");
+          const exportText = document.createElement("span");
+          exportText.textContent = `.${ext}`;
+          exportBtn.appendChild(exportIcon);
+          exportBtn.appendChild(exportText);
+
+          exportBtn.addEventListener("click", (evt) => {
+            evt.stopPropagation();
+            exportWorkoutFile(canonical, ext);
+          });
+          return exportBtn;
+        });
+
         // EDIT button
         const editBtn = document.createElement("button");
         editBtn.type = "button";
@@ -534,6 +597,7 @@ function createWorkoutPicker(config) {
         });
 
         actionsRow.appendChild(deleteBtn);
+        exportBtns.forEach((btn) => actionsRow.appendChild(btn));
         actionsRow.appendChild(editBtn);
         actionsRow.appendChild(selectBtn);
 
@@ -657,7 +721,11 @@ function createWorkoutPicker(config) {
       description: cw.description || "",
       rawSegments: Array.isArray(cw.rawSegments)
         ? cw.rawSegments.map((seg) =>
-          Array.isArray(seg) ? [seg[0], seg[1], seg[2]] : seg
+          Array.isArray(seg)
+            ? seg[3] && typeof seg[3] === "object"
+              ? [seg[0], seg[1], seg[2], JSON.parse(JSON.stringify(seg[3]))]
+              : [seg[0], seg[1], seg[2]]
+            : seg
         )
         : [],
     };
@@ -683,7 +751,12 @@ function createWorkoutPicker(config) {
       const segB = arrB[i] || [];
       if (segA.length !== segB.length) return false;
       for (let j = 0; j < segA.length; j += 1) {
-        if (Number(segA[j]) !== Number(segB[j])) return false;
+        if (j === 3) {
+          // Segment extras (cues etc.)
+          if (JSON.stringify(segA[j]) !== JSON.stringify(segB[j])) return false;
+        } else if (Number(segA[j]) !== Number(segB[j])) {
+          return false;
+        }
       }
     }
     return true;
@@ -1126,7 +1199,7 @@ function createWorkoutPicker(config) {
     }
 
     pickerExpandedTitle = null;
-    pickerWorkouts = await scanWorkoutsFromDirectory(handle);
+    pickerWorkouts = await scanWorkoutsFromDirectory(handle, getCurrentFtp());
 
     if (!skipRestoreState) {
       await restorePickerStateIntoControls();
@@ -1234,7 +1307,8 @@ function createWorkoutPicker(config) {
 
   async function deleteWorkoutFile(canonicalWorkout) {
     const title = canonicalWorkout.workoutTitle;
-    const fileName = sanitizeZwoFileName(title) + ".zwo";
+    const fileName =
+      canonicalWorkout.filename || sanitizeZwoFileName(title) + ".zwo";
 
     const dirHandle = await loadZwoDirHandle();
     if (!dirHandle) {
@@ -1257,6 +1331,31 @@ function createWorkoutPicker(config) {
     await rescanWorkouts(dirHandle);
   }
 
+  function exportWorkoutFile(canonicalWorkout, ext) {
+    try {
+      const baseName =
+        (canonicalWorkout.workoutTitle || "workout")
+          .replace(/[<>:"/\\|?*]+/g, "_")
+          .slice(0, 60);
+      const fileName = `${baseName}.${ext}`;
+
+      if (ext === "fit") {
+        const bytes = canonicalWorkoutToFitWorkout(canonicalWorkout);
+        downloadFile(bytes, fileName, "application/vnd.ant.fit");
+      } else if (ext === "erg") {
+        const text = canonicalWorkoutToErg(canonicalWorkout, getCurrentFtp());
+        downloadFile(text, fileName, "text/plain");
+      } else if (ext === "mrc") {
+        downloadFile(canonicalWorkoutToMrc(canonicalWorkout), fileName, "text/plain");
+      }
+    } catch (err) {
+      console.error(`[WorkoutPicker] .${ext} export failed:`, err);
+      alert(
+        `Failed to export this workout as .${ext}.\n\n${err?.message || "See logs for details."}`
+      );
+    }
+  }
+
   async function saveCurrentBuilderWorkoutToZwoDir(options = {}) {
     const {reopenAfterSave = true} = options;
 
@@ -21,7 +21,11 @@ import {
   drawWorkoutChart,
 } from "./workout-chart.js";
 
-import {DEFAULT_FTP, getAdjustedKjForPicker} from "./workout-metrics.js";
+import {
+  DEFAULT_FTP,
+  getAdjustedKjForPicker,
+  isFreeSegment,
+} from "./workout-metrics.js";
 import {initSettings, addLogLineToSettings, openSettingsModal} from "./settings.js";
 import {
   loadLastScrapedWorkout,
@@ -39,12 +43,19 @@ const statPowerEl = document.getElementById("stat-power");
 const statIntervalTimeEl = document.getElementById("stat-interval-time");
 const statHrEl = document.getElementById("stat-hr");
 const statTargetPowerEl = document.getElementById("stat-target-power");
+const statIntensityEl = document.getElementById("stat-intensity");
 const statElapsedTimeEl = document.getElementById("stat-elapsed-time");
 const statCadenceEl = document.getElementById("stat-cadence");
+const statCadenceTargetEl = document.getElementById("stat-cadence-target");
+const statHrvEl = document.getElementById("stat-hrv");
+const statHrTargetEl = document.getElementById("stat-hr-target");
+const statSpeedEl = document.getElementById("stat-speed");
+const statDistanceEl = document.getElementById("stat-distance");
 
 const chartSvg = document.getElementById("chartSvg");
 const chartPanel = document.getElementById("chartPanel");
 const chartTooltip = document.getElementById("chartTooltip");
+const coachMessageEl = document.getElementById("coachMessage");
 
 // Shared empty-state template refs
 const chartEmptyOverlay = document.getElementById("chartEmptyOverlay");
@@ -56,6 +67,10 @@ const bikeStatusDot = document.getElementById("bikeStatusDot");
 const hrConnectBtn = document.getElementById("hrConnectBtn");
 const hrStatusDot = document.getElementById("hrStatusDot");
 const hrBatteryLabel = document.getElementById("hrBatteryLabel");
+const powerConnectBtn = document.getElementById("powerConnectBtn");
+const powerStatusDot = document.getElementById("powerStatusDot");
+const cscConnectBtn = document.getElementById("cscConnectBtn");
+const cscStatusDot = document.getElementById("cscStatusDot");
 
 const modeToggle = document.getElementById("modeToggle");
 const modeButtons = modeToggle
@@ -70,7 +85,24 @@ const startBtn = document.getElementById("startBtn");
 const playBtn = document.getElementById("playBtn");
 const pauseBtn = document.getElementById("pauseBtn");
 const stopBtn = document.getElementById("stopBtn");
+const prevSegmentBtn = document.getElementById("prevSegmentBtn");
+const restartSegmentBtn = document.getElementById("restartSegmentBtn");
+const extendSegmentBtn = document.getElementById("extendSegmentBtn");
+const nextSegmentBtn = document.getElementById("nextSegmentBtn");
 const workoutNameLabel = document.getElementById("workoutNameLabel");
+
+const rideSummaryOverlay = document.getElementById("rideSummaryOverlay");
+const rideSummaryNameEl = document.getElementById("rideSummaryName");
+const rideSummaryDurationEl = document.getElementById("rideSummaryDuration");
+const rideSummaryAvgPowerEl = document.getElementById("rideSummaryAvgPower");
+const rideSummaryNpEl = document.getElementById("rideSummaryNp");
+const rideSummaryTssEl = document.getElementById("rideSummaryTss");
+const rideSummaryKjEl = document.getElementById("rideSummaryKj");
+const rideSummaryAvgHrEl = document.getElementById("rideSummaryAvgHr");
+const rideSummaryRmssdEl = document.getElementById("rideSummaryRmssd");
+const rideSummaryAlpha1El = document.getElementById("rideSummaryAlpha1");
+const rideSummaryAetHrEl = document.getElementById("rideSummaryAetHr");
+const rideSummaryDoneBtn = document.getElementById("rideSummaryDoneBtn");
 const workoutTitleCenter = document.getElementById("workoutTitleCenter");
 
 // --------------------------- UI-local state ---------------------------
@@ -82,6 +114,15 @@ const logLines = [];
 let chartWidth = 1000;
 let chartHeight = 400;
 
+const COACH_MESSAGE_DEFAULT_SEC = 10;
+// How much the extend button / hotkey adds to the current interval.
+const SEGMENT_EXTEND_SEC = 30;
+// Grade step (%) for the manual +/- controls in Sim mode.
+const SIM_GRADE_STEP = 0.5;
+// Heart-rate step (bpm) for the manual +/- controls in HR mode.
+const HR_TARGET_STEP = 1;
+let coachMessageTimer = null;
+
 // Ensure we only ever run handleLastScrapedWorkout once at a time
 let isHandlingLastScrapedWorkout = false;
 
@@ -174,7 +215,7 @@ function isAnyModalOpen() {
   const settingsOpen = typeof isSettingsModalOpen === "function"
     ? isSettingsModalOpen()
     : false;
-  return pickerOpen || settingsOpen;
+  return pickerOpen || settingsOpen || isRideSummaryOpen();
 }
 
 function formatTimeMMSS(sec) {
@@ -314,13 +355,18 @@ function setBikeStatus({state, message}) {
     else bikeConnectBtn.removeAttribute("title");
   }
 
-  bikeStatusDot.classList.remove("connected", "connecting", "error");
+  bikeStatusDot.classList.remove("connected", "connecting", "warning", "error");
 
   const prevConnected = bikeConnected;
 
   if (state === "connected") {
     bikeStatusDot.classList.add("connected");
     bikeConnected = true;
+  } else if (state === "warning") {
+    // Still connected, but the trainer refused a command.
+    bikeStatusDot.classList.add("warning");
+    bikeConnected = true;
+    if (message) showCoachMessage({message, durationSec: 6});
   } else if (state === "connecting") {
     bikeStatusDot.classList.add("connecting");
     bikeConnected = false;
@@ -356,6 +402,44 @@ function setHrStatus({state, message}) {
   }
 }
 
+function setPowerStatus({state, message}) {
+  if (!powerStatusDot) return;
+
+  if (powerConnectBtn) {
+    if (message) powerConnectBtn.title = message;
+    else powerConnectBtn.removeAttribute("title");
+  }
+
+  powerStatusDot.classList.remove("connected", "connecting", "error");
+
+  if (state === "connected") {
+    powerStatusDot.classList.add("connected");
+  } else if (state === "connecting") {
+    powerStatusDot.classList.add("connecting");
+  } else if (state === "error") {
+    powerStatusDot.classList.add("error");
+  }
+}
+
+function setCscStatus({state, message}) {
+  if (!cscStatusDot) return;
+
+  if (cscConnectBtn) {
+    if (message) cscConnectBtn.title = message;
+    else cscConnectBtn.removeAttribute("title");
+  }
+
+  cscStatusDot.classList.remove("connected", "connecting", "error");
+
+  if (state === "connected") {
+    cscStatusDot.classList.add("connected");
+  } else if (state === "connecting") {
+    cscStatusDot.classList.add("connecting");
+  } else if (state === "error") {
+    cscStatusDot.classList.add("error");
+  }
+}
+
 function updateHrBatteryLabel() {
   if (!hrBatteryLabel) return;
   if (hrBatteryPercent == null) {
@@ -370,6 +454,8 @@ function updateHrBatteryLabel() {
 function initBleIntegration() {
   BleManager.on("bikeStatus", setBikeStatus);
   BleManager.on("hrStatus", setHrStatus);
+  BleManager.on("powerStatus", setPowerStatus);
+  BleManager.on("cscStatus", setCscStatus);
 
   BleManager.on("hrBattery", (pct) => {
     hrBatteryPercent = pct;
@@ -392,22 +478,25 @@ function totalDurationSec(rawSegments) {
 /**
  * Compute target workout power at a given time (seconds),
  * based on canonicalWorkout.rawSegments. Used for zone color + stats.
+ * Returns null inside FreeRide / MaxEffort segments.
  */
 function getWorkoutTargetAtTime(vm, tSec) {
   const cw = vm.canonicalWorkout;
   const raws = cw && cw.rawSegments;
   if (!raws || !raws.length) return null;
 
-  const ftp = vm.currentFtp || cw.baseFtp || DEFAULT_FTP;
+  const ftp = (vm.currentFtp || cw.baseFtp || DEFAULT_FTP) * (vm.intensityScale || 1);
   const totalSec = vm.workoutTotalSec || totalDurationSec(raws);
   const t = Math.min(Math.max(0, tSec), totalSec || 1);
 
   let acc = 0;
-  for (const [minutes, startPct, endPct] of raws) {
+  for (const raw of raws) {
+    const [minutes, startPct, endPct] = raw;
     const dur = Math.max(1, Math.round((minutes || 0) * 60));
     const start = acc;
     const end = acc + dur;
     if (t < end) {
+      if (isFreeSegment(raw)) return null;
       const pStartRel = (startPct || 0) / 100;
       const pEndRel = (endPct != null ? endPct : startPct || 0) / 100;
       const rel = (t - start) / dur;
@@ -422,6 +511,32 @@ function getWorkoutTargetAtTime(vm, tSec) {
   return null;
 }
 
+/**
+ * Target cadence ({low, high} rpm) of the segment at a given time, or null
+ * when the segment has no cadence target.
+ */
+function getWorkoutCadenceTargetAtTime(vm, tSec) {
+  const raws = vm.canonicalWorkout?.rawSegments;
+  if (!raws || !raws.length) return null;
+
+  const totalSec = vm.workoutTotalSec || totalDurationSec(raws);
+  const t = Math.min(Math.max(0, tSec), totalSec || 1);
+
+  let acc = 0;
+  for (const raw of raws) {
+    acc += Math.max(1, Math.round((raw[0] || 0) * 60));
+    if (t < acc) return raw[3]?.cadence || null;
+  }
+
+  return null;
+}
+
+function formatCadenceTarget(cadence) {
+  const low = Math.round(cadence.low);
+  const high = Math.round(cadence.high);
+  return low === high ? String(low) : `${low}–${high}`;
+}
+
 // --------------------------- Zone color & stats rendering ---------------------------
 
 function getCurrentZoneColor(vm) {
@@ -434,6 +549,10 @@ function getCurrentZoneColor(vm) {
     refPower = target || vm.lastSamplePower || ftp * 0.6;
   } else if (vm.mode === "erg") {
     refPower = vm.manualErgTarget || ftp * 0.6;
+  } else if (vm.mode === "sim") {
+    refPower = vm.lastSamplePower || ftp * 0.5;
+  } else if (vm.mode === "hr") {
+    refPower = vm.hrControlPower || vm.lastSamplePower || ftp * 0.5;
   } else {
     refPower = (vm.manualResistance / 100) * ftp || ftp * 0.5;
   }
@@ -456,6 +575,11 @@ function updateStatsDisplay(vm) {
   let target = null;
   if (vm.mode === "erg") {
     target = vm.manualErgTarget;
+  } else if (vm.hrTarget != null) {
+    // Power the HR controller is currently asking for.
+    target = vm.hrControlPower;
+  } else if (vm.mode === "workout" && vm.workoutCompleted) {
+    target = vm.postWorkoutTargetPower;
   } else if (vm.mode === "workout" && vm.canonicalWorkout?.rawSegments?.length) {
     const t = vm.workoutRunning || vm.elapsedSec > 0 ? vm.elapsedSec : 0;
     target = getWorkoutTargetAtTime(vm, t);
@@ -466,14 +590,57 @@ function updateStatsDisplay(vm) {
       target != null ? String(Math.round(target)) : "--";
   }
 
+  if (statIntensityEl) {
+    const scale = vm.intensityScale || 1;
+    statIntensityEl.textContent =
+      vm.mode === "workout" && scale !== 1 ? `${Math.round(scale * 100)}%` : "";
+  }
+
   statHrEl.textContent =
     vm.lastSampleHr != null ? String(Math.round(vm.lastSampleHr)) : "--";
 
+  if (statHrTargetEl) {
+    statHrTargetEl.textContent = vm.hrTarget != null ? ` / ${vm.hrTarget}` : "";
+  }
+
+  if (statHrvEl) {
+    const parts = [];
+    if (vm.hrvDfaAlpha1 != null) parts.push(`α1 ${vm.hrvDfaAlpha1.toFixed(2)}`);
+    if (vm.hrvRmssd != null) parts.push(`${Math.round(vm.hrvRmssd)} ms`);
+    statHrvEl.textContent = parts.length ? ` ${parts.join(" · ")}` : "";
+  }
+
   statCadenceEl.textContent =
     vm.lastSampleCadence != null
       ? String(Math.round(vm.lastSampleCadence))
       : "--";
 
+  // Virtual speed from the trainer (or the speed sensor without one).
+  if (statSpeedEl) {
+    statSpeedEl.textContent =
+      vm.lastSampleSpeed != null ? vm.lastSampleSpeed.toFixed(1) : "--";
+  }
+
+  if (statDistanceEl) {
+    const hasRide = vm.workoutRunning || (vm.liveSamples?.length || 0) > 0;
+    statDistanceEl.textContent = hasRide
+      ? (vm.workoutDistanceM / 1000).toFixed(2)
+      : "--";
+  }
+
+  if (statCadenceTargetEl) {
+    const cadenceTarget =
+      vm.mode === "workout"
+        ? getWorkoutCadenceTargetAtTime(
+          vm,
+          vm.workoutRunning || vm.elapsedSec > 0 ? vm.elapsedSec : 0
+        )
+        : null;
+    statCadenceTargetEl.textContent = cadenceTarget
+      ? ` / ${formatCadenceTarget(cadenceTarget)}`
+      : "";
+  }
+
   if (statElapsedTimeEl) {
     statElapsedTimeEl.textContent = formatTimeHHMMSS(vm.elapsedSec || 0);
   }
@@ -578,13 +745,43 @@ function drawChart(vm) {
     elapsedSec: vm.elapsedSec,
     liveSamples: vm.liveSamples,
     manualErgTarget: vm.manualErgTarget,
+    intensityScale: vm.intensityScale || 1,
   });
 }
 
+// --------------------------- Coach messages ---------------------------
+
+function showCoachMessage(cue) {
+  if (!coachMessageEl || !cue || !cue.message) return;
+
+  coachMessageEl.textContent = cue.message;
+  coachMessageEl.classList.add("visible");
+
+  if (coachMessageTimer) clearTimeout(coachMessageTimer);
+  const sec = cue.durationSec || COACH_MESSAGE_DEFAULT_SEC;
+  coachMessageTimer = setTimeout(() => {
+    coachMessageTimer = null;
+    coachMessageEl.classList.remove("visible");
+  }, sec * 1000);
+}
+
+function hideCoachMessage() {
+  if (!coachMessageEl) return;
+  if (coachMessageTimer) clearTimeout(coachMessageTimer);
+  coachMessageTimer = null;
+  coachMessageEl.classList.remove("visible");
+}
+
 // --------------------------- Playback buttons ---------------------------
 
 function updatePlaybackButtons(vm) {
-  [startBtn, playBtn, pauseBtn, stopBtn].forEach((btn) => {
+  const segmentButtons = [
+    prevSegmentBtn,
+    restartSegmentBtn,
+    extendSegmentBtn,
+    nextSegmentBtn,
+  ];
+  [startBtn, playBtn, pauseBtn, stopBtn, ...segmentButtons].forEach((btn) => {
     if (btn) btn.classList.remove("visible");
   });
 
@@ -592,6 +789,9 @@ function updatePlaybackButtons(vm) {
     return;
   }
 
+  // Completed: the ride summary dialog is the way out.
+  if (vm.workoutCompleted) return;
+
   if (!vm.workoutRunning) {
     if (vm.mode === "workout" && vm.canonicalWorkout && startBtn) {
       startBtn.classList.add("visible");
@@ -599,6 +799,12 @@ function updatePlaybackButtons(vm) {
     return;
   }
 
+  if (vm.mode === "workout") {
+    segmentButtons.forEach((btn) => {
+      if (btn) btn.classList.add("visible");
+    });
+  }
+
   if (stopBtn) stopBtn.classList.add("visible");
 
   if (vm.workoutPaused) {
@@ -608,11 +814,58 @@ function updatePlaybackButtons(vm) {
   }
 }
 
+// --------------------------- Ride summary ---------------------------
+
+function isRideSummaryOpen() {
+  return !!rideSummaryOverlay && rideSummaryOverlay.style.display === "flex";
+}
+
+function showRideSummary(summary) {
+  if (!rideSummaryOverlay || !summary) return;
+
+  const fmt = (v, suffix = "") =>
+    v != null && Number.isFinite(v) ? `${Math.round(v)}${suffix}` : "--";
+
+  if (rideSummaryNameEl) rideSummaryNameEl.textContent = summary.workoutTitle || "";
+  if (rideSummaryDurationEl) {
+    rideSummaryDurationEl.textContent = formatTimeHHMMSS(summary.durationSec || 0);
+  }
+  if (rideSummaryAvgPowerEl) rideSummaryAvgPowerEl.textContent = fmt(summary.avgPower, " W");
+  if (rideSummaryNpEl) rideSummaryNpEl.textContent = fmt(summary.normalizedPower, " W");
+  if (rideSummaryTssEl) rideSummaryTssEl.textContent = fmt(summary.tss);
+  if (rideSummaryKjEl) rideSummaryKjEl.textContent = fmt(summary.kj, " kJ");
+  if (rideSummaryAvgHrEl) rideSummaryAvgHrEl.textContent = fmt(summary.avgHr, " bpm");
+  if (rideSummaryRmssdEl) rideSummaryRmssdEl.textContent = fmt(summary.rmssd, " ms");
+  if (rideSummaryAlpha1El) {
+    rideSummaryAlpha1El.textContent =
+      summary.avgDfaAlpha1 != null ? summary.avgDfaAlpha1.toFixed(2) : "--";
+  }
+  if (rideSummaryAetHrEl) {
+    rideSummaryAetHrEl.textContent = fmt(summary.aerobicThresholdHr, " bpm");
+  }
+
+  rideSummaryOverlay.style.display = "flex";
+  if (rideSummaryDoneBtn) rideSummaryDoneBtn.focus();
+}
+
+function closeRideSummary() {
+  if (!isRideSummaryOpen()) return;
+  rideSummaryOverlay.style.display = "none";
+  // The ride was already saved on completion; this just resets the engine.
+  if (engine && engine.getViewModel().workoutCompleted) engine.endWorkout();
+}
+
 // --------------------------- Mode UI ---------------------------
 
 function applyModeUI(vm) {
   modeButtons.forEach((btn) => {
     btn.classList.toggle("active", btn.dataset.mode === vm.mode);
+    // Workout mode falls back to whichever target the trainer accepts.
+    const mode = btn.dataset.mode;
+    const supported =
+      mode === "workout" ||
+      BleManager.bikeSupportsTarget(mode === "hr" ? "erg" : mode);
+    btn.style.display = supported ? "" : "none";
   });
 
   if (!manualControls || !workoutNameLabel) return;
@@ -638,6 +891,24 @@ function applyModeUI(vm) {
 
     if (manualUnitEl) manualUnitEl.textContent = "%";
     workoutNameLabel.style.display = "none";
+  } else if (vm.mode === "sim") {
+    manualControls.style.display = "inline-flex";
+
+    if (manualInputEl && !inputIsFocused) {
+      manualInputEl.value = String(vm.simGrade || 0);
+    }
+
+    if (manualUnitEl) manualUnitEl.textContent = "% grade";
+    workoutNameLabel.style.display = "none";
+  } else if (vm.mode === "hr") {
+    manualControls.style.display = "inline-flex";
+
+    if (manualInputEl && !inputIsFocused) {
+      manualInputEl.value = String(vm.manualHrTarget || 0);
+    }
+
+    if (manualUnitEl) manualUnitEl.textContent = "bpm";
+    workoutNameLabel.style.display = "none";
   } else {
     manualControls.style.display = "none";
     workoutNameLabel.style.display = "flex";
@@ -660,6 +931,22 @@ function normaliseManualResistanceValue(raw, vm) {
   return Math.min(100, Math.max(0, Math.round(n)));
 }
 
+function normaliseManualGradeValue(raw, vm) {
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    return vm.simGrade || 0;
+  }
+  return Math.round(n * 2) / 2;
+}
+
+function normaliseManualHrValue(raw, vm) {
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    return vm.manualHrTarget;
+  }
+  return Math.round(n);
+}
+
 function handleManualInputSave() {
   if (!manualInputEl || !engine) return;
 
@@ -684,6 +971,14 @@ function handleManualInputSave() {
     } else {
       manualInputEl.value = String(current);
     }
+  } else if (vm.mode === "sim") {
+    const next = normaliseManualGradeValue(raw, vm);
+    engine.setSimGrade(next);
+    // The engine clamps; show what it kept.
+    manualInputEl.value = String(engine.getViewModel().simGrade);
+  } else if (vm.mode === "hr") {
+    engine.setHrTarget(normaliseManualHrValue(raw, vm));
+    manualInputEl.value = String(engine.getViewModel().manualHrTarget);
   }
 }
 
@@ -885,7 +1180,12 @@ async function initPage() {
   await engine.init({
     onStateChanged: (vm) => renderFromEngine(vm),
     onLog: logDebug,
-    onWorkoutEnded: () => {},
+    onWorkoutEnded: () => hideCoachMessage(),
+    onCue: (cue) => showCoachMessage(cue),
+    onWorkoutCompleted: (summary) => {
+      hideCoachMessage();
+      showRideSummary(summary);
+    },
   });
 
   initBleIntegration();
@@ -935,8 +1235,9 @@ async function initPage() {
   if (bikeConnectBtn) {
     bikeConnectBtn.addEventListener("click", async () => {
       const btSupported =
-        navigator.bluetooth &&
-        typeof navigator.bluetooth.getDevices === "function";
+        BleManager.isVirtualDevicesEnabled() ||
+        (navigator.bluetooth &&
+          typeof navigator.bluetooth.getDevices === "function");
       if (!btSupported) {
         alert("Your browser doesn’t support Bluetooth. Let’s open Settings for options.");
         openSettingsModal();
@@ -954,8 +1255,9 @@ async function initPage() {
   if (hrConnectBtn) {
     hrConnectBtn.addEventListener("click", async () => {
       const btSupported =
-        navigator.bluetooth &&
-        typeof navigator.bluetooth.getDevices === "function";
+        BleManager.isVirtualDevicesEnabled() ||
+        (navigator.bluetooth &&
+          typeof navigator.bluetooth.getDevices === "function");
       if (!btSupported) {
         alert("Your browser doesn’t support Bluetooth. Let’s open Settings for options.");
         openSettingsModal();
@@ -970,6 +1272,44 @@ async function initPage() {
     });
   }
 
+  if (powerConnectBtn) {
+    powerConnectBtn.addEventListener("click", async () => {
+      const btSupported =
+        navigator.bluetooth &&
+        typeof navigator.bluetooth.getDevices === "function";
+      if (!btSupported) {
+        alert("Your browser doesn’t support Bluetooth. Let’s open Settings for options.");
+        openSettingsModal();
+        return;
+      }
+      try {
+        await BleManager.connectPowerViaPicker();
+      } catch (err) {
+        logDebug("BLE connect canceled or failed (power meter): " + err);
+        setPowerStatus({state: "error"});
+      }
+    });
+  }
+
+  if (cscConnectBtn) {
+    cscConnectBtn.addEventListener("click", async () => {
+      const btSupported =
+        navigator.bluetooth &&
+        typeof navigator.bluetooth.getDevices === "function";
+      if (!btSupported) {
+        alert("Your browser doesn’t support Bluetooth. Let’s open Settings for options.");
+        openSettingsModal();
+        return;
+      }
+      try {
+        await BleManager.connectCscViaPicker();
+      } catch (err) {
+        logDebug("BLE connect canceled or failed (CSC): " + err);
+        setCscStatus({state: "error"});
+      }
+    });
+  }
+
   if (modeToggle) {
     modeToggle.addEventListener("click", (e) => {
       const btn = e.target.closest(".mode-toggle-button");
@@ -993,6 +1333,10 @@ async function initPage() {
         engine.adjustManualErg(delta);
       } else if (vm.mode === "resistance") {
         engine.adjustManualResistance(delta);
+      } else if (vm.mode === "sim") {
+        engine.adjustSimGrade(Math.sign(delta) * SIM_GRADE_STEP);
+      } else if (vm.mode === "hr") {
+        engine.adjustHrTarget(Math.sign(delta) * HR_TARGET_STEP);
       }
     });
   }
@@ -1029,6 +1373,36 @@ async function initPage() {
     });
   }
 
+  if (prevSegmentBtn) {
+    prevSegmentBtn.addEventListener("click", () => {
+      engine.goToPreviousSegment();
+    });
+  }
+
+  if (restartSegmentBtn) {
+    restartSegmentBtn.addEventListener("click", () => {
+      engine.restartCurrentSegment();
+    });
+  }
+
+  if (extendSegmentBtn) {
+    extendSegmentBtn.addEventListener("click", () => {
+      engine.extendCurrentSegment(SEGMENT_EXTEND_SEC);
+    });
+  }
+
+  if (nextSegmentBtn) {
+    nextSegmentBtn.addEventListener("click", () => {
+      engine.skipToNextSegment();
+    });
+  }
+
+  if (rideSummaryDoneBtn) {
+    rideSummaryDoneBtn.addEventListener("click", () => {
+      closeRideSummary();
+    });
+  }
+
   if (stopBtn) {
     stopBtn.addEventListener("click", async () => {
       const sure = confirm("End current workout and save it?");
@@ -1058,18 +1432,67 @@ async function initPage() {
     }
 
     if (!modalOpen && tag !== "INPUT" && tag !== "TEXTAREA" && tag !== "SELECT") {
-      const manualMode = vm.mode === "erg" || vm.mode === "resistance";
+      const manualMode =
+        vm.mode === "erg" ||
+        vm.mode === "resistance" ||
+        vm.mode === "sim" ||
+        vm.mode === "hr";
       if (manualMode && (key === "arrowup" || key === "k" || key === "arrowdown" || key === "j")) {
         const delta = key === "arrowup" || key === "k" ? 10 : -10;
         e.preventDefault();
         if (vm.mode === "erg") {
           engine.adjustManualErg(delta);
+        } else if (vm.mode === "sim") {
+          engine.adjustSimGrade(Math.sign(delta) * SIM_GRADE_STEP);
+        } else if (vm.mode === "hr") {
+          engine.adjustHrTarget(Math.sign(delta) * HR_TARGET_STEP);
         } else {
           engine.adjustManualResistance(delta);
         }
         return;
       }
 
+      if (
+        vm.mode === "workout" &&
+        vm.canonicalWorkout &&
+        !vm.workoutCompleted &&
+        (key === "arrowup" || key === "k" || key === "arrowdown" || key === "j")
+      ) {
+        const delta = key === "arrowup" || key === "k" ? 0.01 : -0.01;
+        e.preventDefault();
+        engine.adjustIntensity(delta);
+        return;
+      }
+
+      if (key === "0" && vm.mode === "workout" && vm.intensityScale !== 1) {
+        e.preventDefault();
+        engine.setIntensityScale(1);
+        return;
+      }
+
+      if (vm.mode === "workout" && vm.workoutRunning && !vm.workoutCompleted) {
+        if (key === "n") {
+          e.preventDefault();
+          engine.skipToNextSegment();
+          return;
+        }
+        if (key === "p") {
+          e.preventDefault();
+          engine.goToPreviousSegment();
+          return;
+        }
+        if (key === "b") {
+          e.preventDefault();
+          engine.restartCurrentSegment();
+          return;
+        }
+        if (key === "+" || key === "=") {
+          e.preventDefault();
+          engine.extendCurrentSegment(SEGMENT_EXTEND_SEC);
+          return;
+        }
+      }
+
       if (key === "w") {
         e.preventDefault();
         if (vm.mode !== "workout") {
@@ -1096,10 +1519,25 @@ async function initPage() {
         engine.setMode("resistance");
         return;
       }
+
+      if (key === "s") {
+        if (hasActiveWorkout) return;
+        e.preventDefault();
+        engine.setMode("sim");
+        return;
+      }
+
+      if (key === "h") {
+        if (hasActiveWorkout) return;
+        e.preventDefault();
+        engine.setMode("hr");
+        return;
+      }
     }
 
     if (e.key === "Escape") {
       if (picker) picker.close();
+      closeRideSummary();
     }
   });
 
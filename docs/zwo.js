@@ -15,20 +15,65 @@
  *   Original workout page URL
  * @property {string} workoutTitle
  *   Human-readable workout title
- * @property {Array<[number, number, number]>} rawSegments
- *   Canonical segments: [minutes, startPower, endPower]
+ * @property {Array<CanonicalSegment>} rawSegments
+ *   Canonical segments: [minutes, startPower, endPower, extras?]
  *   - minutes: duration in minutes (float allowed)
  *   - startPower: % FTP or equivalent "start power" (0–100 usually)
  *   - endPower: % FTP or equivalent "end power" (0–100 usually)
+ *   - extras: optional SegmentExtras, omitted when empty
  * @property {string} description
  *   Human-readable description/notes
  */
 
+/**
+ * @typedef {[number, number, number] | [number, number, number, SegmentExtras]} CanonicalSegment
+ */
+
+/**
+ * Optional per-segment data beyond the power profile.
+ *
+ * @typedef SegmentExtras
+ * @property {"freeRide" | "maxEffort" | "slope" | "heartRate"} [kind]
+ *   Segment without a power target (ZWO <FreeRide> / <MaxEffort>, or
+ *   VeloDrive's <Slope> / <HeartRate>); start/end power are 0 and the
+ *   trainer is not driven at a fixed ERG target
+ * @property {number} [grade]
+ *   Road grade in % for "slope" segments, ridden in simulation mode
+ * @property {number} [hr]
+ *   Target heart rate in bpm for "heartRate" segments, held by adjusting
+ *   the ERG setpoint
+ * @property {Array<SegmentCue>} [cues]
+ *   On-screen coach messages (ZWO <textevent>)
+ * @property {CadenceTarget} [cadence]
+ *   Target cadence (ZWO Cadence / CadenceLow / CadenceHigh)
+ */
+
+/**
+ * Target cadence in rpm; low === high for a single value.
+ *
+ * @typedef CadenceTarget
+ * @property {number} low
+ * @property {number} high
+ */
+
+/**
+ * @typedef SegmentCue
+ * @property {number} offsetSec
+ *   Seconds from the start of the segment
+ * @property {string} message
+ * @property {number} [durationSec]
+ *   How long to show the message (optional)
+ */
+
 // ---------------- Safety limits for ZWO parsing ----------------
 
 const ZWO_MAX_SEGMENT_DURATION_SEC = 12 * 3600; // 12 hours per segment
 const ZWO_MAX_WORKOUT_DURATION_SEC = 24 * 3600; // 24 hours total workout
 const ZWO_MAX_INTERVAL_REPEATS = 500; // sanity cap on repeats
+const ZWO_MAX_CADENCE_RPM = 250; // sanity cap on cadence targets
+const ZWO_MAX_GRADE_PCT = 40; // FTMS simulation grade limit
+const ZWO_MIN_HR_BPM = 60; // sanity range for heart-rate targets
+const ZWO_MAX_HR_BPM = 220;
 
 // ---------------- Small helpers ----------------
 
@@ -74,14 +119,20 @@ function cdataUnwrap(text) {
 // ---------------- Inline ZWO snippet parser ----------------
 
 /**
- * Parse a ZWO-style snippet containing SteadyState / Warmup / Cooldown / IntervalsT
- * into canonical rawSegments and syntax errors.
+ * Parse a ZWO-style snippet containing SteadyState / Warmup / Cooldown /
+ * IntervalsT / FreeRide / MaxEffort / Slope / HeartRate into canonical
+ * rawSegments and syntax errors. <Slope Duration="…" Grade="…"/> (grade in
+ * %) and <HeartRate Duration="…" Bpm="…"/> are VeloDrive extensions; Zwift
+ * ignores them.
+ *
+ * Elements may be self-closing or carry nested <textevent> children, which
+ * become per-segment cues.
  *
  * @param {string} text
- * @returns {{rawSegments:Array<[number,number,number]>, errors:Array<{start:number,end:number,message:string}>}}
+ * @returns {{rawSegments:Array<CanonicalSegment>, errors:Array<{start:number,end:number,message:string}>}}
  */
 export function parseZwoSnippet(text) {
-  /** @type {Array<{durationSec:number,pStartRel:number,pEndRel:number}>} */
+  /** @type {Array<{durationSec:number,pStartRel:number,pEndRel:number,kind?:string,grade?:number,hr?:number,cadence?:CadenceTarget,cues?:Array<SegmentCue>}>} */
   const segments = [];
   const errors = [];
 
@@ -91,7 +142,8 @@ export function parseZwoSnippet(text) {
   const trimmed = raw.trim();
   if (!trimmed) return {rawSegments: [], errors};
 
-  const tagRegex = /<([A-Za-z]+)\b([^>]*)\/>/g;
+  const tagRegex =
+    /<([A-Za-z]+)\b((?:[^>"]|"[^"]*")*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
   let lastIndex = 0;
   let match;
 
@@ -99,6 +151,7 @@ export function parseZwoSnippet(text) {
     const full = match[0];
     const tagName = match[1];
     const attrsText = match[2] || "";
+    const innerText = match[3];
     const startIdx = match.index;
     const endIdx = startIdx + full.length;
 
@@ -125,6 +178,12 @@ export function parseZwoSnippet(text) {
       continue;
     }
 
+    const cues =
+      innerText != null
+        ? parseZwoChildren(tagName, innerText, errors, startIdx, endIdx)
+        : [];
+    const firstNewSegment = segments.length;
+
     switch (tagName) {
       case "SteadyState":
         handleZwoSteady(attrs, segments, errors, startIdx, endIdx);
@@ -136,6 +195,18 @@ export function parseZwoSnippet(text) {
       case "IntervalsT":
         handleZwoIntervals(attrs, segments, errors, startIdx, endIdx);
         break;
+      case "FreeRide":
+        handleZwoFree(tagName, "freeRide", attrs, segments, errors, startIdx, endIdx);
+        break;
+      case "MaxEffort":
+        handleZwoFree(tagName, "maxEffort", attrs, segments, errors, startIdx, endIdx);
+        break;
+      case "Slope":
+        handleZwoSlope(attrs, segments, errors, startIdx, endIdx);
+        break;
+      case "HeartRate":
+        handleZwoHeartRate(attrs, segments, errors, startIdx, endIdx);
+        break;
       default:
         errors.push({
           start: startIdx,
@@ -145,6 +216,8 @@ export function parseZwoSnippet(text) {
         break;
     }
 
+    if (cues.length) attachCuesToSegments(segments, firstNewSegment, cues);
+
     lastIndex = endIdx;
   }
 
@@ -157,15 +230,115 @@ export function parseZwoSnippet(text) {
     });
   }
 
-  const rawSegments = segments.map((seg) => ([
-    seg.durationSec / 60,   // minutes
-    seg.pStartRel * 100,    // startPct
-    seg.pEndRel * 100       // endPct
-  ]));
+  const rawSegments = segments.map((seg) => {
+    const out = [
+      seg.durationSec / 60,   // minutes
+      seg.pStartRel * 100,    // startPct
+      seg.pEndRel * 100       // endPct
+    ];
+    const extras = segmentExtrasFromParsed(seg);
+    if (extras) out.push(extras);
+    return out;
+  });
 
   return {rawSegments, errors};
 }
 
+/**
+ * Build the SegmentExtras for a parsed segment, or null if it has none.
+ */
+function segmentExtrasFromParsed(seg) {
+  const extras = {};
+  if (seg.kind) extras.kind = seg.kind;
+  if (seg.grade != null) extras.grade = seg.grade;
+  if (seg.hr != null) extras.hr = seg.hr;
+  if (seg.cadence) extras.cadence = seg.cadence;
+  if (seg.cues && seg.cues.length) extras.cues = seg.cues;
+  return Object.keys(extras).length ? extras : null;
+}
+
+/**
+ * Parse the children of a non-self-closing element. Only <textevent>
+ * children are supported; anything else is reported as an error.
+ *
+ * @returns {Array<SegmentCue>} cues with offsets relative to the element start
+ */
+function parseZwoChildren(tagName, innerText, errors, start, end) {
+  const cues = [];
+  const childRegex =
+    /<textevent\b((?:[^>"]|"[^"]*")*?)(?:\/>|>\s*<\/textevent\s*>)/gi;
+
+  let lastIndex = 0;
+  let m;
+  while ((m = childRegex.exec(innerText)) !== null) {
+    if (innerText.slice(lastIndex, m.index).trim().length > 0) {
+      errors.push({
+        start,
+        end,
+        message: `Only <textevent> elements are allowed inside <${tagName}>.`,
+      });
+    }
+    lastIndex = childRegex.lastIndex;
+
+    const {attrs, hasGarbage} = parseZwoAttributes(m[1] || "");
+    const lower = {};
+    for (const [k, v] of Object.entries(attrs)) lower[k.toLowerCase()] = v;
+
+    const offset = lower.timeoffset != null ? Number(lower.timeoffset) : NaN;
+    const message = unescapeXml(lower.message || "");
+    if (hasGarbage || !Number.isFinite(offset) || offset < 0 || !message) {
+      errors.push({
+        start,
+        end,
+        message:
+          "textevent must have a non-negative numeric timeoffset and a message.",
+      });
+      continue;
+    }
+
+    const cue = {offsetSec: offset, message};
+    const duration = lower.duration != null ? Number(lower.duration) : NaN;
+    if (Number.isFinite(duration) && duration > 0) cue.durationSec = duration;
+    cues.push(cue);
+  }
+
+  if (innerText.slice(lastIndex).trim().length > 0) {
+    errors.push({
+      start,
+      end,
+      message: `Only <textevent> elements are allowed inside <${tagName}>.`,
+    });
+  }
+
+  return cues;
+}
+
+/**
+ * Distribute element-relative cues onto the segments an element expanded
+ * into (e.g. IntervalsT on/off repeats), re-basing offsets per segment.
+ * Cues past the end of the element are dropped.
+ */
+function attachCuesToSegments(segments, firstIndex, cues) {
+  const sorted = cues.slice().sort((a, b) => a.offsetSec - b.offsetSec);
+  let segIdx = firstIndex;
+  let segStart = 0;
+
+  for (const cue of sorted) {
+    while (
+      segIdx < segments.length &&
+      cue.offsetSec >= segStart + segments[segIdx].durationSec
+    ) {
+      segStart += segments[segIdx].durationSec;
+      segIdx++;
+    }
+    if (segIdx >= segments.length) break;
+
+    const seg = segments[segIdx];
+    if (!seg.cues) seg.cues = [];
+    seg.cues.push({...cue, offsetSec: cue.offsetSec - segStart});
+  }
+}
+
 function parseZwoAttributes(attrText) {
   const attrs = {};
   let hasGarbage = false;
@@ -207,10 +380,14 @@ function handleZwoSteady(attrs, segments, errors, start, end) {
     return;
   }
 
+  const cadence = parseZwoCadence(attrs, "SteadyState", start, end, errors);
+  if (cadence === false) return;
+
   segments.push({
     durationSec: duration,
     pStartRel: power,
     pEndRel: power,
+    ...(cadence ? {cadence} : {}),
   });
 }
 
@@ -229,13 +406,123 @@ function handleZwoRamp(tagName, attrs, segments, errors, start, end) {
     return;
   }
 
+  const cadence = parseZwoCadence(attrs, tagName, start, end, errors);
+  if (cadence === false) return;
+
   segments.push({
     durationSec: duration,
     pStartRel: pLow,
     pEndRel: pHigh,
+    ...(cadence ? {cadence} : {}),
+  });
+}
+
+function handleZwoFree(tagName, kind, attrs, segments, errors, start, end) {
+  const duration = attrs.Duration != null ? Number(attrs.Duration) : NaN;
+
+  if (!validateZwoDuration(duration, tagName, start, end, errors)) return;
+
+  const cadence = parseZwoCadence(attrs, tagName, start, end, errors);
+  if (cadence === false) return;
+
+  segments.push({
+    durationSec: duration,
+    pStartRel: 0,
+    pEndRel: 0,
+    kind,
+    ...(cadence ? {cadence} : {}),
+  });
+}
+
+function handleZwoSlope(attrs, segments, errors, start, end) {
+  const duration = attrs.Duration != null ? Number(attrs.Duration) : NaN;
+  const grade = attrs.Grade != null ? Number(attrs.Grade) : NaN;
+
+  if (!validateZwoDuration(duration, "Slope", start, end, errors)) return;
+  if (!Number.isFinite(grade) || Math.abs(grade) > ZWO_MAX_GRADE_PCT) {
+    errors.push({
+      start,
+      end,
+      message: `Slope must have a numeric Grade in % (between -${ZWO_MAX_GRADE_PCT} and ${ZWO_MAX_GRADE_PCT}).`,
+    });
+    return;
+  }
+
+  const cadence = parseZwoCadence(attrs, "Slope", start, end, errors);
+  if (cadence === false) return;
+
+  segments.push({
+    durationSec: duration,
+    pStartRel: 0,
+    pEndRel: 0,
+    kind: "slope",
+    grade,
+    ...(cadence ? {cadence} : {}),
   });
 }
 
+function handleZwoHeartRate(attrs, segments, errors, start, end) {
+  const duration = attrs.Duration != null ? Number(attrs.Duration) : NaN;
+  const bpm = attrs.Bpm != null ? Number(attrs.Bpm) : NaN;
+
+  if (!validateZwoDuration(duration, "HeartRate", start, end, errors)) return;
+  if (!Number.isFinite(bpm) || bpm < ZWO_MIN_HR_BPM || bpm > ZWO_MAX_HR_BPM) {
+    errors.push({
+      start,
+      end,
+      message: `HeartRate must have a numeric Bpm (between ${ZWO_MIN_HR_BPM} and ${ZWO_MAX_HR_BPM}).`,
+    });
+    return;
+  }
+
+  const cadence = parseZwoCadence(attrs, "HeartRate", start, end, errors);
+  if (cadence === false) return;
+
+  segments.push({
+    durationSec: duration,
+    pStartRel: 0,
+    pEndRel: 0,
+    kind: "heartRate",
+    hr: Math.round(bpm),
+    ...(cadence ? {cadence} : {}),
+  });
+}
+
+/**
+ * Read Cadence or CadenceLow/CadenceHigh (rpm) from element attributes.
+ *
+ * @returns {CadenceTarget|null|false} null when absent, false on error
+ */
+function parseZwoCadence(attrs, tagName, start, end, errors) {
+  const single = attrs.Cadence != null ? Number(attrs.Cadence) : null;
+  const low = attrs.CadenceLow != null ? Number(attrs.CadenceLow) : null;
+  const high = attrs.CadenceHigh != null ? Number(attrs.CadenceHigh) : null;
+
+  if (single == null && low == null && high == null) return null;
+
+  const target =
+    single != null
+      ? {low: single, high: single}
+      : {low: low != null ? low : high, high: high != null ? high : low};
+
+  if (!validZwoCadence(target.low) || !validZwoCadence(target.high)) {
+    errors.push({
+      start,
+      end,
+      message: `${tagName} Cadence must be a positive number of rpm (max ${ZWO_MAX_CADENCE_RPM}).`,
+    });
+    return false;
+  }
+  if (target.low > target.high) {
+    return {low: target.high, high: target.low};
+  }
+  return target;
+}
+
+function validZwoCadence(rpm) {
+  return Number.isFinite(rpm) && rpm > 0 && rpm <= ZWO_MAX_CADENCE_RPM;
+}
+
 function validateZwoDuration(duration, tagName, start, end, errors) {
   if (!Number.isFinite(duration) || duration <= 0) {
     errors.push({
@@ -294,31 +581,59 @@ function handleZwoIntervals(attrs, segments, errors, start, end) {
     return;
   }
 
+  const onCad = attrs.Cadence != null ? Number(attrs.Cadence) : null;
+  const offCad =
+    attrs.CadenceResting != null ? Number(attrs.CadenceResting) : null;
+  if (
+    (onCad != null && !validZwoCadence(onCad)) ||
+    (offCad != null && !validZwoCadence(offCad))
+  ) {
+    errors.push({
+      start,
+      end,
+      message: `IntervalsT Cadence and CadenceResting must be positive numbers of rpm (max ${ZWO_MAX_CADENCE_RPM}).`,
+    });
+    return;
+  }
+
   const reps = Math.round(repeat);
   for (let i = 0; i < reps; i++) {
     segments.push({
       durationSec: onDur,
       pStartRel: onPow,
       pEndRel: onPow,
+      ...(onCad != null ? {cadence: {low: onCad, high: onCad}} : {}),
     });
     segments.push({
       durationSec: offDur,
       pStartRel: offPow,
       pEndRel: offPow,
+      ...(offCad != null ? {cadence: {low: offCad, high: offCad}} : {}),
     });
   }
 }
 
-// ---------------- Canonical segments -> ZWO body ----------------
+// ---------------- Canonical segments -> workout blocks ----------------
 
 /**
- * segments: [minutes, startPower, endPower]
+ * Normalize canonical segments into workout blocks, collapsing repeated
+ * steady on/off pairs into interval blocks. Shared by the ZWO and FIT writers.
  *
- * @param {Array<[number, number, number]>} segments
- * @returns {string} ZWO <workout> body lines joined by "\n"
+ * Block shapes (all may carry `cues`, offsets relative to the block start):
+ *   {kind: "steady", durationSec, powerRel, cadence?}
+ *   {kind: "rampUp" | "rampDown", durationSec, powerLowRel, powerHighRel,
+ *    cadence?}
+ *   {kind: "intervals", repeat, onDurationSec, offDurationSec,
+ *    onPowerRel, offPowerRel, onCadence?, offCadence?}
+ *   {kind: "freeRide" | "maxEffort", durationSec, cadence?}
+ *   {kind: "slope", durationSec, grade, cadence?}
+ *   {kind: "heartRate", durationSec, hr, cadence?}
+ *
+ * @param {Array<CanonicalSegment>} segments
+ * @returns {Array<Object>}
  */
-export function segmentsToZwoSnippet(segments) {
-  if (!Array.isArray(segments) || !segments.length) return "";
+export function segmentsToWorkoutBlocks(segments) {
+  if (!Array.isArray(segments) || !segments.length) return [];
 
   const blocks = [];
 
@@ -347,14 +662,30 @@ export function segmentsToZwoSnippet(segments) {
 
     if (durationSec <= 0) continue;
 
-    if (Math.abs(pStartRel - pEndRel) < 1e-6) {
-      blocks.push({kind: "steady", durationSec, powerRel: pStartRel});
+    const extras = seg[3] && typeof seg[3] === "object" ? seg[3] : {};
+    const common = {};
+    if (extras.cadence && Number.isFinite(extras.cadence.low)) {
+      common.cadence = {...extras.cadence};
+    }
+    if (Array.isArray(extras.cues) && extras.cues.length) {
+      common.cues = extras.cues.map((c) => ({...c}));
+    }
+
+    if (extras.kind === "freeRide" || extras.kind === "maxEffort") {
+      blocks.push({kind: extras.kind, durationSec, ...common});
+    } else if (extras.kind === "slope") {
+      blocks.push({kind: "slope", durationSec, grade: Number(extras.grade) || 0, ...common});
+    } else if (extras.kind === "heartRate") {
+      blocks.push({kind: "heartRate", durationSec, hr: Number(extras.hr) || 0, ...common});
+    } else if (Math.abs(pStartRel - pEndRel) < 1e-6) {
+      blocks.push({kind: "steady", durationSec, powerRel: pStartRel, ...common});
     } else if (pEndRel > pStartRel) {
       blocks.push({
         kind: "rampUp",
         durationSec,
         powerLowRel: pStartRel,
         powerHighRel: pEndRel,
+        ...common,
       });
     } else {
       blocks.push({
@@ -362,14 +693,13 @@ export function segmentsToZwoSnippet(segments) {
         durationSec,
         powerLowRel: pStartRel,
         powerHighRel: pEndRel,
+        ...common,
       });
     }
   }
 
-  if (!blocks.length) return "";
-
-  // ---------- 2) compress blocks -> ZWO lines ----------
-  const lines = [];
+  // ---------- 2) compress repeated on/off pairs ----------
+  const out = [];
   const DUR_TOL = 1;    // seconds
   const PWR_TOL = 0.01; // relative FTP
 
@@ -381,7 +711,13 @@ export function segmentsToZwoSnippet(segments) {
       const firstA = blocks[i];
       const firstB = blocks[i + 1];
 
-      if (firstA.kind === "steady" && firstB.kind === "steady") {
+      // IntervalsT only carries single cadence values, not ranges.
+      if (
+        firstA.kind === "steady" &&
+        firstB.kind === "steady" &&
+        !isCadenceRange(firstA.cadence) &&
+        !isCadenceRange(firstB.cadence)
+      ) {
         let repeat = 1;
         let j = i + 2;
 
@@ -401,16 +737,29 @@ export function segmentsToZwoSnippet(segments) {
         }
 
         if (repeat >= 2) {
-          const onDur = Math.round(firstA.durationSec);
-          const offDur = Math.round(firstB.durationSec);
-          const onPow = firstA.powerRel.toFixed(2);
-          const offPow = firstB.powerRel.toFixed(2);
-
-          lines.push(
-            `<IntervalsT Repeat="${repeat}"` +
-            ` OnDuration="${onDur}" OffDuration="${offDur}"` +
-            ` OnPower="${onPow}" OffPower="${offPow}" />`
-          );
+          const intervals = {
+            kind: "intervals",
+            repeat,
+            onDurationSec: firstA.durationSec,
+            offDurationSec: firstB.durationSec,
+            onPowerRel: firstA.powerRel,
+            offPowerRel: firstB.powerRel,
+          };
+          if (firstA.cadence) intervals.onCadence = firstA.cadence;
+          if (firstB.cadence) intervals.offCadence = firstB.cadence;
+
+          // Re-base per-segment cues onto the whole IntervalsT block.
+          const cues = [];
+          let blockOffset = 0;
+          for (let k = i; k < i + repeat * 2; k++) {
+            for (const c of blocks[k].cues || []) {
+              cues.push({...c, offsetSec: blockOffset + c.offsetSec});
+            }
+            blockOffset += blocks[k].durationSec;
+          }
+          if (cues.length) intervals.cues = cues;
+
+          out.push(intervals);
 
           i += repeat * 2;
           continue;
@@ -418,43 +767,143 @@ export function segmentsToZwoSnippet(segments) {
       }
     }
 
-    const b = blocks[i];
+    out.push(blocks[i]);
+    i++;
+  }
+
+  return out;
+}
+
+// ---------------- Canonical segments -> ZWO body ----------------
+
+/**
+ * segments: [minutes, startPower, endPower, extras?]
+ *
+ * @param {Array<[number, number, number]>} segments
+ * @returns {string} ZWO <workout> body lines joined by "\n"
+ */
+export function segmentsToZwoSnippet(segments) {
+  const blocks = segmentsToWorkoutBlocks(segments);
+  if (!blocks.length) return "";
+
+  const lines = [];
+
+  for (const b of blocks) {
+    if (b.kind === "intervals") {
+      const onDur = Math.round(b.onDurationSec);
+      const offDur = Math.round(b.offDurationSec);
+      const onPow = b.onPowerRel.toFixed(2);
+      const offPow = b.offPowerRel.toFixed(2);
+
+      let cadenceAttrs = "";
+      if (b.onCadence) {
+        cadenceAttrs += ` Cadence="${Math.round(b.onCadence.low)}"`;
+      }
+      if (b.offCadence) {
+        cadenceAttrs += ` CadenceResting="${Math.round(b.offCadence.low)}"`;
+      }
 
-    if (b.kind === "steady") {
-      lines.push(
-        `<SteadyState Duration="${Math.round(
-          b.durationSec
-        )}" Power="${b.powerRel.toFixed(2)}" />`
+      pushZwoElement(
+        lines,
+        "IntervalsT",
+        `Repeat="${b.repeat}"` +
+        ` OnDuration="${onDur}" OffDuration="${offDur}"` +
+        ` OnPower="${onPow}" OffPower="${offPow}"` +
+        cadenceAttrs,
+        b.cues
+      );
+    } else if (b.kind === "steady") {
+      pushZwoElement(
+        lines,
+        "SteadyState",
+        `Duration="${Math.round(b.durationSec)}" Power="${b.powerRel.toFixed(2)}"` +
+        zwoCadenceAttrs(b.cadence),
+        b.cues
+      );
+    } else if (b.kind === "rampUp" || b.kind === "rampDown") {
+      pushZwoElement(
+        lines,
+        b.kind === "rampUp" ? "Warmup" : "Cooldown",
+        `Duration="${Math.round(b.durationSec)}"` +
+        ` PowerLow="${b.powerLowRel.toFixed(2)}"` +
+        ` PowerHigh="${b.powerHighRel.toFixed(2)}"` +
+        zwoCadenceAttrs(b.cadence),
+        b.cues
       );
-    } else if (b.kind === "rampUp") {
-      lines.push(
-        `<Warmup Duration="${Math.round(
-          b.durationSec
-        )}" PowerLow="${b.powerLowRel.toFixed(
-          2
-        )}" PowerHigh="${b.powerHighRel.toFixed(2)}" />`
+    } else if (b.kind === "freeRide" || b.kind === "maxEffort") {
+      pushZwoElement(
+        lines,
+        b.kind === "freeRide" ? "FreeRide" : "MaxEffort",
+        `Duration="${Math.round(b.durationSec)}"` + zwoCadenceAttrs(b.cadence),
+        b.cues
       );
-    } else if (b.kind === "rampDown") {
-      lines.push(
-        `<Cooldown Duration="${Math.round(
-          b.durationSec
-        )}" PowerLow="${b.powerLowRel.toFixed(
-          2
-        )}" PowerHigh="${b.powerHighRel.toFixed(2)}" />`
+    } else if (b.kind === "slope") {
+      pushZwoElement(
+        lines,
+        "Slope",
+        `Duration="${Math.round(b.durationSec)}" Grade="${Number(b.grade.toFixed(2))}"` +
+        zwoCadenceAttrs(b.cadence),
+        b.cues
+      );
+    } else if (b.kind === "heartRate") {
+      pushZwoElement(
+        lines,
+        "HeartRate",
+        `Duration="${Math.round(b.durationSec)}" Bpm="${Math.round(b.hr)}"` +
+        zwoCadenceAttrs(b.cadence),
+        b.cues
       );
     }
-
-    i++;
   }
 
   return lines.join("\n");
 }
 
+function pushZwoElement(lines, tagName, attrsText, cues) {
+  if (!cues || !cues.length) {
+    lines.push(`<${tagName} ${attrsText} />`);
+    return;
+  }
+
+  lines.push(`<${tagName} ${attrsText}>`);
+  for (const cue of cues) {
+    const duration =
+      cue.durationSec != null ? ` duration="${Math.round(cue.durationSec)}"` : "";
+    lines.push(
+      `  <textevent timeoffset="${Math.round(cue.offsetSec)}"` +
+      ` message="${escapeXml(cue.message)}"${duration} />`
+    );
+  }
+  lines.push(`</${tagName}>`);
+}
+
+function zwoCadenceAttrs(cadence) {
+  if (!cadence) return "";
+  const low = Math.round(cadence.low);
+  const high = Math.round(cadence.high);
+  return low === high
+    ? ` Cadence="${low}"`
+    : ` CadenceLow="${low}" CadenceHigh="${high}"`;
+}
+
+function isCadenceRange(cadence) {
+  return !!cadence && cadence.low !== cadence.high;
+}
+
+function cadenceEquals(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.low === b.low && a.high === b.high;
+}
+
 function blocksSimilarSteady(a, b, durTolSec, pwrTol) {
   if (a.kind !== "steady" || b.kind !== "steady") return false;
   const durDiff = Math.abs(a.durationSec - b.durationSec);
   const pDiff = Math.abs(a.powerRel - b.powerRel);
-  return durDiff <= durTolSec && pDiff <= pwrTol;
+  return (
+    durDiff <= durTolSec &&
+    pDiff <= pwrTol &&
+    cadenceEquals(a.cadence, b.cadence)
+  );
 }
 
 // ---------------- CanonicalWorkout -> ZWO XML ----------------
@@ -560,7 +1009,7 @@ export function parseZwoXmlToCanonicalWorkout(xmlText) {
 
   // Extract <workout> body and parse into canonical rawSegments
   const workoutMatch = xmlText.match(
-    /<workout[^>]*>([\s\S]*?)<\/workout>/i
+    /<workout\b[^>]*>([\s\S]*?)<\/workout>/i
   );
   const workoutInner = workoutMatch ? workoutMatch[1] : "";
   const {rawSegments} = parseZwoSnippet(workoutInner);